@@ -0,0 +1,282 @@
+// Minimal self-hostable service that stores the multisig proposal comments and signaling polls in a JSON file.
+//
+// Usage: PORT=8080 COMMENTS_FILE=./comments.json node comments-service/server.js
+//
+// The messages are signed by their authors. The service checks their format, their signatures and that their authors
+// are users of the multisig before storing them, and the app verifies them again before displaying them. The multisig
+// users are read from the TzKT API of each network. The API urls can be changed with the TZKT_APIS variable, e.g.
+// TZKT_APIS='{"sandbox": "http://localhost:5000"}'.
+const http = require('http');
+const fs = require('fs');
+const { char2Bytes, getPkhfromPk, verifySignature } = require('@taquito/utils');
+
+
+// The service configuration
+const PORT = parseInt(process.env.PORT || '8080');
+const COMMENTS_FILE = process.env.COMMENTS_FILE || 'comments.json';
+const MAX_BODY_SIZE = 100000;
+const MAX_MESSAGES_PER_KEY = 1000;
+const MAX_MESSAGES_PER_AUTHOR = 100;
+const USERS_CACHE_TIME = 5 * 60 * 1000;
+
+// The TzKT API urls used to query the multisig users in each network
+const TZKT_APIS = Object.assign({
+    mainnet: 'https://api.mainnet.tzkt.io',
+    ghostnet: 'https://api.ghostnet.tzkt.io'
+}, JSON.parse(process.env.TZKT_APIS || '{}'));
+
+// The url formats: /comments/network/contractAddress/proposalId and /polls/network/contractAddress
+const COMMENTS_PATH = /^\/comments\/([a-z]+)\/(KT1[1-9A-HJ-NP-Za-km-z]{33})\/(\d+)$/;
+const POLLS_PATH = /^\/polls\/([a-z]+)\/(KT1[1-9A-HJ-NP-Za-km-z]{33})$/;
+
+// The fields that are stored for each message type
+const MESSAGE_FIELDS = {
+    comment: ['network', 'multisig', 'proposalId', 'author', 'timestamp', 'text', 'publicKey', 'signature'],
+    poll: ['type', 'network', 'multisig', 'draft', 'draftHash', 'author', 'timestamp', 'publicKey', 'signature'],
+    vote: ['type', 'network', 'multisig', 'draftHash', 'choice', 'author', 'timestamp', 'publicKey', 'signature']
+};
+
+// The headers that allow the app to call the service from any domain
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// Load the stored messages
+const messages = loadMessages();
+
+// The multisig users queried from the TzKT API, with the time when they expire
+const multisigUsers = {};
+
+// The state of the messages file writes
+let saving = false;
+let pendingSave = false;
+
+// Loads the messages file. A corrupt file is kept with another name and the service starts with no messages
+function loadMessages() {
+    if (!fs.existsSync(COMMENTS_FILE)) return {};
+
+    try {
+        const storedMessages = JSON.parse(fs.readFileSync(COMMENTS_FILE, 'utf8'));
+
+        if (storedMessages === null || typeof storedMessages !== 'object' || Array.isArray(storedMessages)) {
+            throw new Error('The file doesn\'t contain a JSON object');
+        }
+
+        return storedMessages;
+    } catch (error) {
+        const backupFile = `${COMMENTS_FILE}.corrupt-${Date.now()}`;
+        console.log(`Error while loading ${COMMENTS_FILE}, the file has been moved to ${backupFile}:`, error.message);
+        fs.renameSync(COMMENTS_FILE, backupFile);
+
+        return {};
+    }
+}
+
+// Saves the messages to a temporary file and renames it, so the messages file is never left half written. The
+// writes are asynchronous and the messages added while a write is in progress are saved together in the next one
+function saveMessages() {
+    if (saving) {
+        pendingSave = true;
+        return;
+    }
+
+    saving = true;
+    pendingSave = false;
+    const temporaryFile = `${COMMENTS_FILE}.tmp`;
+
+    fs.promises.writeFile(temporaryFile, JSON.stringify(messages))
+        .then(() => fs.promises.rename(temporaryFile, COMMENTS_FILE))
+        .catch(error => console.log('Error while saving the messages:', error))
+        .finally(() => {
+            saving = false;
+
+            if (pendingSave) saveMessages();
+        });
+}
+
+// Returns the users of a multisig contract, querying them from the TzKT API if they are not cached
+async function getMultisigUsers(network, contractAddress) {
+    const key = `${network}:${contractAddress}`;
+
+    if (!multisigUsers[key] || multisigUsers[key].expires < Date.now()) {
+        if (!TZKT_APIS[network]) throw new Error(`The network ${network} is not supported`);
+
+        const response = await fetch(`${TZKT_APIS[network]}/v1/contracts/${contractAddress}/storage`);
+
+        if (!response.ok) throw new Error(`The TzKT API returned the status ${response.status}`);
+
+        const storage = await response.json();
+
+        if (!Array.isArray(storage?.users)) throw new Error(`The contract ${contractAddress} is not a multisig`);
+
+        multisigUsers[key] = { users: storage.users, expires: Date.now() + USERS_CACHE_TIME };
+    }
+
+    return multisigUsers[key].users;
+}
+
+// Returns the Micheline payload signed by the message author. It must match the payloads signed in the app
+function getMessagePayload(type, message) {
+    let text;
+
+    if (type === 'comment') {
+        text = `Tezos Signed Message: comment on the multisig ${message.multisig} (${message.network}) ` +
+            `proposal #${message.proposalId} at ${message.timestamp}: ${message.text}`;
+    } else if (type === 'poll') {
+        text = `Tezos Signed Message: signaling poll on the multisig ${message.multisig} ` +
+            `(${message.network}) for the proposal draft ${message.draftHash} at ${message.timestamp}`;
+    } else {
+        text = `Tezos Signed Message: signaling poll vote on the multisig ${message.multisig} ` +
+            `(${message.network}) for the proposal draft ${message.draftHash} at ${message.timestamp}: ${message.choice}`;
+    }
+
+    const bytes = char2Bytes(text);
+
+    return '0501' + (bytes.length / 2).toString(16).padStart(8, '0') + bytes;
+}
+
+// Checks that the message has been signed by its author
+function isSignedByAuthor(type, message) {
+    try {
+        return getPkhfromPk(message.publicKey) === message.author &&
+            verifySignature(getMessagePayload(type, message), message.publicKey, message.signature);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Sends a JSON response
+function sendJson(response, status, data) {
+    response.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+    response.end(JSON.stringify(data));
+}
+
+// Returns the storage key and the expected message type associated to a request path
+function parsePath(path) {
+    const commentsMatch = path.match(COMMENTS_PATH);
+
+    if (commentsMatch) {
+        const [, network, contractAddress, proposalId] = commentsMatch;
+
+        return { key: `${network}:${contractAddress}:${proposalId}`, network, contractAddress, proposalId };
+    }
+
+    const pollsMatch = path.match(POLLS_PATH);
+
+    if (pollsMatch) {
+        const [, network, contractAddress] = pollsMatch;
+
+        return { key: `polls:${network}:${contractAddress}`, network, contractAddress };
+    }
+
+    return undefined;
+}
+
+// Returns the message type if the message has all the fields that the app needs to verify it
+function getMessageType(message, location) {
+    if (message === null || typeof message !== 'object' ||
+        message.network !== location.network || message.multisig !== location.contractAddress) {
+        return undefined;
+    }
+
+    // The comments are stored under the proposal path and the polls and votes under the polls path
+    const type = location.proposalId !== undefined ? 'comment' : message.type;
+
+    if (type === 'comment' && String(message.proposalId) !== location.proposalId) return undefined;
+    if (type === 'poll' && (message.draft === null || typeof message.draft !== 'object')) return undefined;
+    if (type === 'vote' && !['yes', 'no'].includes(message.choice)) return undefined;
+
+    const stringFields = ['author', 'timestamp', 'publicKey', 'signature'].concat(
+        type === 'comment' ? ['text'] : ['draftHash']);
+
+    return MESSAGE_FIELDS[type] && stringFields.every(field => typeof message[field] === 'string') ? type : undefined;
+}
+
+const server = http.createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        return response.end();
+    }
+
+    const location = parsePath(request.url.split('?')[0]);
+
+    if (!location) {
+        return sendJson(response, 404, { error: 'Not found' });
+    }
+
+    if (request.method === 'GET') {
+        return sendJson(response, 200, messages[location.key] || []);
+    }
+
+    if (request.method !== 'POST') {
+        return sendJson(response, 405, { error: 'Method not allowed' });
+    }
+
+    // Read the message from the request body
+    let body = '';
+    request.on('data', chunk => {
+        body += chunk;
+
+        if (body.length > MAX_BODY_SIZE) {
+            sendJson(response, 413, { error: 'The message is too large' });
+            request.destroy();
+        }
+    });
+    request.on('end', async () => {
+        let message;
+
+        try {
+            message = JSON.parse(body);
+        } catch (error) {
+            return sendJson(response, 400, { error: 'The message is not valid JSON' });
+        }
+
+        const type = getMessageType(message, location);
+
+        if (!type) {
+            return sendJson(response, 400, { error: 'The message doesn\'t have the expected format' });
+        }
+
+        if (!isSignedByAuthor(type, message)) {
+            return sendJson(response, 400, { error: 'The message signature is not valid' });
+        }
+
+        // Only the multisig users can store messages, so nobody else can fill the message lists
+        let users;
+
+        try {
+            users = await getMultisigUsers(location.network, location.contractAddress);
+        } catch (error) {
+            console.log('Error while querying the multisig users:', error.message);
+            return sendJson(response, 503, { error: 'The multisig users could not be verified' });
+        }
+
+        if (!users.includes(message.author)) {
+            return sendJson(response, 403, { error: 'The message author is not a multisig user' });
+        }
+
+        const storedMessages = messages[location.key] || [];
+
+        if (storedMessages.length >= MAX_MESSAGES_PER_KEY) {
+            return sendJson(response, 429, { error: 'Too many messages have been stored for this multisig' });
+        }
+
+        if (storedMessages.filter(storedMessage => storedMessage.author === message.author).length >= MAX_MESSAGES_PER_AUTHOR) {
+            return sendJson(response, 429, { error: 'Too many messages have been stored by this author' });
+        }
+
+        // Store the message fields, ignoring duplicates
+        message = Object.fromEntries(MESSAGE_FIELDS[type].map(field => [field, message[field]]));
+
+        if (!storedMessages.some(storedMessage => storedMessage.signature === message.signature)) {
+            messages[location.key] = storedMessages.concat(message);
+            saveMessages();
+        }
+
+        sendJson(response, 201, message);
+    });
+});
+
+server.listen(PORT, () => console.log(`Comments service listening on port ${PORT}`));
@@ -0,0 +1,178 @@
+/* eslint-env serviceworker */
+
+// Service worker that notifies the multisig users about new proposals, executable proposals and proposals that
+// are about to expire. The app sends the notification settings with a configure message every time the multisig
+// information changes, and the browser can also wake up the worker periodically with a periodicsync event.
+
+// The IndexedDB database used to store the settings and the notified proposals
+const DATABASE_NAME = 'multisig-notifications';
+const STORE_NAME = 'state';
+
+// The periodic sync tag registered by the app
+const PERIODIC_SYNC_TAG = 'multisig-notifications';
+
+// The service worker global scope
+const worker = globalThis;
+
+worker.addEventListener('install', () => worker.skipWaiting());
+
+worker.addEventListener('activate', event => event.waitUntil(worker.clients.claim()));
+
+worker.addEventListener('message', event => {
+    if (event.data?.type === 'configure') {
+        event.waitUntil(setValue('settings', event.data.settings).then(runCheck));
+    } else if (event.data?.type === 'check') {
+        event.waitUntil(runCheck());
+    }
+});
+
+worker.addEventListener('periodicsync', event => {
+    if (event.tag === PERIODIC_SYNC_TAG) {
+        event.waitUntil(runCheck());
+    }
+});
+
+worker.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil(openProposal(event.notification.data ?? {}));
+});
+
+// Checks the multisig proposals, logging any possible error
+function runCheck() {
+    return checkProposals().catch(error => console.log('Error while checking the multisig proposals:', error));
+}
+
+// Compares the multisig proposals with the proposals that were checked the last time and shows the notifications
+async function checkProposals() {
+    // Return if the notifications are disabled
+    const settings = await getValue('settings');
+
+    if (!settings?.enabled || !settings.contractAddress || Notification.permission !== 'granted') return;
+
+    // Get the multisig storage, the pending proposals and the user votes
+    const { network, apiUrl, contractAddress, userAddress } = settings;
+    const storage = await getJson(`${apiUrl}/v1/contracts/${contractAddress}/storage`);
+    const proposals = await getJson(`${apiUrl}/v1/bigmaps/${storage.proposals}/keys?active=true&value.executed=false&select=key,value&limit=10000`);
+    const userVotes = {};
+
+    if (userAddress && storage.users.includes(userAddress)) {
+        const votes = await getJson(`${apiUrl}/v1/bigmaps/${storage.votes}/keys?active=true&key.address=${userAddress}&select=key,value&limit=10000`);
+        votes.forEach(vote => userVotes[vote.key.nat] = vote.value);
+    }
+
+    // Get the proposals that were notified the last time
+    const stateKey = `${apiUrl}:${contractAddress}`;
+    const lastProposalId = parseInt(storage.counter) - 1;
+    const state = await getValue(stateKey);
+
+    // Don't notify the existing proposals the first time the multisig is checked
+    if (!state) {
+        await setValue(stateKey, { lastProposalId: lastProposalId, executable: [], expiring: [] });
+        return;
+    }
+
+    // Loop over the pending proposals that have not expired yet
+    const now = Date.now();
+    const newState = { lastProposalId: lastProposalId, executable: [], expiring: [] };
+
+    for (const proposal of proposals) {
+        const id = proposal.key;
+        const expirationDate = new Date(proposal.value.timestamp).getTime() + parseInt(storage.expiration_time) * 24 * 3600 * 1000;
+
+        if (expirationDate <= now) continue;
+
+        if (parseInt(id) > state.lastProposalId) {
+            await showNotification(network, contractAddress, id, 'new', `New proposal #${id}`, `A new proposal has been created in the multisig ${contractAddress}.`);
+        }
+
+        if (parseInt(proposal.value.positive_votes) >= parseInt(storage.minimum_votes)) {
+            if (!state.executable.includes(id)) {
+                await showNotification(network, contractAddress, id, 'executable', `Proposal #${id} can be executed`, 'The proposal reached the minimum number of positive votes.');
+            }
+
+            newState.executable.push(id);
+        }
+
+        if (userAddress && storage.users.includes(userAddress) && userVotes[id] === undefined &&
+            expirationDate - now < settings.hoursBeforeExpiration * 3600 * 1000) {
+            if (!state.expiring.includes(id)) {
+                const hours = Math.max(1, Math.round((expirationDate - now) / (3600 * 1000)));
+                await showNotification(network, contractAddress, id, 'expiring', `Proposal #${id} is about to expire`, `You didn't vote the proposal yet and it will expire in ${hours} hours.`);
+            }
+
+            newState.expiring.push(id);
+        }
+    }
+
+    await setValue(stateKey, newState);
+}
+
+// Shows a notification related to a multisig proposal
+async function showNotification(network, contractAddress, proposalId, reason, title, body) {
+    await worker.registration.showNotification(title, {
+        body: body,
+        icon: 'logo192.png',
+        tag: `${contractAddress}-${proposalId}-${reason}`,
+        data: { network: network, contractAddress: contractAddress, proposalId: proposalId }
+    });
+}
+
+// Opens the proposal page, reusing an open app window if possible
+async function openProposal({ network, contractAddress, proposalId }) {
+    const path = network && proposalId !== undefined ? `proposals/${network}/${contractAddress}/${proposalId}` : 'proposals';
+    const url = new URL(path, worker.registration.scope).href;
+    const windowClients = await worker.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    for (const client of windowClients) {
+        if ('navigate' in client && 'focus' in client) {
+            await client.focus();
+            return await client.navigate(url);
+        }
+    }
+
+    return await worker.clients.openWindow(url);
+}
+
+// Downloads a JSON file
+async function getJson(url) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`Error while querying ${url}: ${response.status}`);
+    }
+
+    return await response.json();
+}
+
+// Opens the IndexedDB database
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Reads a value from the IndexedDB database
+async function getValue(key) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const request = database.transaction(STORE_NAME).objectStore(STORE_NAME).get(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Writes a value to the IndexedDB database
+async function setValue(key, value) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put(value, key);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
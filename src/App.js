@@ -3,9 +3,12 @@ import { Outlet } from 'react-router-dom';
 import { MultisigContextProvider } from './containers/context';
 import { Header } from './containers/header';
 import { Footer } from './containers/footer';
-import { Parameters } from './containers/parameters';
-import { Proposals } from './containers/proposals';
-import { ContractSelectionForm, CreateProposalForms, OriginateMultisigForm } from './containers/forms';
+import { Parameters, Treasury } from './containers/parameters';
+import { Proposals, ProposalDetails } from './containers/proposals';
+import { Dashboard } from './containers/dashboard';
+import { Polls } from './containers/polls';
+import { ContractSelectionForm, DataSourceSelectionForm, NotificationsForm, CommentsBackendForm, CreateProposalForms, OriginateMultisigForm } from './containers/forms';
+import { NotificationsManager } from './containers/notifications';
 
 
 export function App() {
@@ -16,6 +19,7 @@ export function App() {
                 <Outlet />
                 <Footer />
             </div>
+            <NotificationsManager />
         </MultisigContextProvider>
     );
 }
@@ -26,6 +30,19 @@ export function MultisigParameters() {
             <h1>Tezos multisig / mini-DAO</h1>
             <ContractSelectionForm />
             <Parameters />
+            <Treasury />
+            <DataSourceSelectionForm />
+            <NotificationsForm />
+            <CommentsBackendForm />
+        </main>
+    );
+}
+
+export function MultisigDashboard() {
+    return (
+        <main>
+            <h1>My multisigs</h1>
+            <Dashboard />
         </main>
     );
 }
@@ -39,6 +56,24 @@ export function MultisigProposals() {
     );
 }
 
+export function MultisigProposal() {
+    return (
+        <main>
+            <h1>Multisig proposal</h1>
+            <ProposalDetails />
+        </main>
+    );
+}
+
+export function MultisigPolls() {
+    return (
+        <main>
+            <h1>Signaling polls</h1>
+            <Polls />
+        </main>
+    );
+}
+
 export function CreateProposals() {
     return (
         <main>
@@ -1,83 +1,119 @@
 
-export const NETWORK = 'mainnet';
+export const NETWORKS = {
+    mainnet: {
+        name: 'mainnet',
+        beaconNetworkType: 'mainnet',
+        rpcNode: 'https://mainnet.api.tez.ie',
+        tzktApi: 'https://api.mainnet.tzkt.io',
+        tzktExplorer: 'https://tzkt.io',
+        defaultContractAddress: 'KT1PKBTVmdxfgkFvSeNUQacYiEFsPBw16B4P'
+    },
+    ghostnet: {
+        name: 'ghostnet',
+        beaconNetworkType: 'custom',
+        rpcNode: 'https://ghostnet.ecadinfra.com',
+        tzktApi: 'https://api.ghostnet.tzkt.io',
+        tzktExplorer: 'https://ghostnet.tzkt.io',
+        defaultContractAddress: undefined
+    },
+    sandbox: {
+        name: 'sandbox',
+        beaconNetworkType: 'custom',
+        rpcNode: 'http://localhost:20000',
+        tzktApi: 'http://localhost:5000',
+        tzktExplorer: undefined,
+        defaultContractAddress: undefined
+    }
+};
 
-export const DEFAULT_CONTRACT_ADDRESS = 'KT1PKBTVmdxfgkFvSeNUQacYiEFsPBw16B4P';
+export const DEFAULT_NETWORK = 'mainnet';
 
-export const RPC_NODE = 'https://mainnet.api.tez.ie';
+export const DATA_SOURCES = ['tzkt', 'rpc'];
+
+export const DEFAULT_DATA_SOURCE = 'tzkt';
+
+export const PROPOSALS_PAGE_SIZE = 50;
 
 export const IPFS_UPLOAD_PROXY = 'https://ipfsproxy.teia.rocks';
 
 export const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
 
+export const IPFS_GATEWAYS = [
+    IPFS_GATEWAY,
+    'https://cloudflare-ipfs.com/ipfs/',
+    'https://dweb.link/ipfs/',
+    'https://gateway.pinata.cloud/ipfs/'
+];
+
 export const TOKENS = [
     {
         name: 'OBJKT',
         fa2: 'KT1RJ6PbjHpwc3M5rw5s2Nbmefwbuwbdxton',
         multiasset: true,
-        decimals: 1,
+        decimals: 0,
         website: 'https://teia.art/objkt/'
     },
     {
         name: 'hDAO',
         fa2: 'KT1AFA2mwNUMNd4SsujE1YYp29vd8BZejyKW',
         multiasset: false,
-        decimals: 1000000,
+        decimals: 6,
         website: undefined
     },
     {
         name: 'Tezzardz',
         fa2: 'KT1LHHLso8zQWQWg1HUukajdxxbkGfNoHjh6',
         multiasset: true,
-        decimals: 1,
+        decimals: 0,
         website: 'https://objkt.com/asset/tezzardz/'
     },
     {
         name: 'PRJKTNEON',
         fa2: 'KT1VbHpQmtkA3D4uEbbju26zS8C42M5AGNjZ',
         multiasset: true,
-        decimals: 1,
+        decimals: 0,
         website: 'https://objkt.com/asset/prjktneon/',
     },
     {
         name: 'Art Cardz',
         fa2: 'KT1LbLNTTPoLgpumACCBFJzBEHDiEUqNxz5C',
         multiasset: true,
-        decimals: 1,
+        decimals: 0,
         website: 'https://objkt.com/asset/artcardz/'
     },
     {
         name: 'GOGOs',
         fa2: 'KT1SyPgtiXTaEfBuMZKviWGNHqVrBBEjvtfQ',
         multiasset: true,
-        decimals: 1,
+        decimals: 0,
         website: 'https://objkt.com/asset/gogos/'
     },
     {
         name: 'NEONZ',
         fa2: 'KT1MsdyBSAMQwzvDH4jt2mxUKJvBSWZuPoRJ',
         multiasset: true,
-        decimals: 1,
+        decimals: 0,
         website: 'https://objkt.com/asset/neonz/'
     },
     {
         name: 'Randomly Common Skeles',
         fa2: 'KT1HZVd9Cjc2CMe3sQvXgbxhpJkdena21pih',
         multiasset: true,
-        decimals: 1,
+        decimals: 0,
         website: 'https://objkt.com/asset/rcs/'
     },
     {
         name: 'fx_hash',
         fa2: 'KT1KEa8z6vWXDJrVqtMrAeDVzsvxat3kHaCE',
         multiasset: true,
-        decimals: 1,
+        decimals: 0,
         website: 'https://www.fxhash.xyz/gentk/'
     },
     {
         name: 'ZIGGURATS',
         fa2: 'KT1PNcZQkJXMQ2Mg92HG1kyrcu3auFX5pfd8',
         multiasset: true,
-        decimals: 1,
+        decimals: 0,
         website: 'https://objkt.com/asset/ziggurats/'
     }
 ]
@@ -0,0 +1,360 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { char2Bytes, getPkhfromPk, verifySignature } from '@taquito/utils';
+import { MultisigContext } from './context';
+import { TezosAddressLink } from './links';
+import { getIpfsFile } from './ipfs';
+import { uploadFileToIPFSProxy } from './utils';
+
+
+// The comments backend settings used if the user didn't change them
+export const DEFAULT_COMMENTS_SETTINGS = {
+    backend: 'none',
+    serviceUrl: '',
+    pinningServiceUrl: '',
+    pinningServiceToken: '',
+    rememberPinningServiceToken: false
+};
+
+// The maximum number of characters in a comment
+export const MAX_COMMENT_LENGTH = 2000;
+
+// The maximum number of messages loaded from the IPFS pinning service
+const MAX_PINNED_MESSAGES = 1000;
+
+// Backend that stores the comments and the polls in a self-hosted JSON HTTP service
+export class HttpCommentsBackend {
+
+    constructor(serviceUrl) {
+        this.type = 'http';
+        this.serviceUrl = serviceUrl.replace(/\/+$/, '');
+    }
+
+    // Returns the url where the proposal comments are stored
+    getCommentsUrl(network, contractAddress, proposalId) {
+        return `${this.serviceUrl}/comments/${network}/${contractAddress}/${proposalId}`;
+    }
+
+    // Returns the comments of a proposal
+    async getComments(network, contractAddress, proposalId) {
+        const response = await axios.get(this.getCommentsUrl(network, contractAddress, proposalId));
+
+        return Array.isArray(response.data) ? response.data : [];
+    }
+
+    // Stores a new proposal comment
+    async addComment(comment) {
+        await axios.post(this.getCommentsUrl(comment.network, comment.multisig, comment.proposalId), comment);
+    }
+
+    // Returns the url where the multisig polls and poll votes are stored
+    getPollsUrl(network, contractAddress) {
+        return `${this.serviceUrl}/polls/${network}/${contractAddress}`;
+    }
+
+    // Returns the polls and poll votes of a multisig
+    async getPollMessages(network, contractAddress) {
+        const response = await axios.get(this.getPollsUrl(network, contractAddress));
+
+        return Array.isArray(response.data) ? response.data : [];
+    }
+
+    // Stores a new poll or poll vote
+    async addPollMessage(message) {
+        await axios.post(this.getPollsUrl(message.network, message.multisig), message);
+    }
+}
+
+// Backend that uploads each comment to IPFS and pins it in an IPFS pinning service that implements the standard
+// pinning service API. The pin names are used to index the comments by proposal and the polls by multisig
+export class IpfsCommentsBackend {
+
+    constructor(pinningServiceUrl, pinningServiceToken) {
+        this.type = 'ipfs';
+        this.pinningServiceUrl = pinningServiceUrl.replace(/\/+$/, '');
+        this.headers = { Authorization: `Bearer ${pinningServiceToken}` };
+    }
+
+    // Returns the name of the pins that contain the proposal comments
+    getPinName(network, contractAddress, proposalId) {
+        return `multisig-comment:${network}:${contractAddress}:${proposalId}`;
+    }
+
+    // Returns the name of the pins that contain the multisig polls and poll votes
+    getPollsPinName(network, contractAddress) {
+        return `multisig-poll:${network}:${contractAddress}`;
+    }
+
+    // Returns the messages stored in the pins with the given name
+    async getPinnedMessages(name) {
+        const parameters = {
+            name: name,
+            match: 'exact',
+            status: 'queued,pinning,pinned',
+            limit: MAX_PINNED_MESSAGES
+        };
+        const response = await axios.get(`${this.pinningServiceUrl}/pins`, { params: parameters, headers: this.headers });
+
+        // Download the messages from IPFS, ignoring those that cannot be retrieved
+        const messages = await Promise.all(response.data.results.map(pin => getIpfsFile(pin.pin.cid)
+            .then(file => JSON.parse(new TextDecoder().decode(file.data)))
+            .catch(error => console.log(`Error while downloading the message ${pin.pin.cid}:`, error))));
+
+        return messages.filter(message => message);
+    }
+
+    // Uploads a message to IPFS and pins it with the given name
+    async pinMessage(name, message) {
+        const added = await uploadFileToIPFSProxy(new Blob([JSON.stringify(message)]));
+        const pin = {
+            cid: added.data.cid,
+            name: name,
+            meta: {
+                multisig: message.multisig,
+                author: message.author
+            }
+        };
+        await axios.post(`${this.pinningServiceUrl}/pins`, pin, { headers: this.headers });
+    }
+
+    // Returns the comments of a proposal
+    getComments(network, contractAddress, proposalId) {
+        return this.getPinnedMessages(this.getPinName(network, contractAddress, proposalId));
+    }
+
+    // Stores a new proposal comment
+    addComment(comment) {
+        return this.pinMessage(this.getPinName(comment.network, comment.multisig, comment.proposalId), comment);
+    }
+
+    // Returns the polls and poll votes of a multisig
+    getPollMessages(network, contractAddress) {
+        return this.getPinnedMessages(this.getPollsPinName(network, contractAddress));
+    }
+
+    // Stores a new poll or poll vote
+    addPollMessage(message) {
+        return this.pinMessage(this.getPollsPinName(message.network, message.multisig), message);
+    }
+}
+
+// Returns the comments backend settings stored in the local storage. The pinning service token is only kept in the
+// session storage, unless the user decided to remember it
+export function getCommentsSettings() {
+    const storedSettings = JSON.parse(window.localStorage.multisigComments || '{}');
+
+    // The tokens saved before the remember option was added are still remembered
+    if (storedSettings.pinningServiceToken && storedSettings.rememberPinningServiceToken === undefined) {
+        storedSettings.rememberPinningServiceToken = true;
+    }
+
+    const settings = Object.assign({}, DEFAULT_COMMENTS_SETTINGS, storedSettings);
+
+    if (!settings.rememberPinningServiceToken) {
+        settings.pinningServiceToken = window.sessionStorage.multisigPinningServiceToken || '';
+    }
+
+    return settings;
+}
+
+// Stores the comments backend settings
+export function setCommentsSettings(settings) {
+    if (settings.rememberPinningServiceToken) {
+        window.localStorage.multisigComments = JSON.stringify(settings);
+        delete window.sessionStorage.multisigPinningServiceToken;
+    } else {
+        window.localStorage.multisigComments = JSON.stringify(Object.assign({}, settings, { pinningServiceToken: '' }));
+        window.sessionStorage.multisigPinningServiceToken = settings.pinningServiceToken;
+    }
+}
+
+// Creates the comments backend defined in the settings, or returns undefined if it's not configured
+export function createCommentsBackend(settings = getCommentsSettings()) {
+    if (settings.backend === 'http' && settings.serviceUrl) {
+        return new HttpCommentsBackend(settings.serviceUrl);
+    } else if (settings.backend === 'ipfs' && settings.pinningServiceUrl && settings.pinningServiceToken) {
+        return new IpfsCommentsBackend(settings.pinningServiceUrl, settings.pinningServiceToken);
+    }
+
+    return undefined;
+}
+
+// Packs a text message as a Micheline string, the payload format that the wallets can sign
+export function getMichelinePayload(message) {
+    const bytes = char2Bytes(message);
+
+    return '0501' + (bytes.length / 2).toString(16).padStart(8, '0') + bytes;
+}
+
+// Checks that a message payload has been signed by its author and that the author is one of the multisig users
+export function isSignedByUser(message, payload, users) {
+    try {
+        return users.includes(message.author) &&
+            getPkhfromPk(message.publicKey) === message.author &&
+            verifySignature(payload, message.publicKey, message.signature);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Returns the Micheline payload that the comment author signs with the wallet
+export function getCommentPayload(comment) {
+    return getMichelinePayload(`Tezos Signed Message: comment on the multisig ${comment.multisig} (${comment.network}) ` +
+        `proposal #${comment.proposalId} at ${comment.timestamp}: ${comment.text}`);
+}
+
+// Checks that a comment belongs to the proposal thread and that it has been signed by one of the multisig users
+export function verifyComment(comment, network, contractAddress, proposalId, users) {
+    return comment.network === network &&
+        comment.multisig === contractAddress &&
+        String(comment.proposalId) === String(proposalId) &&
+        typeof comment.text === 'string' &&
+        comment.text.length <= MAX_COMMENT_LENGTH &&
+        isSignedByUser(comment, getCommentPayload(comment), users);
+}
+
+// Displays the proposal comments inside a collapsible element that loads them when it's opened
+export function ProposalComments(props) {
+    // Set the component state
+    const [opened, setOpened] = useState(props.open);
+
+    return (
+        <details open={props.open} onToggle={e => e.target.open && setOpened(true)} className='proposal-comments'>
+            <summary>Discussion</summary>
+            {opened && <CommentThread id={props.id} />}
+        </details>
+    );
+}
+
+// Displays the proposal comments and a form to add new ones
+export function CommentThread(props) {
+    // Get the required multisig context information
+    const { network, contractAddress, storage, userAddress, signPayload, handleError } = useContext(MultisigContext);
+
+    // Set the component state
+    const [backend] = useState(() => createCommentsBackend());
+    const [comments, setComments] = useState(undefined);
+    const [rejectedComments, setRejectedComments] = useState(0);
+    const [loadError, setLoadError] = useState(undefined);
+    const [text, setText] = useState('');
+    const [sending, setSending] = useState(false);
+    const [reload, setReload] = useState(0);
+
+    const users = storage?.users;
+
+    // Load the comments every time the proposal changes
+    useEffect(() => {
+        setComments(undefined);
+        setLoadError(undefined);
+
+        if (!backend || !users) return;
+
+        let ignore = false;
+        backend.getComments(network, contractAddress, props.id)
+            .then(newComments => {
+                if (ignore) return;
+
+                // Keep only the valid comments, removing duplicates and sorting them by date
+                const validComments = newComments
+                    .filter(comment => verifyComment(comment, network, contractAddress, props.id, users))
+                    .filter((comment, index, array) => array.findIndex(c => c.signature === comment.signature) === index);
+                setComments(validComments.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+                setRejectedComments(newComments.length - validComments.length);
+            })
+            .catch(error => {
+                console.log('Error while loading the proposal comments:', error);
+                !ignore && setLoadError(error.message);
+            });
+
+        return () => ignore = true;
+    }, [backend, network, contractAddress, users, props.id, reload]);
+
+    // Define the on submit handler
+    const handleSubmit = async e => {
+        e.preventDefault();
+
+        const comment = {
+            network: network,
+            multisig: contractAddress,
+            proposalId: props.id,
+            author: userAddress,
+            timestamp: new Date().toISOString(),
+            text: text.trim()
+        };
+
+        if (!comment.text) return;
+
+        // Sign the comment with the user wallet
+        const signed = await signPayload(getCommentPayload(comment));
+
+        if (!signed) return;
+
+        comment.publicKey = signed.publicKey;
+        comment.signature = signed.signature;
+
+        if (!verifyComment(comment, network, contractAddress, props.id, users)) {
+            handleError('Error while signing the comment', new Error('The wallet signature could not be verified'));
+            return;
+        }
+
+        // Store the comment
+        setSending(true);
+
+        try {
+            await backend.addComment(comment);
+            setText('');
+            setReload(reload + 1);
+        } catch (error) {
+            handleError('Error while storing the comment', error);
+        }
+
+        setSending(false);
+    };
+
+    // Return if the comments backend has not been configured
+    if (!backend) {
+        return <p>Configure a comments backend in the home page to see and write comments.</p>;
+    }
+
+    return (
+        <div className='comment-thread'>
+            {loadError ?
+                <p className='comments-error'>The comments could not be loaded: {loadError}.</p> :
+                !comments ?
+                    <p>Loading the comments...</p> :
+                    comments.length === 0 ?
+                        <p>There are no comments yet.</p> :
+                        <ul className='comment-list'>
+                            {comments.map(comment => (
+                                <li key={comment.signature}>
+                                    <p className='comment-header'>
+                                        <TezosAddressLink address={comment.author} useAlias shorten />
+                                        {' '}
+                                        <span className='comment-timestamp'>{comment.timestamp.slice(0, 19).replace('T', ' ')}</span>
+                                    </p>
+                                    <p className='comment-text'>{comment.text}</p>
+                                </li>
+                            ))}
+                        </ul>
+            }
+            {rejectedComments > 0 &&
+                <p className='comments-error'>
+                    {rejectedComments} comment{rejectedComments > 1 ? 's have' : ' has'} been hidden because
+                    {rejectedComments > 1 ? ' they are' : ' it is'} not signed by a multisig user.
+                </p>
+            }
+            {users?.includes(userAddress) &&
+                <form onSubmit={handleSubmit}>
+                    <label className='form-input'>New comment:
+                        <textarea
+                            maxLength={MAX_COMMENT_LENGTH}
+                            value={text}
+                            onChange={e => setText(e.target.value)}
+                        />
+                    </label>
+                    <input type='submit' value={sending ? 'sending...' : 'sign and send'} disabled={sending} />
+                </form>
+            }
+        </div>
+    );
+}
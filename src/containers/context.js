@@ -3,22 +3,104 @@ import { TezosToolkit, MichelsonMap } from '@taquito/taquito';
 import { BeaconWallet } from '@taquito/beacon-wallet';
 import { Parser } from '@taquito/michel-codec';
 import { validateAddress } from '@taquito/utils';
-import { NETWORK, DEFAULT_CONTRACT_ADDRESS, RPC_NODE } from '../constants';
+import { NETWORKS, DEFAULT_NETWORK, DATA_SOURCES, DEFAULT_DATA_SOURCE, PROPOSALS_PAGE_SIZE } from '../constants';
 import { InformationMessage, ConfirmationMessage, ErrorMessage } from './messages';
+import { createDataSource, setDataSource } from './dataSources';
+import { simulateProposalExecution } from './simulation';
+import { forgeContractCall, getSignedOperationBytes } from './offline';
+import { getEntrypointTypes, buildSetDelegateLambda } from './lambdas';
+import { getErrorMessage } from './errors';
+import { DEFAULT_PROPOSAL_FILTERS, matchesProposalFilters, matchesProposalSearch } from './filters';
+import { MultisigSubscription } from './subscriptions';
 import * as utils from './utils';
 
 
-// Initialize the tezos toolkit
-const tezos = new TezosToolkit(RPC_NODE);
+// The tezos toolkit and the wallet used in the selected network
+let tezos;
+let wallet;
 
-// Initialize the wallet
-const wallet = new BeaconWallet({
-    name: 'multisig',
-    preferredNetwork: NETWORK
-});
+// Initializes the tezos toolkit and the wallet for the given network
+function initializeTezos(network) {
+    // Only switch the RPC node if they were already initialized, because there should be a single beacon client
+    if (tezos) {
+        tezos.setRpcProvider(NETWORKS[network].rpcNode);
+        return;
+    }
+
+    // Initialize the tezos toolkit
+    tezos = new TezosToolkit(NETWORKS[network].rpcNode);
+
+    // Initialize the wallet. The network is selected when the permissions are requested
+    wallet = new BeaconWallet({
+        name: 'multisig',
+        preferredNetwork: NETWORKS[network].beaconNetworkType
+    });
+
+    // Pass the wallet to the tezos toolkit
+    tezos.setWalletProvider(wallet);
+}
+
+// Returns the network that was selected the last time the app was used
+function getStoredNetwork() {
+    const network = window.localStorage.multisigNetwork;
+
+    return NETWORKS[network] ? network : DEFAULT_NETWORK;
+}
+
+// Returns the multisig contract address that was selected the last time in the given network
+function getStoredContractAddress(network) {
+    const contractAddresses = JSON.parse(window.localStorage.multisigContractAddresses || '{}');
+
+    // Older versions of the app only stored the mainnet contract address
+    if (!contractAddresses[network] && network === 'mainnet') {
+        contractAddresses[network] = window.localStorage.multisigContractAddress;
+    }
+
+    return contractAddresses[network] || NETWORKS[network].defaultContractAddress;
+}
+
+// Stores the multisig contract address selected in the given network
+function storeContractAddress(network, contractAddress) {
+    const contractAddresses = JSON.parse(window.localStorage.multisigContractAddresses || '{}');
+    contractAddresses[network] = contractAddress;
+    window.localStorage.multisigContractAddresses = JSON.stringify(contractAddresses);
+}
+
+// Returns the names that the user assigned to the multisig contracts in the given network
+function getStoredContractNames(network) {
+    const contractNames = JSON.parse(window.localStorage.multisigContractNames || '{}');
+
+    return contractNames[network] || {};
+}
+
+// Stores the names that the user assigned to the multisig contracts in the given network
+function storeContractNames(network, networkContractNames) {
+    const contractNames = JSON.parse(window.localStorage.multisigContractNames || '{}');
+    contractNames[network] = networkContractNames;
+    window.localStorage.multisigContractNames = JSON.stringify(contractNames);
+}
+
+// Inserts, replaces or removes a proposal from the loaded proposals, taking into account the proposal filters and
+// whether the proposal passes the search filters
+function updateProposalList(proposals, hasMoreProposals, proposal, filters, expirationTime, matchesSearch) {
+    if (!proposals) return proposals;
+
+    // Remove the proposal if it doesn't pass the filters anymore
+    const otherProposals = proposals.filter(loadedProposal => loadedProposal.key !== proposal.key);
+
+    if (!(matchesProposalFilters(proposal.value, filters, expirationTime) && matchesSearch)) {
+        return otherProposals;
+    }
 
-// Pass the wallet to the tezos toolkit
-tezos.setWalletProvider(wallet);
+    // Don't add proposals that are older than the loaded ones
+    const oldestProposal = proposals[proposals.length - 1];
+
+    if (hasMoreProposals && oldestProposal && parseInt(proposal.key) < parseInt(oldestProposal.key)) {
+        return proposals;
+    }
+
+    return otherProposals.concat(proposal).sort((a, b) => parseInt(b.key) - parseInt(a.key));
+}
 
 // Load the multisig smart contract code and metadata in JSON format
 const multisigContractCode = require('../contract/multisigContract.json');
@@ -34,8 +116,14 @@ export class MultisigContextProvider extends React.Component {
         // Pass the properties to the base class
         super(props);
 
+        // Get the network that should be used
+        const network = getStoredNetwork();
+
         // Define the component state parameters
         this.state = {
+            // The tezos network
+            network: network,
+
             // The user address
             userAddress: undefined,
 
@@ -43,7 +131,13 @@ export class MultisigContextProvider extends React.Component {
             contractAddresses: undefined,
 
             // The multisig contract address
-            contractAddress: window.localStorage.multisigContractAddress || DEFAULT_CONTRACT_ADDRESS,
+            contractAddress: getStoredContractAddress(network),
+
+            // The names that the user assigned to the multisig contracts
+            contractNames: getStoredContractNames(network),
+
+            // The type of data source used to query the blockchain information
+            dataSourceType: window.localStorage.multisigDataSource || DEFAULT_DATA_SOURCE,
 
             // The multisig contract storage
             storage: undefined,
@@ -51,15 +145,33 @@ export class MultisigContextProvider extends React.Component {
             // The multisig contract mutez balance
             balance: undefined,
 
+            // The multisig contract delegate
+            delegate: undefined,
+
+            // The multisig contract token balances
+            tokenBalances: undefined,
+
             // The multisig user aliases
             userAliases: undefined,
 
-            // The multisig proposals
+            // The multisig proposals that have been loaded, starting from the most recent one
             proposals: undefined,
 
+            // True if there are more proposals that pass the filters and have not been loaded yet
+            hasMoreProposals: false,
+
+            // The data source offset where the next page of proposals starts
+            proposalsOffset: 0,
+
+            // The filters used to select the proposals
+            proposalFilters: DEFAULT_PROPOSAL_FILTERS,
+
             // The user votes
             userVotes: undefined,
 
+            // All the multisig votes grouped by proposal id
+            votes: undefined,
+
             // The multisig contract reference
             contract: undefined,
 
@@ -87,6 +199,87 @@ export class MultisigContextProvider extends React.Component {
                 errorMessage: message
             }),
 
+            // Logs an error and displays a readable description of it to the user
+            handleError: (description, error) => {
+                console.log(`${description}:`, error);
+                this.state.setErrorMessage(`${description}: ${getErrorMessage(error)}`);
+            },
+
+            // Queries the most recent proposals that pass the filters, by default as many as the ones already loaded,
+            // starting from the given data source offset
+            queryProposals: async (storage, count, filters = this.state.proposalFilters, offset = 0) => {
+                const limit = count ?? Math.max(PROPOSALS_PAGE_SIZE, this.state.proposals?.length ?? 0);
+
+                // The data sources cannot apply the search filters, so the proposals are queried in pages until one
+                // extra proposal passes them, which indicates that there are more proposals available
+                const proposals = [];
+                let dataSourceOffset = offset;
+                let proposalsOffset = offset;
+
+                while (true) {
+                    const page = await utils.getProposals(storage, { offset: dataSourceOffset, limit: limit + 1, filters: filters });
+
+                    if (!page) {
+                        return { proposals: undefined, hasMoreProposals: false, proposalsOffset: offset };
+                    }
+
+                    const matches = await Promise.all(page.map(proposal => (
+                        matchesProposalSearch(proposal.value, filters, this.state.contractAddress))));
+
+                    for (const [index, proposal] of page.entries()) {
+                        dataSourceOffset++;
+
+                        if (!matches[index]) continue;
+
+                        if (proposals.length === limit) {
+                            return { proposals: proposals, hasMoreProposals: true, proposalsOffset: proposalsOffset };
+                        }
+
+                        proposals.push(proposal);
+                        proposalsOffset = dataSourceOffset;
+                    }
+
+                    // Return if there are no more proposals in the data source
+                    if (page.length <= limit) {
+                        return { proposals: proposals, hasMoreProposals: false, proposalsOffset: proposalsOffset };
+                    }
+                }
+            },
+
+            // Sets the filters used to select the proposals and loads the first page of proposals
+            setProposalFilters: async (filters) => {
+                // Return if the storage is not available
+                if (!this.state.storage) return;
+
+                const { proposals, hasMoreProposals, proposalsOffset } = await this.state.queryProposals(this.state.storage, PROPOSALS_PAGE_SIZE, filters);
+                this.setState({
+                    proposalFilters: filters,
+                    proposals: proposals,
+                    hasMoreProposals: hasMoreProposals,
+                    proposalsOffset: proposalsOffset
+                });
+            },
+
+            // Loads the next page of proposals
+            loadMoreProposals: async () => {
+                // Return if there are no more proposals to load
+                if (!(this.state.storage && this.state.proposals && this.state.hasMoreProposals)) return;
+
+                // Query the proposals that come after the ones already loaded
+                const { proposals, hasMoreProposals, proposalsOffset } = await this.state.queryProposals(
+                    this.state.storage, PROPOSALS_PAGE_SIZE, this.state.proposalFilters, this.state.proposalsOffset);
+
+                if (!proposals) return;
+
+                // Skip the proposals that were already loaded (e.g. if a new proposal was created in the meantime)
+                const loadedIds = this.state.proposals.map(proposal => proposal.key);
+                this.setState({
+                    proposals: this.state.proposals.concat(proposals.filter(proposal => !loadedIds.includes(proposal.key))),
+                    hasMoreProposals: hasMoreProposals,
+                    proposalsOffset: proposalsOffset
+                });
+            },
+
             // Sets the multisig contract address
             setContractAddress: async (contractAddress) => {
                 // Return if the contract address didn't change
@@ -102,22 +295,123 @@ export class MultisigContextProvider extends React.Component {
                 const contractAddresses = await utils.getSimilarContractAddresses(contractAddress);
                 const storage = await utils.getContractStorage(contractAddress);
                 const balance = await utils.getBalance(contractAddress);
+                const delegate = await utils.getDelegate(contractAddress);
+                const tokenBalances = await utils.getTokenBalances(contractAddress);
                 const userAliases = await utils.getUserAliases(storage.users);
-                const proposals = await utils.getBigmapKeys(storage.proposals);
-                const userVotes = await utils.getUserVotes(this.state.userAddress, storage.votes);
+                const { proposals, hasMoreProposals, proposalsOffset } = await this.state.queryProposals(storage, PROPOSALS_PAGE_SIZE, DEFAULT_PROPOSAL_FILTERS);
+                const userVotes = await utils.getUserVotes(this.state.userAddress, storage);
+                const votes = await utils.getVotes(storage);
                 this.setState({
                     contractAddresses: contractAddresses,
                     contractAddress: contractAddress,
                     storage: storage,
                     balance: balance,
+                    delegate: delegate,
+                    tokenBalances: tokenBalances,
                     userAliases: userAliases,
                     proposals: proposals,
+                    hasMoreProposals: hasMoreProposals,
+                    proposalsOffset: proposalsOffset,
+                    proposalFilters: DEFAULT_PROPOSAL_FILTERS,
                     userVotes: userVotes,
+                    votes: votes,
                     contract: undefined
                 });
 
                 // Update the local storage
-                window.localStorage.multisigContractAddress = contractAddress;
+                storeContractAddress(this.state.network, contractAddress);
+
+                // Start the live updates for the new contract
+                this.subscribe();
+            },
+
+            // Sets the name that the user assigned to a multisig contract
+            setContractName: (contractAddress, name) => {
+                const contractNames = Object.assign({}, this.state.contractNames);
+
+                if (name.trim()) {
+                    contractNames[contractAddress] = name.trim();
+                } else {
+                    delete contractNames[contractAddress];
+                }
+
+                this.setState({ contractNames: contractNames });
+
+                // Update the local storage
+                storeContractNames(this.state.network, contractNames);
+            },
+
+            // Sets the tezos network
+            setNetwork: async (network) => {
+                // Return if the network didn't change
+                if (network === this.state.network) return;
+
+                // Return if the network is not supported
+                if (!NETWORKS[network]) {
+                    this.state.setErrorMessage(`The provided network is not supported: ${network}`);
+                    return;
+                }
+
+                // Disconnect the wallet from the previous network
+                console.log('Disconnecting the user wallet...');
+                await wallet.clearActiveAccount();
+
+                // Stop the live updates from the previous network
+                this.subscription?.stop();
+                this.subscription = undefined;
+
+                // Switch the tezos toolkit and the data source to the new network
+                initializeTezos(network);
+                setDataSource(createDataSource(this.state.dataSourceType, network));
+
+                // Reset all the network related state parameters
+                await new Promise(resolve => this.setState({
+                    network: network,
+                    userAddress: undefined,
+                    contractAddresses: undefined,
+                    contractAddress: getStoredContractAddress(network),
+                    contractNames: getStoredContractNames(network),
+                    storage: undefined,
+                    balance: undefined,
+                    delegate: undefined,
+                    tokenBalances: undefined,
+                    userAliases: undefined,
+                    proposals: undefined,
+                    hasMoreProposals: false,
+                    proposalsOffset: 0,
+                    proposalFilters: DEFAULT_PROPOSAL_FILTERS,
+                    userVotes: undefined,
+                    votes: undefined,
+                    contract: undefined
+                }, resolve));
+
+                // Update the local storage
+                window.localStorage.multisigNetwork = network;
+
+                // Reload all the information for the new network
+                await this.loadInformation();
+            },
+
+            // Sets the type of data source used to query the blockchain information
+            setDataSourceType: async (dataSourceType) => {
+                // Return if the data source type didn't change
+                if (dataSourceType === this.state.dataSourceType) return;
+
+                // Return if the data source type is not supported
+                if (!DATA_SOURCES.includes(dataSourceType)) {
+                    this.state.setErrorMessage(`The provided data source is not supported: ${dataSourceType}`);
+                    return;
+                }
+
+                // Start using the new data source
+                setDataSource(createDataSource(dataSourceType, this.state.network));
+                this.setState({ dataSourceType: dataSourceType });
+
+                // Update the local storage
+                window.localStorage.multisigDataSource = dataSourceType;
+
+                // Reload all the information with the new data source
+                await this.loadInformation();
             },
 
             // Returns the multisig contract reference
@@ -136,8 +430,9 @@ export class MultisigContextProvider extends React.Component {
             // Connects the user wallet
             connectWallet: async () => {
                 console.log('Connecting the user wallet...');
-                await wallet.requestPermissions({ network: { type: NETWORK, rpcUrl: RPC_NODE } })
-                    .catch(error => console.log('Error while requesting wallet permissions:', error));
+                const network = NETWORKS[this.state.network];
+                await wallet.requestPermissions({ network: { type: network.beaconNetworkType, name: network.name, rpcUrl: network.rpcNode } })
+                    .catch(error => this.state.handleError('Error while requesting wallet permissions', error));
 
                 console.log('Accessing the user address...');
                 const userAddress = await utils.getUserAddress(wallet);
@@ -145,7 +440,7 @@ export class MultisigContextProvider extends React.Component {
 
                 if (this.state.storage && userAddress) {
                     console.log('Downloading the user votes...');
-                    const userVotes = await utils.getUserVotes(userAddress, this.state.storage.votes);
+                    const userVotes = await utils.getUserVotes(userAddress, this.state.storage);
                     this.setState({ userVotes: userVotes });
                 }
             },
@@ -164,6 +459,29 @@ export class MultisigContextProvider extends React.Component {
                 });
             },
 
+            // Signs a Micheline payload with the user wallet and returns the signature and the user public key
+            signPayload: async (payload) => {
+                // Check that the user is connected
+                if (!this.state.userAddress) {
+                    this.state.setErrorMessage('You need to sync your wallet to sign messages');
+                    return;
+                }
+
+                // Request the signature to the wallet
+                console.log('Requesting the payload signature...');
+                const activeAccount = await wallet.client.getActiveAccount();
+                const response = await wallet.client.requestSignPayload({ signingType: 'micheline', payload: payload, sourceAddress: this.state.userAddress })
+                    .catch(error => this.state.handleError('Error while signing the message', error));
+
+                // Return if the payload was not signed
+                if (!response || !activeAccount) return;
+
+                return {
+                    signature: response.signature,
+                    publicKey: activeAccount.publicKey
+                };
+            },
+
             // Waits for an operation to be confirmed
             confirmOperation: async (operation) => {
                 // Return if the operation is undefined
@@ -174,12 +492,20 @@ export class MultisigContextProvider extends React.Component {
 
                 // Wait for the operation to be confirmed
                 console.log('Waiting for the operation to be confirmed...');
-                await operation.confirmation(1)
-                    .then(() => console.log(`Operation confirmed: https://${NETWORK}.tzkt.io/${operation.opHash}`))
-                    .catch(error => console.log('Error while confirming the operation:', error));
+                const confirmed = await operation.confirmation(1)
+                    .then(() => {
+                        // The sandbox network doesn't have a TzKT explorer
+                        const tzktExplorer = NETWORKS[this.state.network].tzktExplorer;
+                        console.log(`Operation confirmed: ${tzktExplorer ? `${tzktExplorer}/` : ''}${operation.opHash}`);
+                        return true;
+                    })
+                    .catch(error => this.state.handleError('Error while confirming the operation', error));
 
                 // Remove the information message
                 this.state.setInformationMessage(undefined);
+
+                // Return true if the operation was confirmed
+                return confirmed === true;
             },
 
             // Creates a multisig proposal
@@ -187,14 +513,23 @@ export class MultisigContextProvider extends React.Component {
                 // Send the create proposal operation
                 console.log('Sending the create proposal operation...');
                 const operation = await entry_point(parameters).send()
-                    .catch(error => console.log('Error while sending the create proposal operation:', error));
+                    .catch(error => this.state.handleError('Error while sending the create proposal operation', error));
 
                 // Wait for the confirmation
-                await this.state.confirmOperation(operation);
+                const confirmed = await this.state.confirmOperation(operation);
 
-                // Update the proposals
-                const proposals = await utils.getBigmapKeys(this.state.storage.proposals);
-                this.setState({ proposals: proposals });
+                // Update the storage and the proposals
+                const storage = await utils.getContractStorage(this.state.contractAddress);
+                const { proposals, hasMoreProposals, proposalsOffset } = await this.state.queryProposals(storage);
+                this.setState({
+                    storage: storage,
+                    proposals: proposals,
+                    hasMoreProposals: hasMoreProposals,
+                    proposalsOffset: proposalsOffset
+                });
+
+                // Return true if the proposal was created
+                return confirmed;
             },
 
             // Creates a text proposal
@@ -212,7 +547,47 @@ export class MultisigContextProvider extends React.Component {
                 if (!contract) return;
 
                 // Create the text proposal
-                this.state.createProposal(contract.methods.text_proposal, utils.stringToHex('ipfs://' + ipfsPath));
+                return this.state.createProposal(contract.methods.text_proposal, utils.stringToHex('ipfs://' + ipfsPath));
+            },
+
+            // Creates a text proposal from a text document written in the app
+            createTextDocumentProposal: async (title, summary, body, attachmentFiles) => {
+                // Check that the document has a title and a body
+                if (!title.trim() || !body.trim()) {
+                    this.state.setErrorMessage('The text proposal needs a title and a body');
+                    return;
+                }
+
+                // Upload the attachments to IPFS
+                const attachments = [];
+
+                for (const file of attachmentFiles) {
+                    const ipfsPath = await this.state.uploadFileToIpfs(file, true);
+
+                    // Return if the upload failed
+                    if (!ipfsPath) return;
+
+                    attachments.push({
+                        name: file.name,
+                        type: file.type,
+                        size: file.size,
+                        uri: 'ipfs://' + ipfsPath
+                    });
+                }
+
+                // Upload the text document to IPFS
+                const document = {
+                    title: title.trim(),
+                    summary: summary.trim(),
+                    body: body,
+                    attachments: attachments,
+                    author: this.state.userAddress,
+                    multisig: this.state.contractAddress
+                };
+                const ipfsPath = await this.state.uploadMetadataToIpfs(document, true);
+
+                // Create the text proposal
+                if (ipfsPath) return this.state.createTextProposal(ipfsPath);
             },
 
             // Creates a transfer mutez proposal
@@ -245,7 +620,7 @@ export class MultisigContextProvider extends React.Component {
                 if (!contract) return;
 
                 // Create the transfer mutez proposal
-                this.state.createProposal(contract.methods.transfer_mutez_proposal, transfers);
+                return this.state.createProposal(contract.methods.transfer_mutez_proposal, transfers);
             },
 
             // Creates a transfer token proposal
@@ -267,6 +642,19 @@ export class MultisigContextProvider extends React.Component {
                     }
                 }
 
+                // Check that the total amount is smaller than the multisig token balance, if the token balances are known
+                if (this.state.tokenBalances) {
+                    const totalAmount = transfers.reduce((total, transfer) => total + BigInt(transfer.amount), BigInt(0));
+                    const tokenBalance = this.state.tokenBalances.find(tokenBalance => (
+                        tokenBalance.fa2 === tokenAddress && tokenBalance.tokenId === tokenId.toString()
+                    ));
+
+                    if (totalAmount > BigInt(tokenBalance?.balance ?? 0)) {
+                        this.state.setErrorMessage('The total amount of tokens to transfer is larger than the current multisig token balance');
+                        return;
+                    }
+                }
+
                 // Get the multisig contract reference
                 const contract = await this.state.getContract();
 
@@ -279,7 +667,7 @@ export class MultisigContextProvider extends React.Component {
                     token_id: tokenId,
                     distribution: transfers
                 };
-                this.state.createProposal(contract.methodsObject.transfer_token_proposal, parameters);
+                return this.state.createProposal(contract.methodsObject.transfer_token_proposal, parameters);
             },
 
             // Creates a minimum votes proposal
@@ -297,7 +685,7 @@ export class MultisigContextProvider extends React.Component {
                 if (!contract) return;
 
                 // Create the minimum votes proposal
-                this.state.createProposal(contract.methods.minimum_votes_proposal, minimumVotes);
+                return this.state.createProposal(contract.methods.minimum_votes_proposal, minimumVotes);
             },
 
             // Creates an expiration time proposal
@@ -315,7 +703,7 @@ export class MultisigContextProvider extends React.Component {
                 if (!contract) return;
 
                 // Create the expiration time proposal
-                this.state.createProposal(contract.methods.expiration_time_proposal, expirationTime);
+                return this.state.createProposal(contract.methods.expiration_time_proposal, expirationTime);
             },
 
             // Creates an add user proposal
@@ -339,7 +727,7 @@ export class MultisigContextProvider extends React.Component {
                 if (!contract) return;
 
                 // Create the add user proposal
-                this.state.createProposal(contract.methods.add_user_proposal, userAddress);
+                return this.state.createProposal(contract.methods.add_user_proposal, userAddress);
             },
 
             // Creates a remove user proposal
@@ -363,7 +751,7 @@ export class MultisigContextProvider extends React.Component {
                 if (!contract) return;
 
                 // Create the remove user proposal
-                this.state.createProposal(contract.methods.remove_user_proposal, userAddress);
+                return this.state.createProposal(contract.methods.remove_user_proposal, userAddress);
             },
 
             // Creates a lambda function proposal
@@ -386,7 +774,19 @@ export class MultisigContextProvider extends React.Component {
                 if (!contract) return;
 
                 // Create the lambda function proposal
-                this.state.createProposal(contract.methods.lambda_function_proposal, lambdaFunction);
+                return this.state.createProposal(contract.methods.lambda_function_proposal, lambdaFunction);
+            },
+
+            // Creates a lambda function proposal that changes the multisig delegate
+            createDelegationProposal: async (delegate) => {
+                // Check that the delegate is a valid tz address, or empty to remove the delegate
+                if (delegate && !(delegate.startsWith('tz') && validateAddress(delegate) === 3)) {
+                    this.state.setErrorMessage(`The provided delegate is not a valid baker address: ${delegate}`);
+                    return;
+                }
+
+                // Create the lambda function proposal
+                return this.state.createLambdaFunctionProposal(buildSetDelegateLambda(delegate));
             },
 
             // Votes a proposal
@@ -400,21 +800,219 @@ export class MultisigContextProvider extends React.Component {
                 // Send the vote proposal operation
                 console.log('Sending the vote proposal operation...');
                 const operation = await contract.methods.vote_proposal(proposalId, approval).send()
-                    .catch(error => console.log('Error while sending the vote proposal operation:', error));
+                    .catch(error => this.state.handleError('Error while sending the vote proposal operation', error));
 
                 // Wait for the confirmation
                 await this.state.confirmOperation(operation);
 
-                // Update the proposals and the user votes
+                // Update the proposals and the votes
                 const storage = this.state.storage;
-                const proposals = await utils.getBigmapKeys(storage.proposals);
-                const userVotes = await utils.getUserVotes(this.state.userAddress, storage.votes);
+                const { proposals, hasMoreProposals, proposalsOffset } = await this.state.queryProposals(storage);
+                const userVotes = await utils.getUserVotes(this.state.userAddress, storage);
+                const votes = await utils.getVotes(storage);
                 this.setState({
                     proposals: proposals,
-                    userVotes: userVotes
+                    hasMoreProposals: hasMoreProposals,
+                    proposalsOffset: proposalsOffset,
+                    userVotes: userVotes,
+                    votes: votes
                 });
             },
 
+            // Votes several proposals in a single batch operation
+            voteProposals: async (proposalIds, approval, executeApprovedProposals) => {
+                // Check that at least one proposal has been selected
+                if (proposalIds.length === 0) {
+                    this.state.setErrorMessage('At least one proposal needs to be selected');
+                    return;
+                }
+
+                // Get the multisig contract reference
+                const contract = await this.state.getContract();
+
+                // Return if the multisig contract reference is not available
+                if (!contract) return;
+
+                // Add a vote proposal operation for each proposal to the batch
+                const batch = tezos.wallet.batch();
+                proposalIds.forEach(proposalId => batch.withContractCall(contract.methods.vote_proposal(proposalId, approval)));
+
+                // Add an execute proposal operation for those proposals that will have enough positive votes
+                let executedProposals = 0;
+
+                if (approval && executeApprovedProposals) {
+                    const { storage, proposals, userVotes } = this.state;
+
+                    for (const proposalId of proposalIds) {
+                        // Get the proposal information, querying it if it's not in the loaded proposals
+                        const proposal = (proposals?.find(proposal => proposal.key === proposalId.toString()) ??
+                            await utils.getProposal(storage, proposalId))?.value;
+
+                        if (!proposal) {
+                            this.state.setErrorMessage(`The proposal #${proposalId} could not be found`);
+                            return;
+                        }
+
+                        // Calculate the positive votes that the proposal will have after the user vote
+                        const userVote = userVotes && userVotes[proposalId];
+                        const positiveVotes = parseInt(proposal.positive_votes) + (userVote === true ? 0 : 1);
+
+                        if (positiveVotes >= parseInt(storage.minimum_votes)) {
+                            batch.withContractCall(contract.methods.execute_proposal(proposalId));
+                            executedProposals++;
+                        }
+                    }
+                }
+
+                // Send the batch operation
+                console.log(`Sending the batch operation with ${proposalIds.length} votes and ${executedProposals} executions...`);
+                const operation = await batch.send()
+                    .catch(error => this.state.handleError('Error while sending the batch vote operation', error));
+
+                // Wait for the confirmation
+                await this.state.confirmOperation(operation);
+
+                // Update the storage, the balances, the delegate, the proposals and the votes
+                const storage = executedProposals > 0 ? await utils.getContractStorage(this.state.contractAddress) : this.state.storage;
+                const balance = executedProposals > 0 ? await utils.getBalance(this.state.contractAddress) : this.state.balance;
+                const delegate = executedProposals > 0 ? await utils.getDelegate(this.state.contractAddress) : this.state.delegate;
+                const tokenBalances = executedProposals > 0 ? await utils.getTokenBalances(this.state.contractAddress) : this.state.tokenBalances;
+                const { proposals, hasMoreProposals, proposalsOffset } = await this.state.queryProposals(storage);
+                const userVotes = await utils.getUserVotes(this.state.userAddress, storage);
+                const votes = await utils.getVotes(storage);
+                this.setState({
+                    storage: storage,
+                    balance: balance,
+                    delegate: delegate,
+                    tokenBalances: tokenBalances,
+                    proposals: proposals,
+                    hasMoreProposals: hasMoreProposals,
+                    proposalsOffset: proposalsOffset,
+                    userVotes: userVotes,
+                    votes: votes
+                });
+            },
+
+            // Simulates the execution of a proposal and returns the simulation results
+            simulateProposal: async (proposalId) => {
+                // Get the multisig contract reference
+                const contract = await this.state.getContract();
+
+                // Return if the multisig contract reference is not available
+                if (!contract) return;
+
+                // Return if the multisig storage is not available
+                const { storage } = this.state;
+
+                if (!storage) return;
+
+                // Use the connected user as the operation source, or any other multisig user if it's not a user
+                const users = storage.users.filter(user => user.startsWith('tz'));
+                const source = users.includes(this.state.userAddress) ? this.state.userAddress : users[0];
+
+                if (!source) {
+                    this.state.setErrorMessage('The simulation needs at least one multisig user that is not a contract');
+                    return;
+                }
+
+                // Get the proposal information, querying it if it's not in the loaded proposals
+                const proposal = (this.state.proposals?.find(proposal => proposal.key === proposalId.toString()) ??
+                    await utils.getProposal(storage, proposalId))?.value;
+
+                if (!proposal) {
+                    this.state.setErrorMessage(`The proposal #${proposalId} could not be found`);
+                    return;
+                }
+
+                // Check if the proposal has enough votes to be executed
+                const executable = parseInt(proposal.positive_votes) >= parseInt(storage.minimum_votes);
+
+                // Display the information message
+                this.state.setInformationMessage('Simulating the proposal execution...');
+
+                // Simulate the proposal execution
+                console.log('Simulating the proposal execution...');
+                const simulation = await simulateProposalExecution(tezos, contract, proposalId, source, executable)
+                    .catch(error => this.state.handleError('Error while simulating the proposal execution', error));
+
+                // Remove the information message
+                this.state.setInformationMessage(undefined);
+
+                return simulation;
+            },
+
+            // Forges an unsigned vote or execute proposal operation that can be signed offline by a multisig user
+            forgeProposalOperation: async (signerAddress, proposalId, action) => {
+                // Check that the signer is a multisig user that can sign operations
+                if (!(signerAddress?.startsWith('tz') && this.state.storage?.users.includes(signerAddress))) {
+                    this.state.setErrorMessage('The operation signer needs to be one of the multisig users with a tz address');
+                    return;
+                }
+
+                // Get the multisig contract reference
+                const contract = await this.state.getContract();
+
+                // Return if the multisig contract reference is not available
+                if (!contract) return;
+
+                // Encode the operation parameters
+                const transferParams = action === 'execute' ?
+                    contract.methods.execute_proposal(proposalId).toTransferParams() :
+                    contract.methods.vote_proposal(proposalId, action === 'approve').toTransferParams();
+
+                // Forge the operation
+                this.state.setInformationMessage('Forging the unsigned operation...');
+                console.log('Forging the unsigned operation...');
+                const operation = await forgeContractCall(tezos, transferParams, signerAddress)
+                    .catch(error => this.state.handleError('Error while forging the operation', error));
+
+                // Remove the information message
+                this.state.setInformationMessage(undefined);
+
+                return operation && Object.assign({
+                    network: this.state.network,
+                    contractAddress: this.state.contractAddress,
+                    proposalId: proposalId.toString(),
+                    action: action,
+                    signer: signerAddress
+                }, operation);
+            },
+
+            // Injects an operation forged with forgeProposalOperation that has been signed offline
+            injectSignedOperation: async (operation, signedData) => {
+                // Check that the signature is valid
+                let signedBytes;
+
+                try {
+                    signedBytes = getSignedOperationBytes(operation.forgedBytes, operation.publicKey, signedData);
+                } catch (error) {
+                    this.state.handleError('Invalid signature', error);
+                    return;
+                }
+
+                // Inject the signed operation
+                console.log('Injecting the signed operation...');
+                const hash = await tezos.rpc.injectOperation(signedBytes)
+                    .catch(error => this.state.handleError('Error while injecting the signed operation', error));
+
+                // Return if the injection failed
+                if (!hash) return;
+
+                // Wait for the confirmation
+                await this.state.confirmOperation(await tezos.operation.createOperation(hash));
+
+                // Update the multisig information
+                await this.refreshInformation(this.state.contractAddress);
+
+                return hash;
+            },
+
+            // Returns the Michelson types of a contract entrypoints
+            getContractEntrypoints: async (contractAddress) => {
+                return await getEntrypointTypes(tezos, contractAddress)
+                    .catch(error => this.state.handleError('Error while querying the contract entrypoints', error));
+            },
+
             // Executes a proposal
             executeProposal: async (proposalId) => {
                 // Get the multisig contract reference
@@ -426,54 +1024,100 @@ export class MultisigContextProvider extends React.Component {
                 // Send the execute proposal operation
                 console.log('Sending the execute proposal operation...');
                 const operation = await contract.methods.execute_proposal(proposalId).send()
-                    .catch(error => console.log('Error while sending the execute proposal operation:', error));
+                    .catch(error => this.state.handleError('Error while sending the execute proposal operation', error));
 
                 // Wait for the confirmation
                 await this.state.confirmOperation(operation);
 
-                // Update the storage, the balance, the user aliases and the proposals
+                // Update the storage, the balances, the delegate, the user aliases and the proposals
                 const storage = await utils.getContractStorage(this.state.contractAddress);
                 const balance = await utils.getBalance(this.state.contractAddress);
+                const delegate = await utils.getDelegate(this.state.contractAddress);
+                const tokenBalances = await utils.getTokenBalances(this.state.contractAddress);
                 const userAliases = await utils.getUserAliases(storage.users);
-                const proposals = await utils.getBigmapKeys(storage.proposals);
+                const { proposals, hasMoreProposals, proposalsOffset } = await this.state.queryProposals(storage);
                 this.setState({
                     storage: storage,
                     balance: balance,
+                    delegate: delegate,
+                    tokenBalances: tokenBalances,
                     userAliases: userAliases,
-                    proposals: proposals
+                    proposals: proposals,
+                    hasMoreProposals: hasMoreProposals,
+                    proposalsOffset: proposalsOffset
                 });
             },
 
-            // Originates a new multisig smart contract
-            originate: async (parameters) => {
-                const { name, users, minimumVotes, expirationTime } = parameters;
+            // Validates the new multisig parameters, uploads the contract metadata and estimates the origination cost
+            prepareOrigination: async (parameters, onProgress = () => {}) => {
+                onProgress('validate', 'running');
+
+                // Check that the user is connected
+                if (!this.state.userAddress) {
+                    this.state.setErrorMessage('You need to sync your wallet to create a new multisig');
+                    onProgress('validate', 'failed');
+                    return;
+                }
+
+                // Check that the name is not empty
+                const name = parameters.name.trim();
+
+                if (!name) {
+                    this.state.setErrorMessage('The multisig name cannot be empty');
+                    onProgress('validate', 'failed');
+                    return;
+                }
 
                 // Loop over the users information
-                for (const userAddress of users) {
+                const users = parameters.users.map(userAddress => userAddress.trim());
+
+                for (const [index, userAddress] of users.entries()) {
                     // Check that the user address is a valid address
                     if (!(userAddress && validateAddress(userAddress) === 3)) {
-                        this.setErrorMessage(`The provided user address is not a valid tezos address: ${userAddress}`);
+                        this.state.setErrorMessage(`The provided user address is not a valid tezos address: ${userAddress}`);
+                        onProgress('validate', 'failed');
+                        return;
+                    }
+
+                    // Check that the user address is not repeated
+                    if (users.indexOf(userAddress) !== index) {
+                        this.state.setErrorMessage(`The user address ${userAddress} is repeated`);
+                        onProgress('validate', 'failed');
                         return;
                     }
                 }
 
                 // Check that the minimum votes are within the expected range
-                if (minimumVotes <= 0 || minimumVotes > users.length) {
+                const minimumVotes = parseInt(parameters.minimumVotes);
+
+                if (!(minimumVotes > 0 && minimumVotes <= users.length)) {
                     this.state.setErrorMessage('The minimum votes need to be higher than 0 and less or equal to the number of multisig users');
+                    onProgress('validate', 'failed');
                     return;
                 }
 
                 // Check that the expiration time is at least one day
-                if (expirationTime <= 0) {
+                const expirationTime = parseInt(parameters.expirationTime);
+
+                if (!(expirationTime > 0)) {
                     this.state.setErrorMessage('The expiration time needs to be at least one day');
+                    onProgress('validate', 'failed');
                     return;
                 }
 
-                // Update the contract metadata
-                multisigContractMetadata.name = name;
+                onProgress('validate', 'done');
 
                 // Upload the contract metadata to ipfs
-                const metadataIpfsPath = await this.state.uploadMetadataToIpfs(multisigContractMetadata, false);
+                onProgress('metadata', 'running');
+                const metadata = Object.assign({}, multisigContractMetadata, { name: name });
+                const metadataIpfsPath = await this.state.uploadMetadataToIpfs(metadata, false);
+
+                if (!metadataIpfsPath) {
+                    onProgress('metadata', 'failed');
+                    return;
+                }
+
+                onProgress('metadata', 'done');
 
                 // Initalize the metadata big map
                 const metadataBigmap = new MichelsonMap();
@@ -490,24 +1134,80 @@ export class MultisigContextProvider extends React.Component {
                     votes: new MichelsonMap()
                 };
 
-                // Send the operation that will orininate the new multisig contract
+                // Estimate the origination cost
+                onProgress('estimate', 'running');
+                const estimate = await tezos.estimate.originate({ code: multisigContractCode, storage: storage })
+                    .catch(error => this.state.handleError('Error while estimating the origination cost', error));
+
+                if (!estimate) {
+                    onProgress('estimate', 'failed');
+                    return;
+                }
+
+                onProgress('estimate', 'done');
+
+                return {
+                    name: name,
+                    users: users,
+                    minimumVotes: minimumVotes,
+                    expirationTime: expirationTime,
+                    metadataIpfsPath: metadataIpfsPath,
+                    storage: storage,
+                    fee: estimate.suggestedFeeMutez,
+                    storageCost: estimate.burnFeeMutez,
+                    totalCost: estimate.totalCost
+                };
+            },
+
+            // Originates a new multisig contract prepared with prepareOrigination and selects it
+            originate: async (origination, onProgress = () => {}) => {
+                // Send the operation that will originate the new multisig contract
+                onProgress('send', 'running');
                 console.log('Sending the new multisig origination operation...');
-                const operation = await tezos.wallet.originate({ code: multisigContractCode, storage: storage }).send()
-                    .catch(error => console.log('Error while originating the contract:', error));
+                const operation = await tezos.wallet.originate({ code: multisigContractCode, storage: origination.storage }).send()
+                    .catch(error => this.state.handleError('Error while originating the contract', error));
+
+                if (!operation) {
+                    onProgress('send', 'failed');
+                    return;
+                }
+
+                onProgress('send', 'done');
 
                 // Display the information message
+                onProgress('confirm', 'running');
                 this.state.setInformationMessage('Waiting for the operation to be confirmed...');
 
                 // Wait for the operation to be confirmed
                 console.log('Waiting for confirmation of origination...');
-                const newContractAddress = await operation?.originationOperation()
-                    .then(op => op.metadata.operation_result.originated_contracts[0].address)
-                    .catch(error => console.log('Error while confirming the origination operation:', error));
+                const newContractAddress = await operation.originationOperation()
+                    .then(op => op.metadata.operation_result.originated_contracts[0])
+                    .catch(error => this.state.handleError('Error while confirming the origination operation', error));
 
                 // Remove the information message
                 this.state.setInformationMessage(undefined);
 
+                if (!newContractAddress) {
+                    onProgress('confirm', 'failed');
+                    return;
+                }
+
                 console.log(`Origination completed for ${newContractAddress}.`);
+                onProgress('confirm', 'done');
+
+                // Wait until the data source has the new contract information
+                onProgress('register', 'running');
+
+                for (let attempt = 0; attempt < 10 && !(await utils.getContractStorage(newContractAddress)); attempt++) {
+                    await new Promise(resolve => setTimeout(resolve, 3000));
+                }
+
+                // Register the new contract name and select it
+                this.state.setContractName(newContractAddress, origination.name);
+                await this.state.setContractAddress(newContractAddress);
+                onProgress('register', 'done');
+
+                return newContractAddress;
             },
 
             // Uploads some metadata to ipfs and returns the ipfs path
@@ -518,7 +1218,7 @@ export class MultisigContextProvider extends React.Component {
                 // Upload the metadata IPFS
                 console.log('Uploading the json metadata to ipfs...');
                 const added = await utils.uploadFileToIPFSProxy(new Blob([JSON.stringify(metadata)]))
-                    .catch(error => console.log('Error while uploading the json metadata to ipfs:', error));
+                    .catch(error => this.state.handleError('Error while uploading the json metadata to ipfs', error));
 
                 // Remove the information message
                 if (displayUploadInformation) this.state.setInformationMessage(undefined);
@@ -541,7 +1241,7 @@ export class MultisigContextProvider extends React.Component {
                 // Upload the file to IPFS
                 console.log(`Uploading ${file.name} to ipfs...`);
                 const added = await utils.uploadFileToIPFSProxy(file)
-                    .catch(error => console.log(`Error while uploading ${file.name} to ipfs:`, error));
+                    .catch(error => this.state.handleError(`Error while uploading ${file.name} to ipfs`, error));
 
                 // Remove the information message
                 if (displayUploadInformation) this.state.setInformationMessage(undefined);
@@ -551,6 +1251,10 @@ export class MultisigContextProvider extends React.Component {
             }
         };
 
+        // Initialize the tezos toolkit, the wallet and the data source
+        initializeTezos(network);
+        setDataSource(createDataSource(this.state.dataSourceType, network));
+
         // Loads all the needed information at once
         this.loadInformation = async () => {
             // Initialize the new state dictionary
@@ -560,6 +1264,12 @@ export class MultisigContextProvider extends React.Component {
             const userAddress = await utils.getUserAddress(wallet);
             newState.userAddress = userAddress;
 
+            // Return if no multisig contract has been selected yet
+            if (!this.state.contractAddress) {
+                this.setState(newState);
+                return;
+            }
+
             console.log('Getting similar multisig contracts...');
             const contractAddresses = await utils.getSimilarContractAddresses(this.state.contractAddress);
             newState.contractAddresses = contractAddresses;
@@ -572,24 +1282,166 @@ export class MultisigContextProvider extends React.Component {
             const balance = await utils.getBalance(this.state.contractAddress);
             newState.balance = balance;
 
+            console.log('Getting the multisig delegate...');
+            const delegate = await utils.getDelegate(this.state.contractAddress);
+            newState.delegate = delegate;
+
+            console.log('Getting the multisig token balances...');
+            const tokenBalances = await utils.getTokenBalances(this.state.contractAddress);
+            newState.tokenBalances = tokenBalances;
+
             if (storage) {
                 console.log('Downloading the multisig user aliases...');
                 const userAliases = await utils.getUserAliases(storage.users);
                 newState.userAliases = userAliases;
 
                 console.log('Downloading the multisig proposals...');
-                const proposals = await utils.getBigmapKeys(storage.proposals);
+                const { proposals, hasMoreProposals, proposalsOffset } = await this.state.queryProposals(storage);
                 newState.proposals = proposals;
+                newState.hasMoreProposals = hasMoreProposals;
+                newState.proposalsOffset = proposalsOffset;
+
+                console.log('Downloading the multisig votes...');
+                const votes = await utils.getVotes(storage);
+                newState.votes = votes;
 
                 if (userAddress) {
                     console.log('Downloading the user votes...');
-                    const userVotes = await utils.getUserVotes(userAddress, storage.votes);
+                    const userVotes = await utils.getUserVotes(userAddress, storage);
                     newState.userVotes = userVotes;
                 }
             }
 
             // Update the component state
-            this.setState(newState);
+            await new Promise(resolve => this.setState(newState, resolve));
+
+            // Start the live updates
+            this.subscribe();
+        };
+
+        // Reloads the multisig information that can change without any action from the user. If requested, the
+        // proposals and the votes are only reloaded when the proposals counter changed
+        this.refreshInformation = async (contractAddress, checkCounter = false) => {
+            const storage = await utils.getContractStorage(contractAddress);
+
+            if (!storage) return;
+
+            const balance = await utils.getBalance(contractAddress);
+            const delegate = await utils.getDelegate(contractAddress);
+            const tokenBalances = await utils.getTokenBalances(contractAddress);
+
+            if (checkCounter && storage.counter === this.state.storage?.counter) {
+                // The votes and the executions don't change the counter, so reload the active proposals and their votes
+                const activeProposals = (this.state.proposals ?? []).filter(proposal => (
+                    utils.getProposalStatus(proposal.value, storage.expiration_time) === 'active'));
+                const activeProposalIds = activeProposals.map(proposal => proposal.key);
+                const updatedProposals = await Promise.all(activeProposalIds.map(proposalId => utils.getProposal(storage, proposalId)));
+                const activeVotes = await utils.getVotes(storage, activeProposalIds);
+
+                // Return if the multisig contract changed in the meantime
+                if (contractAddress !== this.state.contractAddress) return;
+
+                this.setState(state => {
+                    const votes = state.votes && activeVotes && Object.assign({}, state.votes);
+                    const userVotes = state.userVotes && activeVotes && Object.assign({}, state.userVotes);
+
+                    if (votes) {
+                        activeProposalIds.forEach(proposalId => {
+                            votes[proposalId] = activeVotes[proposalId] ?? {};
+
+                            if (userVotes) {
+                                userVotes[proposalId] = votes[proposalId][state.userAddress];
+                            }
+                        });
+                    }
+
+                    return {
+                        storage: storage,
+                        balance: balance,
+                        delegate: delegate,
+                        tokenBalances: tokenBalances,
+                        proposals: updatedProposals.filter(proposal => proposal).reduce((proposals, proposal) => updateProposalList(
+                            proposals, state.hasMoreProposals, proposal, state.proposalFilters, storage.expiration_time, true), state.proposals),
+                        votes: votes ?? state.votes,
+                        userVotes: userVotes ?? state.userVotes
+                    };
+                });
+
+                return;
+            }
+
+            const { proposals, hasMoreProposals, proposalsOffset } = await this.state.queryProposals(storage);
+            const votes = await utils.getVotes(storage);
+            const userVotes = this.state.userAddress ? await utils.getUserVotes(this.state.userAddress, storage) : undefined;
+
+            // Return if the multisig contract changed in the meantime
+            if (contractAddress !== this.state.contractAddress) return;
+
+            this.setState({
+                storage: storage,
+                balance: balance,
+                delegate: delegate,
+                tokenBalances: tokenBalances,
+                proposals: proposals,
+                hasMoreProposals: hasMoreProposals,
+                proposalsOffset: proposalsOffset,
+                votes: votes,
+                userVotes: userVotes
+            });
+        };
+
+        // Starts the live updates of the selected multisig contract information
+        this.subscribe = () => {
+            // Stop the previous subscription
+            this.subscription?.stop();
+            this.subscription = undefined;
+
+            // Return if the multisig contract information is not available
+            const { contractAddress, storage } = this.state;
+
+            if (!storage) return;
+
+            // Patch the state every time the multisig contract information changes
+            this.subscription = new MultisigSubscription(contractAddress, storage, {
+                onProposalUpdate: (proposal) => {
+                    const filters = this.state.proposalFilters;
+
+                    matchesProposalSearch(proposal.value, filters, contractAddress)
+                        .then(matchesSearch => {
+                            // Return if the filters changed in the meantime
+                            if (filters !== this.state.proposalFilters) return;
+
+                            this.setState(state => ({
+                                proposals: updateProposalList(
+                                    state.proposals, state.hasMoreProposals, proposal, filters, state.storage.expiration_time, matchesSearch)
+                            }));
+                        })
+                        .catch(error => console.log('Error while updating the proposal:', error));
+                },
+                onVoteUpdate: (proposalId, userAddress, vote) => this.setState(state => ({
+                    votes: state.votes && Object.assign({}, state.votes, {
+                        [proposalId]: Object.assign({}, state.votes[proposalId], { [userAddress]: vote })
+                    }),
+                    userVotes: state.userVotes && userAddress === state.userAddress ?
+                        Object.assign({}, state.userVotes, { [proposalId]: vote }) :
+                        state.userVotes
+                })),
+                onStorageUpdate: async () => {
+                    const storage = await utils.getContractStorage(contractAddress);
+                    const tokenBalances = await utils.getTokenBalances(contractAddress);
+
+                    if (storage && contractAddress === this.state.contractAddress) {
+                        this.setState({ storage: storage, tokenBalances: tokenBalances });
+                    }
+                },
+                onAccountUpdate: (account) => this.setState({
+                    balance: account.balance,
+                    delegate: account.delegate ? { address: account.delegate.address, alias: account.delegate.alias } : null
+                }),
+                onPoll: () => this.refreshInformation(contractAddress, true),
+                onRefresh: () => this.refreshInformation(contractAddress)
+            });
+            this.subscription.start();
         };
     }
 
@@ -598,6 +1450,11 @@ export class MultisigContextProvider extends React.Component {
         this.loadInformation();
     }
 
+    componentWillUnmount() {
+        // Stop the live updates
+        this.subscription?.stop();
+    }
+
     render() {
         return (
             <MultisigContext.Provider value={this.state}>
@@ -0,0 +1,171 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MultisigContext } from './context';
+import { Button } from './button';
+import { TezosAddressLink } from './links';
+import { DEFAULT_PROPOSAL_FILTERS } from './filters';
+import * as utils from './utils';
+
+
+// The filters used to select the pending proposals
+const ACTIVE_PROPOSAL_FILTERS = Object.assign({}, DEFAULT_PROPOSAL_FILTERS, { status: 'active' });
+
+// The maximum number of multisigs that are queried at the same time
+const MAX_CONCURRENT_QUERIES = 4;
+
+export function Dashboard() {
+    // Get the required multisig context information
+    const { userAddress, contractAddress, contractAddresses, contractNames } = useContext(MultisigContext);
+
+    // Set the component state
+    const [summaries, setSummaries] = useState(undefined);
+
+    // Get the information of the multisigs where the connected user is a member
+    useEffect(() => {
+        setSummaries(undefined);
+
+        if (!(userAddress && contractAddresses)) return;
+
+        // Make sure that the selected multisig is also included
+        const addresses = contractAddresses.includes(contractAddress) ? contractAddresses : [contractAddress].concat(contractAddresses);
+
+        let ignore = false;
+        getMultisigSummaries(addresses, userAddress)
+            .then(summaries => !ignore && setSummaries(summaries))
+            .catch(error => console.log('Error while querying the multisigs information:', error));
+
+        return () => ignore = true;
+    }, [userAddress, contractAddress, contractAddresses]);
+
+    // Return if the user is not connected
+    if (!userAddress) {
+        return (
+            <section>
+                <p>Sync your wallet to see the multisigs where you are a member.</p>
+            </section>
+        );
+    }
+
+    // Return if the multisigs information has not been loaded yet
+    if (!summaries) {
+        return (
+            <section>
+                <p>Loading the multisigs information...</p>
+            </section>
+        );
+    }
+
+    return (
+        <section>
+            {summaries.length === 0 ?
+                <p>You are not a member of any multisig that uses the same contract code as the selected multisig.</p> :
+                <>
+                    <p>
+                        These are the multisigs where you are a member. Use the name fields to identify them more easily.
+                        The names are only stored in this browser.
+                    </p>
+                    <table className='dashboard-table'>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Address</th>
+                                <th>Balance</th>
+                                <th>Pending proposals</th>
+                                <th>Not voted by you</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {summaries.map(summary => (
+                                <MultisigSummary
+                                    key={summary.contractAddress}
+                                    summary={summary}
+                                    name={contractNames[summary.contractAddress] ?? ''}
+                                />
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            }
+        </section>
+    );
+}
+
+function MultisigSummary(props) {
+    // Get the required multisig context information
+    const { contractAddress, setContractName, setContractAddress } = useContext(MultisigContext);
+
+    // Set the component state
+    const [name, setName] = useState(props.name);
+
+    // Update the name every time it changes in the context
+    useEffect(() => setName(props.name), [props.name]);
+
+    // Get the navigate function
+    const navigate = useNavigate();
+
+    // Define the on click handler
+    const handleClick = async e => {
+        e.preventDefault();
+        await setContractAddress(props.summary.contractAddress);
+        navigate('/proposals');
+    };
+
+    const { summary } = props;
+
+    return (
+        <tr className={summary.contractAddress === contractAddress ? 'selected-multisig' : ''}>
+            <td>
+                <input
+                    type='text'
+                    placeholder='name'
+                    value={name}
+                    onChange={e => setName(e.target.value)}
+                    onBlur={() => name !== props.name && setContractName(summary.contractAddress, name)}
+                />
+            </td>
+            <td><TezosAddressLink address={summary.contractAddress} shorten /></td>
+            <td>{summary.balance !== undefined ? `${summary.balance / 1000000} ꜩ` : 'unknown'}</td>
+            <td>{summary.pendingProposals ?? 'unknown'}</td>
+            <td>{summary.unvotedProposals ?? 'unknown'}</td>
+            <td><Button text='open' onClick={handleClick} /></td>
+        </tr>
+    );
+}
+
+// Returns the balance and the pending proposals of the multisigs where the user is a member
+async function getMultisigSummaries(contractAddresses, userAddress) {
+    const results = [];
+
+    // Query the multisigs in small groups to avoid flooding the data source with requests
+    for (let i = 0; i < contractAddresses.length; i += MAX_CONCURRENT_QUERIES) {
+        const addresses = contractAddresses.slice(i, i + MAX_CONCURRENT_QUERIES);
+        results.push(...await Promise.allSettled(addresses.map(address => getMultisigSummary(address, userAddress))));
+    }
+
+    // Skip the multisigs that could not be queried
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.log('Error while querying the multisig summary:', result.reason));
+
+    return results.filter(result => result.status === 'fulfilled' && result.value).map(result => result.value);
+}
+
+// Returns the balance and the pending proposals of a multisig, or undefined if the user is not a member
+async function getMultisigSummary(contractAddress, userAddress) {
+    const storage = await utils.getContractStorage(contractAddress);
+
+    // Skip the multisigs where the user is not a member
+    if (!storage?.users.includes(userAddress)) return;
+
+    const balance = await utils.getBalance(contractAddress);
+    const proposals = await utils.getProposals(storage, { filters: ACTIVE_PROPOSAL_FILTERS });
+    const userVotes = await utils.getUserVotes(userAddress, storage);
+
+    return {
+        contractAddress: contractAddress,
+        balance: balance,
+        pendingProposals: proposals?.length,
+        unvotedProposals: proposals && userVotes && proposals.filter(proposal => userVotes[proposal.key] === undefined).length
+    };
+}
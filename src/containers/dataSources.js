@@ -0,0 +1,444 @@
+import axios from 'axios';
+import { TezosToolkit, BigMapAbstraction, MichelsonMap } from '@taquito/taquito';
+import { NETWORKS, DEFAULT_NETWORK, DEFAULT_DATA_SOURCE } from '../constants';
+import { hasDataSourceFilters, matchesProposalFilters, getProposalFilterParameters } from './filters';
+
+
+// The data source that is used by the utils functions
+let dataSource;
+
+// Data source that uses the TzKT indexer API
+export class TzktDataSource {
+
+    constructor(network = DEFAULT_NETWORK, apiUrl = NETWORKS[network].tzktApi) {
+        this.type = 'tzkt';
+        this.network = network;
+        this.apiUrl = apiUrl;
+    }
+
+    // Returns the addresses of similar contracts
+    async getSimilarContractAddresses(contractAddress) {
+        const parameters = {
+            select: 'address'
+        };
+        const response = await axios.get(`${this.apiUrl}/v1/contracts/${contractAddress}/same`, { params: parameters })
+            .catch(error => console.log('Error while querying similar contract addresses:', error));
+
+        return response?.data.reverse();
+    }
+
+    // Returns the contract storage
+    async getContractStorage(contractAddress) {
+        const response = await axios.get(`${this.apiUrl}/v1/contracts/${contractAddress}/storage`)
+            .catch(error => console.log('Error while querying the contract storage:', error));
+
+        return response?.data;
+    }
+
+    // Returns the account balance in mutez
+    async getBalance(account) {
+        const response = await axios.get(`${this.apiUrl}/v1/accounts/${account}/balance`)
+            .catch(error => console.log('Error while querying the account balance:', error));
+
+        return response?.data;
+    }
+
+    // Returns the account token balances
+    async getTokenBalances(account) {
+        const parameters = {
+            account: account,
+            'balance.ne': '0',
+            limit: 10000,
+            select: 'token,balance'
+        };
+        const response = await axios.get(`${this.apiUrl}/v1/tokens/balances`, { params: parameters })
+            .catch(error => console.log('Error while querying the account token balances:', error));
+
+        return response?.data.map(tokenBalance => ({
+            fa2: tokenBalance.token.contract.address,
+            tokenId: tokenBalance.token.tokenId,
+            standard: tokenBalance.token.standard,
+            balance: tokenBalance.balance,
+            name: tokenBalance.token.metadata?.name ?? tokenBalance.token.metadata?.symbol,
+            symbol: tokenBalance.token.metadata?.symbol,
+            decimals: parseInt(tokenBalance.token.metadata?.decimals ?? 0),
+            thumbnail: tokenBalance.token.metadata?.thumbnailUri ?? tokenBalance.token.metadata?.displayUri
+        }));
+    }
+
+    // Returns the account delegate address and alias
+    async getDelegate(account) {
+        const response = await axios.get(`${this.apiUrl}/v1/accounts/${account}`)
+            .catch(error => console.log('Error while querying the account delegate:', error));
+        const delegate = response?.data?.delegate;
+
+        return response && (delegate ? { address: delegate.address, alias: delegate.alias } : null);
+    }
+
+    // Returns some bigmap keys
+    async getBigmapKeys(bigmap, extraParameters = {}) {
+        const parameters = Object.assign(
+            {
+                limit: 10000,
+                active: true,
+                select: 'key,value',
+            },
+            extraParameters);
+        const response = await axios.get(`${this.apiUrl}/v1/bigmaps/${bigmap}/keys`, { params: parameters })
+            .catch(error => console.log('Error while querying the bigmap keys:', error));
+
+        return response?.data.reverse();
+    }
+
+    // Returns the multisig proposals, starting from the most recent one
+    async getProposals(storage, options = {}) {
+        const parameters = Object.assign(
+            {
+                offset: options.offset ?? 0,
+                limit: options.limit ?? 10000,
+                active: true,
+                select: 'key,value',
+                'sort.desc': 'id'
+            },
+            getProposalFilterParameters(options.filters, storage.expiration_time));
+        const response = await axios.get(`${this.apiUrl}/v1/bigmaps/${storage.proposals}/keys`, { params: parameters })
+            .catch(error => console.log('Error while querying the multisig proposals:', error));
+
+        return response?.data;
+    }
+
+    // Returns a single multisig proposal, or null if it doesn't exist
+    async getProposal(storage, proposalId) {
+        const parameters = {
+            select: 'key,value'
+        };
+        const response = await axios.get(`${this.apiUrl}/v1/bigmaps/${storage.proposals}/keys/${proposalId}`, { params: parameters })
+            .catch(error => console.log('Error while querying the multisig proposal:', error));
+
+        return response && (response.data ? response.data : null);
+    }
+
+    // Returns the user votes
+    async getUserVotes(userAddress, storage) {
+        // Download the user votes from the votes bigmap
+        const extraParameters = { 'key.address': userAddress };
+        const votes = await this.getBigmapKeys(storage.votes, extraParameters);
+
+        // Rearange the user votes information in a dictionary
+        const userVotes = votes ? {} : undefined;
+        votes?.forEach(vote => userVotes[vote.key.nat] = vote.value);
+
+        return userVotes;
+    }
+
+    // Returns all the multisig votes, or only the votes of the given proposals
+    async getVotes(storage, proposalIds) {
+        // Download the votes from the votes bigmap
+        const extraParameters = proposalIds ? { 'key.nat.in': proposalIds.join(',') } : {};
+        const votes = proposalIds?.length === 0 ? [] : await this.getBigmapKeys(storage.votes, extraParameters);
+
+        return votes && groupVotes(votes.map(vote => [vote.key.nat, vote.key.address, vote.value]));
+    }
+
+    // Returns the hash of the operation that executed a given proposal
+    async getExecutionOperationHash(contractAddress, proposalId) {
+        const parameters = {
+            target: contractAddress,
+            entrypoint: 'execute_proposal',
+            parameter: proposalId,
+            status: 'applied',
+            select: 'hash',
+            limit: 1
+        };
+        const response = await axios.get(`${this.apiUrl}/v1/operations/transactions`, { params: parameters })
+            .catch(error => console.log('Error while querying the proposal execution operation:', error));
+
+        return response?.data[0];
+    }
+
+    // Returns the hashes of the operations that executed the multisig proposals, indexed by proposal id
+    async getExecutionOperationHashes(contractAddress) {
+        const parameters = {
+            target: contractAddress,
+            entrypoint: 'execute_proposal',
+            status: 'applied',
+            select: 'hash,parameter',
+            limit: 10000
+        };
+        const response = await axios.get(`${this.apiUrl}/v1/operations/transactions`, { params: parameters })
+            .catch(error => console.log('Error while querying the proposal execution operations:', error));
+
+        // Rearange the operation hashes in a dictionary
+        const hashes = response ? {} : undefined;
+        response?.data.forEach(operation => hashes[operation.parameter.value] = operation.hash);
+
+        return hashes;
+    }
+}
+
+// Data source that reads the information directly from a tezos RPC node
+export class RpcDataSource {
+
+    constructor(rpcNode = NETWORKS[DEFAULT_NETWORK].rpcNode) {
+        this.type = 'rpc';
+        this.rpcNode = rpcNode;
+        this.tezos = new TezosToolkit(rpcNode);
+
+        // The bigmap references found while reading the contract storages
+        this.bigmaps = {};
+    }
+
+    // Returns the addresses of similar contracts
+    async getSimilarContractAddresses(contractAddress) {
+        // The RPC node cannot search contracts by code, so we only return the given contract
+        return [contractAddress];
+    }
+
+    // Returns the contract storage using the same format as the TzKT API
+    async getContractStorage(contractAddress) {
+        const contract = await this.tezos.contract.at(contractAddress)
+            .catch(error => console.log('Error while accessing the contract:', error));
+        const storage = await contract?.storage()
+            .catch(error => console.log('Error while querying the contract storage:', error));
+
+        return storage && this.toIndexerFormat(storage);
+    }
+
+    // Returns the account balance in mutez
+    async getBalance(account) {
+        const balance = await this.tezos.tz.getBalance(account)
+            .catch(error => console.log('Error while querying the account balance:', error));
+
+        return balance?.toNumber();
+    }
+
+    // Returns the account token balances
+    async getTokenBalances(account) {
+        // The RPC node cannot list the tokens owned by an account without an indexer
+        return undefined;
+    }
+
+    // Returns the account delegate address
+    async getDelegate(account) {
+        const delegate = await this.tezos.rpc.getDelegate(account)
+            .catch(error => console.log('Error while querying the account delegate:', error));
+
+        // The RPC node doesn't know the baker aliases
+        return delegate === undefined ? undefined : (delegate ? { address: delegate, alias: undefined } : null);
+    }
+
+    // Returns the multisig proposals, starting from the most recent one
+    async getProposals(storage, options = {}) {
+        // Get the proposals bigmap reference
+        const bigmap = this.getBigmap(storage.proposals);
+
+        if (!bigmap) return;
+
+        // The proposal ids go from the current counter value to 0. Without filters, only the requested page is queried
+        const offset = options.offset ?? 0;
+        const limit = options.limit ?? 10000;
+        const filtered = hasDataSourceFilters(options.filters);
+        const lastProposalId = parseInt(storage.counter) - 1 - (filtered ? 0 : offset);
+        const nProposals = filtered ? lastProposalId + 1 : Math.max(0, Math.min(limit, lastProposalId + 1));
+        const proposalIds = [...Array(nProposals).keys()].map(index => lastProposalId - index);
+        const values = await bigmap.getMultipleValues(proposalIds, undefined, 20)
+            .catch(error => console.log('Error while querying the bigmap values:', error));
+
+        if (!values) return;
+
+        // Rearange the proposals in the same way as the TzKT API bigmap keys
+        const proposals = [];
+
+        for (const proposalId of proposalIds) {
+            const proposal = values.get(proposalId);
+
+            if (proposal) {
+                proposals.push({
+                    key: proposalId.toString(),
+                    value: this.toIndexerFormat(proposal)
+                });
+            }
+        }
+
+        // The RPC node cannot filter the proposals, so they are filtered here
+        if (filtered) {
+            const now = new Date();
+
+            return proposals
+                .filter(proposal => matchesProposalFilters(proposal.value, options.filters, storage.expiration_time, now))
+                .slice(offset, offset + limit);
+        }
+
+        return proposals;
+    }
+
+    // Returns a single multisig proposal, or null if it doesn't exist
+    async getProposal(storage, proposalId) {
+        // Get the proposals bigmap reference
+        const bigmap = this.getBigmap(storage.proposals);
+
+        if (!bigmap) return;
+
+        const proposal = await bigmap.get(proposalId.toString())
+            .catch(error => console.log('Error while querying the bigmap value:', error));
+
+        return proposal ? { key: proposalId.toString(), value: this.toIndexerFormat(proposal) } : null;
+    }
+
+    // Returns the user votes
+    async getUserVotes(userAddress, storage) {
+        // Get the votes bigmap reference
+        const bigmap = this.getBigmap(storage.votes);
+
+        if (!bigmap) return;
+
+        // Query the user vote for every proposal
+        const keys = [...Array(parseInt(storage.counter)).keys()].map(proposalId => ({ 0: proposalId, 1: userAddress }));
+        const values = await bigmap.getMultipleValues(keys, undefined, 20)
+            .catch(error => console.log('Error while querying the bigmap values:', error));
+
+        if (!values) return;
+
+        // Rearange the user votes information in a dictionary
+        const userVotes = {};
+
+        for (const [key, vote] of values.entries()) {
+            if (vote !== undefined) {
+                userVotes[key[0].toString()] = vote;
+            }
+        }
+
+        return userVotes;
+    }
+
+    // Returns all the multisig votes, or only the votes of the given proposals
+    async getVotes(storage, proposalIds) {
+        // Get the votes bigmap reference
+        const bigmap = this.getBigmap(storage.votes);
+
+        if (!bigmap) return;
+
+        // Query the vote of every multisig user for every proposal
+        const keys = [];
+
+        for (const proposalId of proposalIds ?? [...Array(parseInt(storage.counter)).keys()]) {
+            storage.users.forEach(userAddress => keys.push({ 0: parseInt(proposalId), 1: userAddress }));
+        }
+
+        const values = await bigmap.getMultipleValues(keys, undefined, 20)
+            .catch(error => console.log('Error while querying the bigmap values:', error));
+
+        if (!values) return;
+
+        // Remove the votes that don't exist
+        const votes = [];
+
+        for (const [key, vote] of values.entries()) {
+            if (vote !== undefined) {
+                votes.push([key[0].toString(), key[1], vote]);
+            }
+        }
+
+        return groupVotes(votes);
+    }
+
+    // Returns the hash of the operation that executed a given proposal
+    async getExecutionOperationHash(contractAddress, proposalId) {
+        // The RPC node doesn't index the operations, so we cannot search for it
+        return undefined;
+    }
+
+    // Returns the hashes of the operations that executed the multisig proposals, indexed by proposal id
+    async getExecutionOperationHashes(contractAddress) {
+        // The RPC node doesn't index the operations, so we cannot search for them
+        return {};
+    }
+
+    // Returns the bigmap reference associated to a given bigmap id
+    getBigmap(bigmapId) {
+        const bigmap = this.bigmaps[bigmapId];
+
+        if (!bigmap) {
+            console.log(`The bigmap ${bigmapId} is not accessible. Load first the contract storage.`);
+        }
+
+        return bigmap;
+    }
+
+    // Transforms the values returned by taquito to the format used by the TzKT API
+    toIndexerFormat(value) {
+        if (value === null || value === undefined) {
+            return value;
+        } else if (value instanceof BigMapAbstraction) {
+            // Save the bigmap reference and return its id
+            const bigmapId = parseInt(value.toString());
+            this.bigmaps[bigmapId] = value;
+
+            return bigmapId;
+        } else if (value._isBigNumber) {
+            // The TzKT API returns the integers as strings
+            return value.toFixed();
+        } else if (MichelsonMap.isMichelsonMap(value)) {
+            const map = {};
+            value.forEach((mapValue, mapKey) => map[mapKey] = this.toIndexerFormat(mapValue));
+
+            return map;
+        } else if (typeof value === 'symbol') {
+            // Unit values are represented as empty objects by the TzKT API
+            return {};
+        } else if (Array.isArray(value)) {
+            return value.map(element => this.toIndexerFormat(element));
+        } else if (typeof value === 'object') {
+            const object = {};
+
+            for (const [key, objectValue] of Object.entries(value)) {
+                // The TzKT API returns the lambda functions as Michelson JSON strings
+                object[key] = key === 'lambda_function' && objectValue ?
+                    JSON.stringify(objectValue) :
+                    this.toIndexerFormat(objectValue);
+            }
+
+            return object;
+        }
+
+        return value;
+    }
+}
+
+// Groups a list of [proposal id, user address, vote] votes by proposal id
+function groupVotes(votes) {
+    const groupedVotes = {};
+
+    for (const [proposalId, userAddress, vote] of votes) {
+        if (!groupedVotes[proposalId]) {
+            groupedVotes[proposalId] = {};
+        }
+
+        groupedVotes[proposalId][userAddress] = vote;
+    }
+
+    return groupedVotes;
+}
+
+// Creates a new data source of the given type
+export function createDataSource(type, network = DEFAULT_NETWORK) {
+    if (type === 'rpc') {
+        return new RpcDataSource(NETWORKS[network].rpcNode);
+    }
+
+    return new TzktDataSource(network);
+}
+
+// Returns the data source that is currently in use
+export function getDataSource() {
+    if (!dataSource) {
+        dataSource = createDataSource(DEFAULT_DATA_SOURCE);
+    }
+
+    return dataSource;
+}
+
+// Sets the data source that should be used to query the blockchain information
+export function setDataSource(newDataSource) {
+    dataSource = newDataSource;
+}
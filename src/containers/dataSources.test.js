@@ -0,0 +1,419 @@
+import axios from 'axios';
+import { HttpResponseError } from '@taquito/http-utils';
+import { packDataBytes } from '@taquito/michel-codec';
+import { encodeExpr } from '@taquito/utils';
+import { NETWORKS } from '../constants';
+import { TzktDataSource, RpcDataSource, createDataSource, getDataSource, setDataSource } from './dataSources';
+
+
+jest.mock('axios');
+
+// The multisig used in the tests
+const CONTRACT_ADDRESS = 'KT1PKBTVmdxfgkFvSeNUQacYiEFsPBw16B4P';
+const USERS = ['tz1RS9GoEXakf9iyBmSaheLMcakFRtzBXpWE', 'tz1UBZUkXpKGhYsP5KtzDNqLLchwF4uHrGjw'];
+const DELEGATE_ADDRESS = 'tz1YgDUQV2eXm8pUWNz3S5aWP86iFzNp4jnD';
+const API_URL = 'https://api.tzkt.test';
+const STORAGE = { counter: '3', expiration_time: '5', proposals: 100, votes: 101, users: USERS };
+
+// Load the multisig smart contract code
+const multisigContractCode = require('../contract/multisigContract.json');
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('createDataSource', () => {
+    test('creates the data sources for the selected network', () => {
+        const tzktDataSource = createDataSource('tzkt', 'ghostnet');
+        expect(tzktDataSource).toBeInstanceOf(TzktDataSource);
+        expect(tzktDataSource.type).toBe('tzkt');
+        expect(tzktDataSource.network).toBe('ghostnet');
+        expect(tzktDataSource.apiUrl).toBe(NETWORKS.ghostnet.tzktApi);
+
+        const rpcDataSource = createDataSource('rpc', 'ghostnet');
+        expect(rpcDataSource).toBeInstanceOf(RpcDataSource);
+        expect(rpcDataSource.type).toBe('rpc');
+        expect(rpcDataSource.rpcNode).toBe(NETWORKS.ghostnet.rpcNode);
+    });
+
+    test('uses the TzKT API on mainnet by default', () => {
+        const dataSource = createDataSource();
+        expect(dataSource).toBeInstanceOf(TzktDataSource);
+        expect(dataSource.apiUrl).toBe(NETWORKS.mainnet.tzktApi);
+    });
+
+    test('sets the data source used by the app', () => {
+        expect(getDataSource()).toBeInstanceOf(TzktDataSource);
+
+        const dataSource = createDataSource('rpc');
+        setDataSource(dataSource);
+        expect(getDataSource()).toBe(dataSource);
+    });
+});
+
+describe('TzktDataSource', () => {
+    const dataSource = new TzktDataSource('mainnet', API_URL);
+
+    test('queries the proposals', async () => {
+        const proposals = [{ key: '2', value: {} }, { key: '1', value: {} }];
+        axios.get.mockResolvedValue({ data: proposals });
+
+        expect(await dataSource.getProposals(STORAGE)).toEqual(proposals);
+        expect(axios.get).toHaveBeenCalledWith(`${API_URL}/v1/bigmaps/100/keys`, {
+            params: { offset: 0, limit: 10000, active: true, select: 'key,value', 'sort.desc': 'id' }
+        });
+    });
+
+    test('queries a page of proposals', async () => {
+        const proposals = [{ key: '2', value: {} }, { key: '1', value: {} }];
+        axios.get.mockResolvedValue({ data: proposals });
+
+        expect(await dataSource.getProposals(STORAGE, { offset: 50, limit: 51 })).toEqual(proposals);
+        expect(axios.get).toHaveBeenCalledWith(`${API_URL}/v1/bigmaps/100/keys`, {
+            params: { offset: 50, limit: 51, active: true, select: 'key,value', 'sort.desc': 'id' }
+        });
+    });
+
+    test('sends the proposal filters as query parameters', async () => {
+        axios.get.mockResolvedValue({ data: [] });
+
+        const filters = {
+            kind: 'text',
+            status: 'executed',
+            issuer: USERS[0],
+            from: '2022-01-01',
+            to: '2022-01-31',
+            destination: USERS[1],
+            token: '',
+            search: 'some text'
+        };
+        await dataSource.getProposals(STORAGE, { filters: filters });
+
+        // The destination and search filters are applied by the app
+        expect(axios.get).toHaveBeenCalledWith(`${API_URL}/v1/bigmaps/100/keys`, {
+            params: {
+                offset: 0,
+                limit: 10000,
+                active: true,
+                select: 'key,value',
+                'sort.desc': 'id',
+                'value.kind.text.null': false,
+                'value.issuer': USERS[0],
+                'value.executed': true,
+                'value.timestamp.ge': '2022-01-01T00:00:00Z',
+                'value.timestamp.lt': '2022-02-01T00:00:00Z'
+            }
+        });
+    });
+
+    test('queries a single proposal', async () => {
+        axios.get.mockResolvedValue({ data: { key: '2', value: {} } });
+
+        expect(await dataSource.getProposal(STORAGE, 2)).toEqual({ key: '2', value: {} });
+        expect(axios.get).toHaveBeenCalledWith(`${API_URL}/v1/bigmaps/100/keys/2`, { params: { select: 'key,value' } });
+
+        // The TzKT API returns an empty response if the key doesn't exist
+        axios.get.mockResolvedValue({ data: '' });
+        expect(await dataSource.getProposal(STORAGE, 5)).toBeNull();
+    });
+
+    test('rearranges the user votes by proposal id', async () => {
+        axios.get.mockResolvedValue({
+            data: [
+                { key: { nat: '2', address: USERS[0] }, value: false },
+                { key: { nat: '0', address: USERS[0] }, value: true }
+            ]
+        });
+
+        expect(await dataSource.getUserVotes(USERS[0], STORAGE)).toEqual({ 0: true, 2: false });
+        expect(axios.get).toHaveBeenCalledWith(`${API_URL}/v1/bigmaps/101/keys`, {
+            params: { limit: 10000, active: true, select: 'key,value', 'key.address': USERS[0] }
+        });
+    });
+
+    test('groups all the votes by proposal id', async () => {
+        axios.get.mockResolvedValue({
+            data: [
+                { key: { nat: '1', address: USERS[1] }, value: true },
+                { key: { nat: '1', address: USERS[0] }, value: false },
+                { key: { nat: '0', address: USERS[0] }, value: true }
+            ]
+        });
+
+        expect(await dataSource.getVotes(STORAGE)).toEqual({
+            0: { [USERS[0]]: true },
+            1: { [USERS[0]]: false, [USERS[1]]: true }
+        });
+    });
+
+    test('only requests the votes of the given proposals', async () => {
+        axios.get.mockResolvedValue({ data: [{ key: { nat: '2', address: USERS[0] }, value: true }] });
+
+        expect(await dataSource.getVotes(STORAGE, ['2', '3'])).toEqual({ 2: { [USERS[0]]: true } });
+        expect(axios.get).toHaveBeenCalledWith(`${API_URL}/v1/bigmaps/101/keys`, {
+            params: { limit: 10000, active: true, select: 'key,value', 'key.nat.in': '2,3' }
+        });
+
+        axios.get.mockClear();
+        expect(await dataSource.getVotes(STORAGE, [])).toEqual({});
+        expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('returns the account delegate', async () => {
+        axios.get.mockResolvedValue({
+            data: { address: CONTRACT_ADDRESS, alias: 'Multisig', delegate: { address: DELEGATE_ADDRESS, alias: 'Baker' } }
+        });
+
+        expect(await dataSource.getDelegate(CONTRACT_ADDRESS)).toEqual({ address: DELEGATE_ADDRESS, alias: 'Baker' });
+        expect(axios.get).toHaveBeenCalledWith(`${API_URL}/v1/accounts/${CONTRACT_ADDRESS}`);
+
+        // Accounts without delegate
+        axios.get.mockResolvedValue({ data: { address: CONTRACT_ADDRESS, alias: 'Multisig' } });
+        expect(await dataSource.getDelegate(CONTRACT_ADDRESS)).toBeNull();
+    });
+
+    test('returns the token balances with their metadata', async () => {
+        axios.get.mockResolvedValue({
+            data: [{
+                token: {
+                    contract: { address: 'KT1RJ6PbjHpwc3M5rw5s2Nbmefwbuwbdxton' },
+                    tokenId: '5',
+                    standard: 'fa2',
+                    metadata: { name: 'Token', symbol: 'TKN', decimals: '6', displayUri: 'ipfs://display' }
+                },
+                balance: '2000000'
+            }]
+        });
+
+        expect(await dataSource.getTokenBalances(CONTRACT_ADDRESS)).toEqual([{
+            fa2: 'KT1RJ6PbjHpwc3M5rw5s2Nbmefwbuwbdxton',
+            tokenId: '5',
+            standard: 'fa2',
+            balance: '2000000',
+            name: 'Token',
+            symbol: 'TKN',
+            decimals: 6,
+            thumbnail: 'ipfs://display'
+        }]);
+        expect(axios.get).toHaveBeenCalledWith(`${API_URL}/v1/tokens/balances`, {
+            params: { account: CONTRACT_ADDRESS, 'balance.ne': '0', limit: 10000, select: 'token,balance' }
+        });
+    });
+
+    test('indexes the execution operation hashes by proposal id', async () => {
+        axios.get.mockResolvedValue({
+            data: [{ hash: 'opHash1', parameter: { value: '1' } }, { hash: 'opHash3', parameter: { value: '3' } }]
+        });
+
+        expect(await dataSource.getExecutionOperationHashes(CONTRACT_ADDRESS)).toEqual({ 1: 'opHash1', 3: 'opHash3' });
+        expect(axios.get).toHaveBeenCalledWith(`${API_URL}/v1/operations/transactions`, {
+            params: { target: CONTRACT_ADDRESS, entrypoint: 'execute_proposal', status: 'applied', select: 'hash,parameter', limit: 10000 }
+        });
+    });
+
+    test('returns undefined if the TzKT API cannot be reached', async () => {
+        axios.get.mockRejectedValue(new Error('Network Error'));
+
+        expect(await dataSource.getContractStorage(CONTRACT_ADDRESS)).toBeUndefined();
+        expect(await dataSource.getProposals(STORAGE)).toBeUndefined();
+        expect(await dataSource.getProposal(STORAGE, 1)).toBeUndefined();
+        expect(await dataSource.getUserVotes(USERS[0], STORAGE)).toBeUndefined();
+        expect(await dataSource.getVotes(STORAGE)).toBeUndefined();
+        expect(await dataSource.getDelegate(CONTRACT_ADDRESS)).toBeUndefined();
+        expect(await dataSource.getExecutionOperationHashes(CONTRACT_ADDRESS)).toBeUndefined();
+    });
+});
+
+describe('RpcDataSource', () => {
+    // Returns the Michelson value of a multisig proposal
+    function encodeProposal(kind, timestamp, options = {}) {
+        // The proposal kinds are encoded as nested or types
+        const kinds = {
+            add_user: ['Left', 'Left', 'Left'],
+            text: ['Right', 'Left', 'Right'],
+            transfer_mutez: ['Right', 'Right', 'Left'],
+            lambda_function: ['Left', 'Right', 'Left']
+        };
+        const encodedKind = kinds[kind].reduceRight((value, prim) => ({ prim: prim, args: [value] }), { prim: 'Unit' });
+        const option = value => value ? { prim: 'Some', args: [value] } : { prim: 'None' };
+        const fields = [
+            encodedKind,
+            { prim: options.executed ? 'True' : 'False' },
+            { string: USERS[0] },
+            { string: timestamp },
+            option(options.text && { bytes: options.text }),
+            { int: options.positiveVotes ?? '0' },
+            option(options.transfers && options.transfers.map(transfer => (
+                { prim: 'Pair', args: [{ int: transfer.amount }, { string: transfer.destination }] }))),
+            option(undefined),
+            option(undefined),
+            option(undefined),
+            option(options.user && { string: options.user }),
+            option(options.lambda)
+        ];
+
+        return fields.reduceRight((value, field) => ({ prim: 'Pair', args: [field, value] }));
+    }
+
+    // Returns the script expression hash of a bigmap key
+    function getExpression(key, type) {
+        return encodeExpr(packDataBytes(key, type).bytes);
+    }
+
+    // The multisig storage and bigmap values returned by the mocked RPC node
+    const storage = {
+        prim: 'Pair',
+        args: [
+            { prim: 'Pair', args: [{ int: '3' }, { int: '5' }, { int: '99' }] },
+            { prim: 'Pair', args: [{ prim: 'Pair', args: [{ int: '2' }, { int: '100' }] }, USERS.map(user => ({ string: user })), { int: '101' }] }
+        ]
+    };
+    const lambda = [{ prim: 'DROP' }, { prim: 'NIL', args: [{ prim: 'operation' }] }];
+    const bigmapValues = {
+        100: {
+            [getExpression({ int: '0' }, { prim: 'nat' })]: encodeProposal('add_user', '2022-01-01T00:00:00Z', { executed: true, positiveVotes: '2', user: USERS[1] }),
+            [getExpression({ int: '1' }, { prim: 'nat' })]: encodeProposal('transfer_mutez', '2022-01-02T00:00:00Z', {
+                positiveVotes: '1',
+                transfers: [{ amount: '1500000', destination: USERS[1] }]
+            }),
+            [getExpression({ int: '2' }, { prim: 'nat' })]: encodeProposal('lambda_function', '2022-01-03T00:00:00Z', { lambda: lambda })
+        },
+        101: {
+            [getExpression({ prim: 'Pair', args: [{ int: '0' }, { string: USERS[0] }] }, { prim: 'pair', args: [{ prim: 'nat' }, { prim: 'address' }] })]: { prim: 'True' },
+            [getExpression({ prim: 'Pair', args: [{ int: '0' }, { string: USERS[1] }] }, { prim: 'pair', args: [{ prim: 'nat' }, { prim: 'address' }] })]: { prim: 'True' },
+            [getExpression({ prim: 'Pair', args: [{ int: '1' }, { string: USERS[0] }] }, { prim: 'pair', args: [{ prim: 'nat' }, { prim: 'address' }] })]: { prim: 'False' }
+        }
+    };
+
+    // Creates a data source that reads the information from the mocked RPC node
+    function createRpcDataSource() {
+        const dataSource = new RpcDataSource('http://localhost:20000');
+        const rpc = dataSource.tezos.rpc;
+        jest.spyOn(rpc, 'getNormalizedScript').mockResolvedValue({ code: multisigContractCode, storage: storage });
+        jest.spyOn(rpc, 'getEntrypoints').mockResolvedValue({ entrypoints: {} });
+        jest.spyOn(rpc, 'getBlockHeader').mockResolvedValue({ level: 1000, hash: 'BLockHash' });
+        jest.spyOn(rpc, 'getDelegate').mockResolvedValue(null);
+        jest.spyOn(rpc, 'packData').mockImplementation(async ({ data, type }) => ({ packed: packDataBytes(data, type).bytes }));
+        jest.spyOn(rpc, 'getBigMapExpr').mockImplementation(async (id, expression) => {
+            const value = bigmapValues[id]?.[expression];
+
+            if (!value) {
+                throw new HttpResponseError('Not found', 404, 'Not Found', '', `/big_maps/${id}/${expression}`);
+            }
+
+            return value;
+        });
+
+        return dataSource;
+    }
+
+    test('decodes the contract storage in the TzKT format', async () => {
+        const dataSource = createRpcDataSource();
+
+        expect(await dataSource.getContractStorage(CONTRACT_ADDRESS)).toEqual({
+            counter: '3',
+            expiration_time: '5',
+            metadata: 99,
+            minimum_votes: '2',
+            proposals: 100,
+            users: USERS,
+            votes: 101
+        });
+
+        // The bigmap references are kept to query the proposals and votes
+        expect(Object.keys(dataSource.bigmaps)).toEqual(['99', '100', '101']);
+    });
+
+    test('decodes the proposals bigmap values', async () => {
+        const dataSource = createRpcDataSource();
+        const multisigStorage = await dataSource.getContractStorage(CONTRACT_ADDRESS);
+        const proposals = await dataSource.getProposals(multisigStorage);
+
+        expect(proposals.map(proposal => proposal.key)).toEqual(['2', '1', '0']);
+        expect(proposals[0].value).toMatchObject({
+            kind: { lambda_function: {} },
+            executed: false,
+            issuer: USERS[0],
+            text: null,
+            positive_votes: '0',
+            mutez_transfers: null,
+            lambda_function: JSON.stringify(lambda)
+        });
+        expect(proposals[1].value).toMatchObject({
+            kind: { transfer_mutez: {} },
+            positive_votes: '1',
+            mutez_transfers: [{ amount: '1500000', destination: USERS[1] }],
+            lambda_function: null
+        });
+        expect(proposals[2].value).toMatchObject({
+            kind: { add_user: {} },
+            executed: true,
+            positive_votes: '2',
+            user: USERS[1]
+        });
+        expect(new Date(proposals[2].value.timestamp)).toEqual(new Date('2022-01-01T00:00:00Z'));
+    });
+
+    test('queries only the requested page of proposals', async () => {
+        const dataSource = createRpcDataSource();
+        const multisigStorage = await dataSource.getContractStorage(CONTRACT_ADDRESS);
+        const proposals = await dataSource.getProposals(multisigStorage, { offset: 1, limit: 1 });
+
+        expect(proposals.map(proposal => proposal.key)).toEqual(['1']);
+        expect(dataSource.tezos.rpc.getBigMapExpr).toHaveBeenCalledTimes(1);
+    });
+
+    test('applies the proposal filters to the decoded proposals', async () => {
+        const dataSource = createRpcDataSource();
+        const multisigStorage = await dataSource.getContractStorage(CONTRACT_ADDRESS);
+        const filters = { kind: '', status: 'executed', issuer: '', from: '', to: '' };
+
+        const proposals = await dataSource.getProposals(multisigStorage, { filters: filters });
+        expect(proposals.map(proposal => proposal.key)).toEqual(['0']);
+    });
+
+    test('returns null for the proposals that don\'t exist', async () => {
+        const dataSource = createRpcDataSource();
+        const multisigStorage = await dataSource.getContractStorage(CONTRACT_ADDRESS);
+
+        expect((await dataSource.getProposal(multisigStorage, 1)).value.positive_votes).toBe('1');
+        expect(await dataSource.getProposal(multisigStorage, 7)).toBeNull();
+    });
+
+    test('decodes the user votes from the votes bigmap', async () => {
+        const dataSource = createRpcDataSource();
+        const multisigStorage = await dataSource.getContractStorage(CONTRACT_ADDRESS);
+
+        expect(await dataSource.getUserVotes(USERS[0], multisigStorage)).toEqual({ 0: true, 1: false });
+    });
+
+    test('decodes all the votes from the votes bigmap', async () => {
+        const dataSource = createRpcDataSource();
+        const multisigStorage = await dataSource.getContractStorage(CONTRACT_ADDRESS);
+
+        expect(await dataSource.getVotes(multisigStorage)).toEqual({
+            0: { [USERS[0]]: true, [USERS[1]]: true },
+            1: { [USERS[0]]: false }
+        });
+    });
+
+    test('needs the contract storage to access the bigmaps', async () => {
+        const dataSource = createRpcDataSource();
+
+        expect(await dataSource.getProposals(STORAGE)).toBeUndefined();
+        expect(await dataSource.getVotes(STORAGE)).toBeUndefined();
+    });
+
+    test('returns null if the account has no delegate', async () => {
+        const dataSource = createRpcDataSource();
+
+        expect(await dataSource.getDelegate(CONTRACT_ADDRESS)).toBeNull();
+
+        dataSource.tezos.rpc.getDelegate.mockResolvedValue(DELEGATE_ADDRESS);
+        expect(await dataSource.getDelegate(CONTRACT_ADDRESS)).toEqual({ address: DELEGATE_ADDRESS, alias: undefined });
+    });
+});
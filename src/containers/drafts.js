@@ -0,0 +1,262 @@
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { MultisigContext } from './context';
+import { Button } from './button';
+
+
+// The IndexedDB database where the drafts and the templates are stored
+const DATABASE_NAME = 'multisig-drafts';
+const DRAFTS_STORE = 'drafts';
+const TEMPLATES_STORE = 'templates';
+
+// The time in milliseconds to wait after the last change before saving the draft
+const SAVE_DELAY = 1000;
+
+// Opens the drafts database, creating the object stores the first time
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DRAFTS_STORE);
+            request.result.createObjectStore(TEMPLATES_STORE, { keyPath: 'id', autoIncrement: true })
+                .createIndex('form', 'form');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs a request against one of the database object stores and returns its result
+async function runRequest(storeName, mode, createRequest) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = createRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => {
+            database.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            database.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+// Returns the draft stored for a given key
+export function getDraft(key) {
+    return runRequest(DRAFTS_STORE, 'readonly', store => store.get(key));
+}
+
+// Stores the form values as a draft
+export function saveDraft(key, values) {
+    return runRequest(DRAFTS_STORE, 'readwrite', store => store.put({ values: values, date: new Date().toISOString() }, key));
+}
+
+// Deletes a draft
+export function deleteDraft(key) {
+    return runRequest(DRAFTS_STORE, 'readwrite', store => store.delete(key));
+}
+
+// Returns the templates saved for a given form, sorted by name
+export async function getTemplates(form) {
+    const templates = await runRequest(TEMPLATES_STORE, 'readonly', store => store.index('form').getAll(form));
+
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Stores the form values as a named template, replacing the template with the same name if it exists
+export async function saveTemplate(form, name, values) {
+    const existingTemplate = (await getTemplates(form)).find(template => template.name === name);
+    const template = { form: form, name: name, values: values, date: new Date().toISOString() };
+
+    if (existingTemplate) template.id = existingTemplate.id;
+
+    return runRequest(TEMPLATES_STORE, 'readwrite', store => store.put(template));
+}
+
+// Deletes a template
+export function deleteTemplate(id) {
+    return runRequest(TEMPLATES_STORE, 'readwrite', store => store.delete(id));
+}
+
+// React hook that saves the form values as a draft of the selected multisig every time they change, and restores
+// them when the form is displayed again
+export function useFormDraft(form, values, restore) {
+    // Get the required multisig context information
+    const { network, contractAddress } = useContext(MultisigContext);
+
+    // Set the component state
+    const [loadedKey, setLoadedKey] = useState(undefined);
+    const [saved, setSaved] = useState(false);
+
+    // Keep the initial values and the latest restore function
+    const initialValues = useRef(values);
+    const restoreRef = useRef(restore);
+    restoreRef.current = restore;
+
+    // The drafts are stored separately for each multisig
+    const key = `${network}:${contractAddress}:${form}`;
+    const serializedValues = JSON.stringify(values);
+
+    // Restore the draft every time the multisig changes
+    useEffect(() => {
+        setLoadedKey(undefined);
+
+        let ignore = false;
+        getDraft(key)
+            .then(draft => {
+                if (ignore) return;
+
+                restoreRef.current(draft ? draft.values : initialValues.current);
+                setSaved(draft !== undefined);
+                setLoadedKey(key);
+            })
+            .catch(error => console.log('Error while loading the form draft:', error));
+
+        return () => ignore = true;
+    }, [key]);
+
+    // Save the draft when the values have not changed for some time
+    useEffect(() => {
+        if (loadedKey !== key) return;
+
+        const timeout = setTimeout(() => {
+            // Don't keep drafts of untouched forms
+            const untouched = serializedValues === JSON.stringify(initialValues.current);
+            const promise = untouched ? deleteDraft(key) : saveDraft(key, JSON.parse(serializedValues));
+            promise
+                .then(() => setSaved(!untouched))
+                .catch(error => console.log('Error while saving the form draft:', error));
+        }, SAVE_DELAY);
+
+        return () => clearTimeout(timeout);
+    }, [key, loadedKey, serializedValues]);
+
+    return {
+        form: form,
+        values: values,
+        saved: saved,
+        apply: newValues => restoreRef.current(Object.assign({}, initialValues.current, newValues)),
+        clear: () => {
+            restoreRef.current(initialValues.current);
+            setSaved(false);
+            deleteDraft(key).catch(error => console.log('Error while deleting the form draft:', error));
+        }
+    };
+}
+
+// Component that displays the draft status and, optionally, the templates saved for the form
+export function DraftControls(props) {
+    // Set the component state
+    const [templates, setTemplates] = useState([]);
+    const [templateId, setTemplateId] = useState('');
+    const [templateName, setTemplateName] = useState('');
+
+    const { draft } = props;
+
+    // Load the form templates
+    useEffect(() => {
+        if (!props.templates) return;
+
+        let ignore = false;
+        getTemplates(draft.form)
+            .then(newTemplates => !ignore && setTemplates(newTemplates))
+            .catch(error => console.log('Error while loading the form templates:', error));
+
+        return () => ignore = true;
+    }, [props.templates, draft.form]);
+
+    // Get the selected template
+    const template = templates.find(template => template.id === parseInt(templateId));
+
+    // Define the on discard click handler
+    const handleDiscardClick = e => {
+        e.preventDefault();
+        draft.clear();
+    };
+
+    // Define the on apply template click handler
+    const handleApplyClick = e => {
+        e.preventDefault();
+        if (template) draft.apply(template.values);
+    };
+
+    // Define the on delete template click handler
+    const handleDeleteClick = e => {
+        e.preventDefault();
+
+        if (!template) return;
+
+        deleteTemplate(template.id)
+            .then(() => {
+                setTemplates(templates.filter(t => t.id !== template.id));
+                setTemplateId('');
+            })
+            .catch(error => console.log('Error while deleting the form template:', error));
+    };
+
+    // Define the on save template click handler
+    const handleSaveClick = e => {
+        e.preventDefault();
+
+        const name = templateName.trim();
+
+        if (!name) return;
+
+        saveTemplate(draft.form, name, draft.values)
+            .then(() => getTemplates(draft.form))
+            .then(newTemplates => {
+                setTemplates(newTemplates);
+                setTemplateName('');
+            })
+            .catch(error => console.log('Error while saving the form template:', error));
+    };
+
+    return (
+        <div className='form-input draft-controls'>
+            {draft.saved &&
+                <p>
+                    The form content is saved as a draft in this browser.
+                    {' '}
+                    <Button text='discard draft' onClick={handleDiscardClick} />
+                </p>
+            }
+            {props.templates &&
+                <details>
+                    <summary>Templates</summary>
+                    {templates.length > 0 &&
+                        <div>
+                            <label>Saved template:
+                                {' '}
+                                <select value={templateId} onChange={e => setTemplateId(e.target.value)}>
+                                    <option value=''></option>
+                                    {templates.map(template => (
+                                        <option key={template.id} value={template.id}>{template.name}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            {' '}
+                            <Button text='apply' onClick={handleApplyClick} />
+                            {' '}
+                            <Button text='delete' onClick={handleDeleteClick} />
+                        </div>
+                    }
+                    <div>
+                        <label>Save the current values as template:
+                            {' '}
+                            <input
+                                type='text'
+                                placeholder='template name'
+                                value={templateName}
+                                onChange={e => setTemplateName(e.target.value)}
+                            />
+                        </label>
+                        {' '}
+                        <Button text='save template' onClick={handleSaveClick} />
+                    </div>
+                </details>
+            }
+        </div>
+    );
+}
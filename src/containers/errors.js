@@ -0,0 +1,94 @@
+// Load the multisig smart contract metadata in JSON format
+const multisigContractMetadata = require('../contract/multisigMetadata.json');
+
+
+// Returns the human readable expansion of a multisig contract error
+export function getContractErrorExpansion(error) {
+    const contractError = multisigContractMetadata.errors.find(contractError => contractError.error.string === error);
+
+    return contractError?.expansion.string;
+}
+
+// Returns the value passed to FAILWITH from a list of tezos RPC errors
+export function getFailwithValue(rpcErrors) {
+    const failwithValue = rpcErrors?.find(rpcError => rpcError.with)?.with;
+
+    if (failwithValue) {
+        return failwithValue.string ?? failwithValue.int ?? JSON.stringify(failwithValue);
+    }
+}
+
+// Returns a readable message describing a list of tezos RPC errors
+export function getRpcErrorMessage(rpcErrors) {
+    // Get the ids of all the errors
+    const ids = rpcErrors?.map(rpcError => rpcError.id ?? '') ?? [];
+
+    // Check if the account doesn't have enough tez to pay for the operation
+    if (ids.some(id => id.includes('balance_too_low') || id.includes('subtraction_underflow') || id.includes('empty_implicit_contract'))) {
+        return 'The account balance is too low to pay for the operation and its fees';
+    }
+
+    // Check if the operation run out of gas
+    if (ids.some(id => id.includes('gas_exhausted') || id.includes('gas_limit_too_high'))) {
+        return 'The operation run out of gas. The operation is probably too complex to be executed in a single block';
+    }
+
+    // Check if the operation exceeded the storage limit
+    if (ids.some(id => id.includes('storage_exhausted') || id.includes('storage_limit_too_high'))) {
+        return 'The operation exceeded the storage limit';
+    }
+
+    // Check if the contract failed with a known error
+    const failwithValue = getFailwithValue(rpcErrors);
+
+    if (failwithValue) {
+        const expansion = getContractErrorExpansion(failwithValue);
+
+        return expansion ? `${failwithValue}: ${expansion}` : `The contract failed with ${failwithValue}`;
+    }
+
+    // Return the id of the last error, which is usually the most descriptive one
+    return rpcErrors?.length > 0 ? rpcErrors[rpcErrors.length - 1].id : 'Unknown error';
+}
+
+// Returns a readable message describing an error thrown by the wallet or by taquito
+export function getErrorMessage(error) {
+    if (!error) {
+        return 'Unknown error';
+    }
+
+    // Check if the user rejected the operation in the wallet
+    if (error.errorType === 'ABORTED_ERROR' || error.errorType === 'NOT_GRANTED_ERROR') {
+        return 'The operation was rejected in the wallet';
+    }
+
+    // Check if the wallet returned the tezos node errors
+    if (error.errorType === 'TRANSACTION_INVALID_ERROR' && Array.isArray(error.data)) {
+        return getRpcErrorMessage(error.data);
+    }
+
+    // Check if it's a beacon error without any additional information
+    if (error.errorType) {
+        return error.description ?? error.title ?? error.errorType;
+    }
+
+    // Check if taquito returned the tezos node errors
+    if (Array.isArray(error.errors)) {
+        return getRpcErrorMessage(error.errors);
+    }
+
+    // Check if it's a tezos node response error
+    if (error.body) {
+        try {
+            const rpcErrors = JSON.parse(error.body);
+
+            if (Array.isArray(rpcErrors)) {
+                return getRpcErrorMessage(rpcErrors);
+            }
+        } catch (parseError) {
+            return error.body;
+        }
+    }
+
+    return error.message ?? error.toString();
+}
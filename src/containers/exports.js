@@ -0,0 +1,158 @@
+import { Parser } from '@taquito/michel-codec';
+import { getProposals, getProposalStatus, getExecutionOperationHashes, hexToString } from './utils';
+import { getTokenMetadata, formatTokenAmount } from './tokens';
+import { analyzeLambda } from './lambdas';
+
+
+// The columns of the proposals history CSV file
+const CSV_COLUMNS = ['id', 'kind', 'issuer', 'timestamp', 'status', 'positiveVotes', 'votes', 'transfers', 'details', 'executionOperationHash'];
+
+// Returns the complete history of the multisig proposals, including the decoded transfers
+export async function getProposalsHistory(network, contractAddress, storage, votes) {
+    // Get all the multisig proposals, independently of the proposals that have been loaded in the interface
+    const proposals = await getProposals(storage) ?? [];
+
+    // Get the hashes of the operations that executed the proposals
+    const executionOperationHashes = await getExecutionOperationHashes(contractAddress) ?? {};
+
+    // Loop over the proposals, starting from the oldest one
+    const history = [];
+    const now = new Date();
+
+    for (const proposal of [...proposals].sort((a, b) => parseInt(a.key) - parseInt(b.key))) {
+        const value = proposal.value;
+        const proposalVotes = votes?.[proposal.key] ?? {};
+
+        history.push({
+            id: parseInt(proposal.key),
+            kind: Object.keys(value.kind)[0],
+            issuer: value.issuer,
+            timestamp: value.timestamp,
+            status: getProposalStatus(value, storage.expiration_time, now),
+            positiveVotes: parseInt(value.positive_votes),
+            votes: Object.entries(proposalVotes).map(([address, vote]) => ({ address: address, vote: vote ? 'yes' : 'no' })),
+            transfers: await getProposalTransfers(network, contractAddress, value),
+            details: getProposalDetails(value),
+            executionOperationHash: executionOperationHashes[proposal.key]
+        });
+    }
+
+    return history;
+}
+
+// Returns the tez and token transfers that a proposal will execute
+async function getProposalTransfers(network, contractAddress, proposal) {
+    if (proposal.kind.transfer_mutez) {
+        return proposal.mutez_transfers.map(transfer => getTezTransfer(transfer.amount, transfer.destination));
+    } else if (proposal.kind.transfer_token) {
+        const { fa2, token_id: tokenId, distribution } = proposal.token_transfers;
+
+        return await Promise.all(distribution.map(transfer => getTokenTransfer(network, fa2, tokenId, transfer.amount, transfer.destination)));
+    } else if (proposal.kind.lambda_function) {
+        // Decode the operations that the lambda function will send
+        const parser = new Parser();
+        const analysis = analyzeLambda(parser.parseJSON(JSON.parse(proposal.lambda_function)), contractAddress);
+        const transfers = [];
+
+        for (const operation of analysis.operations) {
+            if (operation.amount > 0) {
+                transfers.push(getTezTransfer(operation.amount, operation.destination));
+            }
+
+            for (const tokenTransfer of operation.tokenTransfers?.filter(tokenTransfer => tokenTransfer.from === contractAddress) ?? []) {
+                transfers.push(await getTokenTransfer(network, tokenTransfer.fa2, tokenTransfer.tokenId, tokenTransfer.amount, tokenTransfer.to));
+            }
+        }
+
+        return transfers;
+    }
+
+    return [];
+}
+
+// Returns the export information of a tez transfer
+function getTezTransfer(amount, destination) {
+    return {
+        token: 'tez',
+        fa2: undefined,
+        tokenId: undefined,
+        decimals: 6,
+        rawAmount: amount.toString(),
+        amount: parseInt(amount) / 1000000,
+        destination: destination
+    };
+}
+
+// Returns the export information of a token transfer
+async function getTokenTransfer(network, fa2, tokenId, amount, destination) {
+    const token = await getTokenMetadata(network, fa2, tokenId);
+
+    return {
+        token: token.name ?? token.symbol ?? 'unknown token',
+        fa2: fa2,
+        tokenId: tokenId,
+        decimals: token.decimals,
+        rawAmount: amount.toString(),
+        amount: formatTokenAmount(amount, token),
+        destination: destination
+    };
+}
+
+// Returns the extra details of the proposals that don't transfer tez or tokens
+function getProposalDetails(proposal) {
+    if (proposal.kind.text) {
+        return hexToString(proposal.text);
+    } else if (proposal.kind.add_user || proposal.kind.remove_user) {
+        return proposal.user;
+    } else if (proposal.kind.minimum_votes) {
+        return `${proposal.minimum_votes} votes`;
+    } else if (proposal.kind.expiration_time) {
+        return `${proposal.expiration_time} days`;
+    } else if (proposal.kind.lambda_function) {
+        return proposal.lambda_function;
+    }
+
+    return '';
+}
+
+// Transforms the proposals history to CSV format
+export function historyToCsv(history) {
+    const lines = [CSV_COLUMNS.join(',')];
+
+    for (const proposal of history) {
+        const values = Object.assign({}, proposal, {
+            votes: proposal.votes.map(vote => `${vote.address}: ${vote.vote}`).join('; '),
+            transfers: proposal.transfers.map(transfer => (
+                `${transfer.amount} ${transfer.token}${transfer.tokenId !== undefined ? ` #${transfer.tokenId}` : ''} to ${transfer.destination}`
+            )).join('; ')
+        });
+
+        lines.push(CSV_COLUMNS.map(column => toCsvValue(values[column])).join(','));
+    }
+
+    return lines.join('\n');
+}
+
+// Transforms a value to a CSV field, quoting it if necessary
+function toCsvValue(value) {
+    let text = value === undefined || value === null ? '' : value.toString();
+
+    // Prevent the spreadsheet applications from interpreting the text values as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Makes the browser download a file with the given content
+export function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    // Release the file once the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,205 @@
+import { Parser } from '@taquito/michel-codec';
+import { TOKENS } from '../constants';
+import { analyzeLambda } from './lambdas';
+import { getIpfsPath, getIpfsFile } from './ipfs';
+import { getProposalStatus, hexToString } from './utils';
+
+
+// The proposal kinds that can be used to filter the proposals
+export const PROPOSAL_KINDS = [
+    'transfer_mutez', 'transfer_token', 'text', 'lambda_function', 'add_user', 'remove_user', 'minimum_votes', 'expiration_time'
+];
+
+// The default proposal filters, that don't filter any proposal
+export const DEFAULT_PROPOSAL_FILTERS = {
+    kind: '',
+    status: '',
+    issuer: '',
+    from: '',
+    to: '',
+    destination: '',
+    token: '',
+    search: ''
+};
+
+// The proposal filters that can be applied by the data sources
+const DATA_SOURCE_FILTERS = ['kind', 'status', 'issuer', 'from', 'to'];
+
+// The text proposal documents downloaded from IPFS, indexed by IPFS path
+const proposalDocuments = {};
+
+// Checks if some of the filters need to be applied by the data sources
+export function hasDataSourceFilters(filters) {
+    return DATA_SOURCE_FILTERS.some(filter => filters?.[filter]);
+}
+
+// Checks if a proposal passes the filters that can be applied by the data sources (kind, status, issuer and dates)
+export function matchesProposalFilters(proposal, filters, expirationTime, now = new Date()) {
+    if (filters.kind && proposal.kind[filters.kind] === undefined) {
+        return false;
+    }
+
+    if (filters.status && getProposalStatus(proposal, expirationTime, now) !== filters.status) {
+        return false;
+    }
+
+    if (filters.issuer && proposal.issuer !== filters.issuer) {
+        return false;
+    }
+
+    const timestamp = new Date(proposal.timestamp);
+
+    if ((filters.from && timestamp < getFilterDate(filters.from)) || (filters.to && timestamp >= getFilterDate(filters.to, 1))) {
+        return false;
+    }
+
+    return true;
+}
+
+// Checks if a proposal passes the filters that need to decode the proposal content (destination, token and search text)
+export async function matchesProposalSearch(proposal, filters, contractAddress) {
+    if (!(filters.destination || filters.token || filters.search)) {
+        return true;
+    }
+
+    // Get the destinations and tokens affected by the proposal
+    const { destinations, tokens } = getProposalTargets(proposal, contractAddress);
+
+    if (filters.destination && !destinations.includes(filters.destination.trim())) {
+        return false;
+    }
+
+    if (filters.token) {
+        // The token can be specified by its contract address or by its collection name
+        const token = filters.token.trim().toLowerCase();
+        const fa2 = TOKENS.find(knownToken => knownToken.name.toLowerCase() === token)?.fa2 ?? filters.token.trim();
+
+        if (!tokens.includes(fa2)) {
+            return false;
+        }
+    }
+
+    if (filters.search) {
+        const text = proposal.kind.text ? await getProposalText(proposal) : '';
+
+        if (!text.toLowerCase().includes(filters.search.trim().toLowerCase())) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Returns the text of a text proposal followed by the content of the IPFS document that it links to, if any
+async function getProposalText(proposal) {
+    const text = hexToString(proposal.text);
+    const ipfsPath = getIpfsPath(text);
+
+    if (!ipfsPath) return text;
+
+    // Download each document only once, unless the download failed
+    if (!(ipfsPath in proposalDocuments)) {
+        proposalDocuments[ipfsPath] = getIpfsFile(ipfsPath)
+            .then(file => file.type.startsWith('text/') || file.type === 'application/json' ?
+                new TextDecoder().decode(file.data) : '')
+            .catch(error => {
+                console.log('Error while downloading the text proposal document:', error);
+                delete proposalDocuments[ipfsPath];
+
+                return '';
+            });
+    }
+
+    return `${text}\n${await proposalDocuments[ipfsPath]}`;
+}
+
+// Returns the TzKT API query parameters equivalent to the data source proposal filters
+export function getProposalFilterParameters(filters, expirationTime, now = new Date()) {
+    const parameters = {};
+
+    if (!filters) {
+        return parameters;
+    }
+
+    if (filters.kind) {
+        parameters[`value.kind.${filters.kind}.null`] = false;
+    }
+
+    if (filters.issuer) {
+        parameters['value.issuer'] = filters.issuer;
+    }
+
+    // Combine the status and the date range in a single timestamp interval
+    let from = filters.from ? getFilterDate(filters.from) : undefined;
+    let to = filters.to ? getFilterDate(filters.to, 1) : undefined;
+
+    if (filters.status) {
+        // Active proposals were created after this date, and expired proposals before it
+        const expirationLimit = new Date(now);
+        expirationLimit.setDate(expirationLimit.getDate() - parseInt(expirationTime));
+
+        parameters['value.executed'] = filters.status === 'executed';
+
+        if (filters.status === 'active' && !(from > expirationLimit)) {
+            from = expirationLimit;
+        } else if (filters.status === 'expired' && !(to < expirationLimit)) {
+            to = expirationLimit;
+        }
+    }
+
+    if (from) {
+        parameters['value.timestamp.ge'] = from.toISOString().slice(0, 19) + 'Z';
+    }
+
+    if (to) {
+        parameters['value.timestamp.lt'] = to.toISOString().slice(0, 19) + 'Z';
+    }
+
+    return parameters;
+}
+
+// Returns the addresses that receive tez or tokens from a proposal, and the token contracts involved
+function getProposalTargets(proposal, contractAddress) {
+    if (proposal.kind.transfer_mutez) {
+        return {
+            destinations: proposal.mutez_transfers.map(transfer => transfer.destination),
+            tokens: []
+        };
+    } else if (proposal.kind.transfer_token) {
+        return {
+            destinations: proposal.token_transfers.distribution.map(transfer => transfer.destination),
+            tokens: [proposal.token_transfers.fa2]
+        };
+    } else if (proposal.kind.lambda_function) {
+        // Decode the operations that the lambda function will send. Lambdas that cannot be decoded have no targets
+        let analysis;
+
+        try {
+            const parser = new Parser();
+            analysis = analyzeLambda(parser.parseJSON(JSON.parse(proposal.lambda_function)), contractAddress);
+        } catch (error) {
+            console.log('Error while decoding the lambda function:', error);
+            return { destinations: [], tokens: [] };
+        }
+
+        const tokenTransfers = analysis.operations.flatMap(operation => operation.tokenTransfers ?? []);
+
+        return {
+            destinations: analysis.operations
+                .filter(operation => operation.destination)
+                .map(operation => operation.destination)
+                .concat(tokenTransfers.map(transfer => transfer.to)),
+            tokens: tokenTransfers.map(transfer => transfer.fa2)
+        };
+    }
+
+    return { destinations: [], tokens: [] };
+}
+
+// Returns the date associated to a date input value, plus some extra days
+function getFilterDate(value, extraDays = 0) {
+    const date = new Date(value + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + extraDays);
+
+    return date;
+}
@@ -0,0 +1,33 @@
+import { DEFAULT_PROPOSAL_FILTERS, matchesProposalSearch } from './filters';
+
+
+// The multisig used in the tests
+const CONTRACT_ADDRESS = 'KT1PKBTVmdxfgkFvSeNUQacYiEFsPBw16B4P';
+const DESTINATION = 'tz1RS9GoEXakf9iyBmSaheLMcakFRtzBXpWE';
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('matchesProposalSearch', () => {
+    const filters = Object.assign({}, DEFAULT_PROPOSAL_FILTERS, { destination: DESTINATION });
+
+    test('filters the transfer proposals by destination', async () => {
+        const proposal = { kind: { transfer_mutez: {} }, mutez_transfers: [{ amount: '1', destination: DESTINATION }] };
+
+        expect(await matchesProposalSearch(proposal, filters, CONTRACT_ADDRESS)).toBe(true);
+        expect(await matchesProposalSearch({ ...proposal, mutez_transfers: [] }, filters, CONTRACT_ADDRESS)).toBe(false);
+    });
+
+    test('doesn\'t match the lambda functions that cannot be decoded', async () => {
+        const invalidJson = { kind: { lambda_function: {} }, lambda_function: '[{"prim":' };
+        const invalidCode = { kind: { lambda_function: {} }, lambda_function: '{"unexpected": "value"}' };
+
+        expect(await matchesProposalSearch(invalidJson, filters, CONTRACT_ADDRESS)).toBe(false);
+        expect(await matchesProposalSearch(invalidCode, filters, CONTRACT_ADDRESS)).toBe(false);
+    });
+});
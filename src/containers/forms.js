@@ -1,13 +1,42 @@
-import React, { useContext, useState } from 'react';
-import { TOKENS } from '../constants';
+import React, { useContext, useEffect, useState } from 'react';
+import { validateAddress } from '@taquito/utils';
+import { DATA_SOURCES, TOKENS } from '../constants';
 import { MultisigContext } from './context';
+import { parseTransfersTable, toBaseUnits } from './utils';
+import {
+    STANDARD_TYPES, getTypeFields, typeToMicheline, buildValue, buildContractCallLambda, buildSetDelegateLambda,
+    buildUpdateOperatorsValue
+} from './lambdas';
 import { Button } from './button';
-import { IpfsLink } from './links';
+import { IpfsLink, TezosAddressLink } from './links';
+import { useTokenMetadata, formatTokenAmount } from './tokens';
+import { TextDocument } from './markdown';
+import { useFormDraft, DraftControls } from './drafts';
+import { getCommentsSettings, setCommentsSettings } from './comments';
+import { areNotificationsSupported, getNotificationSettings, setNotificationSettings, configureNotifications } from './notifications';
+
+
+// The steps of the new multisig origination
+const ORIGINATION_STEPS = {
+    validate: 'Validate the multisig parameters',
+    metadata: 'Upload the contract metadata to IPFS',
+    estimate: 'Estimate the origination cost',
+    send: 'Send the origination operation',
+    confirm: 'Wait for the operation confirmation',
+    register: 'Select the new multisig'
+};
+
+// The entrypoints called by the lambda function builder standard operations
+const BUILDER_ENTRYPOINTS = {
+    fa12_transfer: 'transfer',
+    fa12_approve: 'approve',
+    fa2_update_operators: 'update_operators'
+};
 
 
 export function ContractSelectionForm() {
     // Get the required multisig context information
-    const { contractAddresses, contractAddress, setContractAddress } = useContext(MultisigContext);
+    const { contractAddresses, contractAddress, contractNames, setContractAddress } = useContext(MultisigContext);
 
     // Set the component state
     const [multisigAddress, setMultisigAddress] = useState(contractAddress);
@@ -42,7 +71,7 @@ export function ContractSelectionForm() {
                     <datalist id='multisigContracts'>
                         <option value=''></option>
                         {contractAddresses?.map((address, index) => (
-                            <option key={index} value={address}>test multisig {contractAddresses.length - index}</option>
+                            <option key={index} value={address}>{contractNames[address] ?? `multisig ${contractAddresses.length - index}`}</option>
                         ))}
                     </datalist>
                 </label>
@@ -52,15 +81,203 @@ export function ContractSelectionForm() {
     );
 }
 
+export function DataSourceSelectionForm() {
+    // Get the required multisig context information
+    const { dataSourceType, setDataSourceType } = useContext(MultisigContext);
+
+    return (
+        <section>
+            <h2>Data source</h2>
+            <p>
+                Use this form to select how the multisig information is queried: using the TzKT indexer API,
+                or reading it directly from the tezos RPC node (slower, but it doesn't depend on the indexer).
+            </p>
+            <form onSubmit={e => e.preventDefault()}>
+                <label className='form-input'>Data source:
+                    {' '}
+                    <select value={dataSourceType} onChange={e => setDataSourceType(e.target.value)}>
+                        {DATA_SOURCES.map(type => (
+                            <option key={type} value={type}>{type === 'rpc' ? 'RPC node' : 'TzKT API'}</option>
+                        ))}
+                    </select>
+                </label>
+            </form>
+        </section>
+    );
+}
+
+export function NotificationsForm() {
+    // Get the required multisig context information
+    const { network, contractAddress, userAddress, setConfirmationMessage, handleError } = useContext(MultisigContext);
+
+    // Set the component state
+    const [settings, setSettings] = useState(getNotificationSettings());
+
+    // Define the on submit handler
+    const handleSubmit = async e => {
+        e.preventDefault();
+
+        try {
+            await setNotificationSettings(settings);
+            await configureNotifications(network, contractAddress, userAddress);
+            setConfirmationMessage(settings.enabled ? 'The notifications have been enabled' : 'The notifications have been disabled');
+        } catch (error) {
+            handleError('Error while updating the notification settings', error);
+        }
+    };
+
+    return (
+        <section>
+            <h2>Notifications</h2>
+            <p>
+                Enable the browser notifications to get notified when a new proposal is created, when a proposal can be
+                executed and when a proposal that you didn't vote yet is about to expire.
+            </p>
+            {areNotificationsSupported() ?
+                <form onSubmit={handleSubmit}>
+                    <div className='form-input'>
+                        <label>
+                            <input
+                                type='checkbox'
+                                checked={settings.enabled}
+                                onChange={e => setSettings(Object.assign({}, settings, { enabled: e.target.checked }))}
+                            />
+                            {' '}
+                            Enable notifications
+                        </label>
+                        <br />
+                        <label>Notify unvoted proposals that expire in less than
+                            {' '}
+                            <input
+                                type='number'
+                                min='1'
+                                step='1'
+                                value={settings.hoursBeforeExpiration}
+                                onChange={e => setSettings(Object.assign({}, settings, { hoursBeforeExpiration: Math.max(1, parseInt(e.target.value) || 1) }))}
+                            />
+                            {' '}
+                            hours
+                        </label>
+                    </div>
+                    <input type='submit' value='save' />
+                </form> :
+                <p>This browser doesn't support service worker notifications.</p>
+            }
+        </section>
+    );
+}
+
+export function CommentsBackendForm() {
+    // Get the required multisig context information
+    const { setConfirmationMessage } = useContext(MultisigContext);
+
+    // Set the component state
+    const [settings, setSettings] = useState(getCommentsSettings());
+
+    // Define the on change handler
+    const handleChange = (parameter, value) => setSettings(Object.assign({}, settings, { [parameter]: value }));
+
+    // Define the on submit handler
+    const handleSubmit = e => {
+        e.preventDefault();
+        setCommentsSettings(settings);
+        setConfirmationMessage('The comments backend settings have been saved');
+    };
+
+    return (
+        <section>
+            <h2>Proposal comments and polls</h2>
+            <p>
+                Proposal comments and signaling polls are signed with the user wallet and stored off-chain. Select where
+                they are stored:
+                a self-hosted comments service, or IPFS using a pinning service shared by the multisig users.
+                All the multisig users should use the same backend to see each other comments.
+            </p>
+            <form onSubmit={handleSubmit}>
+                <div className='form-input'>
+                    <label>Comments backend:
+                        {' '}
+                        <select value={settings.backend} onChange={e => handleChange('backend', e.target.value)}>
+                            <option value='none'>disabled</option>
+                            <option value='http'>comments service</option>
+                            <option value='ipfs'>IPFS pinning service</option>
+                        </select>
+                    </label>
+                    {settings.backend === 'http' &&
+                        <>
+                            <br />
+                            <label>Comments service url:
+                                {' '}
+                                <input
+                                    type='url'
+                                    placeholder='https://'
+                                    value={settings.serviceUrl}
+                                    onChange={e => handleChange('serviceUrl', e.target.value)}
+                                />
+                            </label>
+                        </>
+                    }
+                    {settings.backend === 'ipfs' &&
+                        <>
+                            <br />
+                            <label>Pinning service API url:
+                                {' '}
+                                <input
+                                    type='url'
+                                    placeholder='https://'
+                                    value={settings.pinningServiceUrl}
+                                    onChange={e => handleChange('pinningServiceUrl', e.target.value)}
+                                />
+                            </label>
+                            <br />
+                            <label>Pinning service access token:
+                                {' '}
+                                <input
+                                    type='password'
+                                    value={settings.pinningServiceToken}
+                                    onChange={e => handleChange('pinningServiceToken', e.target.value)}
+                                />
+                            </label>
+                            <br />
+                            <label>
+                                <input
+                                    type='checkbox'
+                                    checked={settings.rememberPinningServiceToken}
+                                    onChange={e => handleChange('rememberPinningServiceToken', e.target.checked)}
+                                />
+                                {' '}
+                                Remember the access token in this browser
+                            </label>
+                            <p>
+                                The access token is stored without encryption in the browser storage, where any script
+                                running in this page could read it. Use a token that can only pin files. If the token
+                                is not remembered, it's forgotten when the browser tab is closed.
+                            </p>
+                        </>
+                    }
+                </div>
+                <input type='submit' value='save' />
+            </form>
+        </section>
+    );
+}
+
 export function OriginateMultisigForm() {
     // Get the required multisig context information
-    const { originate } = useContext(MultisigContext);
+    const { userAddress, prepareOrigination, originate } = useContext(MultisigContext);
 
     // Set the component state
     const [name, setName] = useState('My new multisig');
     const [users, setUsers] = useState(['', '']);
     const [minimumVotes, setMinimumVotes] = useState(1);
     const [expirationTime, setExpirationTime] = useState(5);
+    const [origination, setOrigination] = useState(undefined);
+    const [progress, setProgress] = useState({});
+    const [running, setRunning] = useState(false);
+    const [newContractAddress, setNewContractAddress] = useState(undefined);
+
+    // Define the on progress handler
+    const handleProgress = (step, status) => setProgress(progress => Object.assign({}, progress, { [step]: status }));
 
     // Define the on change handler
     const handleChange = (index, value) => {
@@ -96,21 +313,81 @@ export function OriginateMultisigForm() {
     // Define the on submit handler
     const handleSubmit = async e => {
         e.preventDefault();
-        originate({
+        setProgress({});
+        setRunning(true);
+        const preparedOrigination = await prepareOrigination({
             name: name,
             users: users,
             minimumVotes: minimumVotes,
             expirationTime: expirationTime
-        });
+        }, handleProgress);
+        setOrigination(preparedOrigination);
+        setRunning(false);
+    };
+
+    // Define the on confirm handler
+    const handleConfirm = async e => {
+        e.preventDefault();
+        setRunning(true);
+        setNewContractAddress(await originate(origination, handleProgress));
+        setRunning(false);
+    };
+
+    // Define the on back handler
+    const handleBack = e => {
+        e.preventDefault();
+        setOrigination(undefined);
+        setProgress({});
     };
 
+    // Show the origination summary once the parameters have been validated and the cost has been estimated
+    if (origination) {
+        return (
+            <section>
+                <h2>{newContractAddress ? 'Multisig created' : 'Confirm the new multisig'}</h2>
+                <ul className='parameters-list'>
+                    <li>Name: {origination.name}</li>
+                    <li>Multisig users:
+                        <ul className='users-list'>
+                            {origination.users.map(user => (
+                                <li key={user}><TezosAddressLink address={user} /></li>
+                            ))}
+                        </ul>
+                    </li>
+                    <li>Positive votes needed to execute a proposal: {origination.minimumVotes} votes</li>
+                    <li>Proposal expiration time: {origination.expirationTime} days</li>
+                    <li>Contract metadata: <IpfsLink path={origination.metadataIpfsPath} /></li>
+                    <li>Estimated operation fee: {origination.fee / 1000000} ꜩ</li>
+                    <li>Estimated storage cost: {origination.storageCost / 1000000} ꜩ</li>
+                    <li>Estimated total cost: {origination.totalCost / 1000000} ꜩ</li>
+                    {newContractAddress &&
+                        <li>New multisig address: <TezosAddressLink address={newContractAddress} /></li>
+                    }
+                </ul>
+                <OriginationProgress progress={progress} />
+                {!newContractAddress &&
+                    <div>
+                        <Button text={running ? 'originating...' : 'confirm origination'} onClick={e => !running && handleConfirm(e)} />
+                        {' '}
+                        {!running &&
+                            <Button text='back' onClick={handleBack} />
+                        }
+                    </div>
+                }
+            </section>
+        );
+    }
+
     return (
         <section>
             <h2>Multisig configuration</h2>
             <p>
                 Use this form to define the parameters of your new multisig / mini-DAO.
-                The origination cost will be a bit more than 2 ꜩ.
+                The contract metadata will be uploaded to IPFS and the origination cost will be estimated before
+                sending the origination operation.
+                {!userAddress && ' You need to sync your wallet first.'}
             </p>
+            <OriginationProgress progress={progress} />
             <form onSubmit={handleSubmit}>
                 <div className='form-input'>
                     <label>Name:
@@ -168,12 +445,27 @@ export function OriginateMultisigForm() {
                         />
                     </label>
                 </div>
-                <input type='submit' value='originate' />
+                <input type='submit' value={running ? 'preparing...' : 'next'} disabled={running} />
             </form>
         </section>
     );
 }
 
+function OriginationProgress(props) {
+    // Return if the origination didn't start yet
+    if (Object.keys(props.progress).length === 0) return null;
+
+    return (
+        <ol className='origination-progress'>
+            {Object.entries(ORIGINATION_STEPS).map(([step, description]) => (
+                <li key={step} className={props.progress[step] ? `step-${props.progress[step]}` : ''}>
+                    {description}{props.progress[step] ? ` (${props.progress[step]})` : ''}
+                </li>
+            ))}
+        </ol>
+    );
+}
+
 export function CreateProposalForms() {
     // Get the multisig context
     const context = useContext(MultisigContext);
@@ -204,7 +496,10 @@ export function CreateProposalForms() {
                     Use this form to create a proposal that, if accepted, it will transfer
                     the specified amount of tez from the multisig to a list of tezos addresses.
                 </p>
-                <TransferTezProposalForm handleSubmit={context.createTransferMutezProposal} />
+                <TransferTezProposalForm
+                    balance={context.balance}
+                    handleSubmit={context.createTransferMutezProposal}
+                />
             </section>
 
             <section>
@@ -213,7 +508,10 @@ export function CreateProposalForms() {
                     Use this form to create a proposal that, if accepted, it will transfer
                     the specified amount of token editions from the multisig to a list of tezos addresses.
                 </p>
-                <TransferTokenProposalForm handleSubmit={context.createTransferTokenProposal} />
+                <TransferTokenProposalForm
+                    tokenBalances={context.tokenBalances}
+                    handleSubmit={context.createTransferTokenProposal}
+                />
             </section>
 
             <section>
@@ -229,6 +527,7 @@ export function CreateProposalForms() {
                 <TextProposalForm
                     uploadFileToIpfs={context.uploadFileToIpfs}
                     handleSubmit={context.createTextProposal}
+                    handleDocumentSubmit={context.createTextDocumentProposal}
                 />
             </section>
 
@@ -251,6 +550,40 @@ export function CreateProposalForms() {
                 <LambdaFunctionProposalForm handleSubmit={context.createLambdaFunctionProposal} />
             </section>
 
+            <section>
+                <h2>Lambda function builder</h2>
+                <p>
+                    Use this form to create a lambda function proposal for some common operations without having to write
+                    the Michelson code: call any contract entrypoint, transfer or approve FA1.2 tokens, update the
+                    operators of FA2 tokens, or change the multisig delegate.
+                </p>
+                <p>
+                    The entrypoint parameter types are read from the contract. Check the generated code before sending
+                    the proposal.
+                </p>
+                <LambdaBuilderForm
+                    contractAddress={context.contractAddress}
+                    getContractEntrypoints={context.getContractEntrypoints}
+                    handleSubmit={context.createLambdaFunctionProposal}
+                />
+            </section>
+
+            <section>
+                <h2>Change delegate proposal</h2>
+                <p>
+                    Use this form to create a proposal that, if accepted, it will delegate the multisig tez to a baker.
+                    Leave the baker address empty to remove the current delegate.
+                </p>
+                <p>
+                    The tez never leave the multisig: the baker only uses them to compute its baking rights. Remember that
+                    the baking rewards are paid by the baker to the multisig address.
+                </p>
+                <ChangeDelegateProposalForm
+                    delegate={context.delegate}
+                    handleSubmit={context.createDelegationProposal}
+                />
+            </section>
+
             <section>
                 <h2>Add user proposal</h2>
                 <p>
@@ -321,6 +654,11 @@ function TransferTezProposalForm(props) {
         { amount: 0, destination: '' }
     ]);
 
+    // Save the form values as a draft
+    const draft = useFormDraft('transfer_tez', { transfers: transfers }, values => {
+        setTransfers(values.transfers);
+    });
+
     // Define the on change handler
     const handleChange = (index, parameter, value) => {
         // Create a new transfers array
@@ -368,15 +706,22 @@ function TransferTezProposalForm(props) {
         e.preventDefault();
         props.handleSubmit(
             transfers.map((transfer) => ({
-                amount: transfer.amount * 1000000,
+                amount: Math.round(transfer.amount * 1000000),
                 destination: transfer.destination
             }))
-        );
+        ).then(sent => sent && draft.clear());
     };
 
     return (
         <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} templates />
             <div className='form-input'>
+                <TransfersImport
+                    unit='ꜩ'
+                    decimals={6}
+                    available={props.balance === undefined ? undefined : props.balance / 1000000}
+                    handleImport={setTransfers}
+                />
                 <div className='transfers-input'>
                     {transfers.map((transfer, index) => (
                         <div key={index} className='transfer-input'>
@@ -416,6 +761,9 @@ function TransferTezProposalForm(props) {
 }
 
 function TransferTokenProposalForm(props) {
+    // Get the required multisig context information
+    const { setErrorMessage } = useContext(MultisigContext);
+
     // Set the component state
     const [tokenContract, setTokenContract] = useState('');
     const [tokenId, setTokenId] = useState('');
@@ -423,6 +771,13 @@ function TransferTokenProposalForm(props) {
         { amount: 0, destination: '' }
     ]);
 
+    // Save the form values as a draft
+    const draft = useFormDraft('transfer_token', { tokenContract: tokenContract, tokenId: tokenId, transfers: transfers }, values => {
+        setTokenContract(values.tokenContract);
+        setTokenId(values.tokenId);
+        setTransfers(values.transfers);
+    });
+
     // Define the on change handler
     const handleChange = (index, parameter, value) => {
         // Create a new transfers array
@@ -465,23 +820,73 @@ function TransferTokenProposalForm(props) {
         setTransfers(newTransfers);
     };
 
+    // Get the multisig FA2 token holdings, since the transfer token proposal only supports FA2 tokens
+    const tokenBalances = props.tokenBalances?.filter(tokenBalance => tokenBalance.standard === 'fa2');
+
+    // Get the selected token balance from the multisig holdings
+    const tokenBalance = tokenBalances?.find(tokenBalance => (
+        tokenBalance.fa2 === tokenContract && tokenBalance.tokenId === tokenId.toString()
+    ));
+
+    // Get the token metadata
+    const token = useTokenMetadata(tokenContract, tokenId === '' ? undefined : tokenId);
+
+    // Define the on token balance change handler
+    const handleTokenBalanceChange = value => {
+        const [newTokenContract, newTokenId] = value.split(':');
+        setTokenContract(newTokenContract ?? '');
+        setTokenId(newTokenId ?? '');
+    };
+
     // Define the on submit handler
     const handleSubmit = e => {
         e.preventDefault();
 
-        // Create a new transfers array that makes use of the correct decimals
-        const token = TOKENS.find(token => token.fa2 === tokenContract);
-        const newTransfers = transfers.map(transfer => (
-            { amount: token ? transfer.amount * token.decimals : transfer.amount, destination: transfer.destination }
-        ));
+        // The token decimals are only known once the token metadata has been resolved
+        if (!token.resolved) return;
+
+        // Create a new transfers array with the amounts in token base units
+        let newTransfers;
+
+        try {
+            newTransfers = transfers.map(transfer => ({
+                amount: toBaseUnits(transfer.amount, token.decimals),
+                destination: transfer.destination
+            }));
+        } catch (error) {
+            setErrorMessage(error.message);
+            return;
+        }
 
         // Submit the proposal
-        props.handleSubmit(tokenContract, tokenId, newTransfers);
+        props.handleSubmit(tokenContract, tokenId, newTransfers).then(sent => sent && draft.clear());
     };
 
     return (
         <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} templates />
             <div className='form-input'>
+                {tokenBalances?.length > 0 &&
+                    <>
+                        <label>Token from the multisig treasury:
+                            {' '}
+                            <select
+                                value={tokenBalance ? `${tokenBalance.fa2}:${tokenBalance.tokenId}` : ''}
+                                onChange={e => handleTokenBalanceChange(e.target.value)}
+                            >
+                                <option value=''>other token</option>
+                                {tokenBalances.map(tokenBalance => (
+                                    <option key={`${tokenBalance.fa2}:${tokenBalance.tokenId}`} value={`${tokenBalance.fa2}:${tokenBalance.tokenId}`}>
+                                        {tokenBalance.name ?? tokenBalance.fa2}
+                                        {tokenBalance.standard === 'fa2' ? ` #${tokenBalance.tokenId}` : ''}
+                                        {` (${parseInt(tokenBalance.balance) / 10 ** tokenBalance.decimals} available)`}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                        <br />
+                    </>
+                }
                 <label>Token contract address:
                     {' '}
                     <input
@@ -514,6 +919,20 @@ function TransferTokenProposalForm(props) {
                     />
                 </label>
                 <br />
+                {token.resolved ?
+                    <p>
+                        Token: {token.name ?? 'unnamed token'} ({token.decimals} decimals). The token editions will be
+                        multiplied by {10 ** token.decimals} to get the token amounts sent in the proposal.
+                    </p> :
+                    tokenContract &&
+                        <p>Resolving the token decimals...</p>
+                }
+                <TransfersImport
+                    unit={token.name ?? 'tokens'}
+                    decimals={token.decimals}
+                    available={props.tokenBalances && (tokenBalance ? formatTokenAmount(tokenBalance.balance, token) : 0)}
+                    handleImport={setTransfers}
+                />
                 <div className='transfers-input'>
                     {transfers.map((transfer, index) => (
                         <div key={index} className='transfer-input'>
@@ -521,8 +940,8 @@ function TransferTokenProposalForm(props) {
                                 {' '}
                                 <input
                                     type='number'
-                                    min='1'
-                                    step='1'
+                                    min={token.decimals > 0 ? 10 ** -token.decimals : 1}
+                                    step={token.decimals > 0 ? 10 ** -token.decimals : 1}
                                     value={transfer.amount}
                                     onChange={e => handleChange(index, 'amount', e.target.value)}
                                 />
@@ -547,22 +966,123 @@ function TransferTokenProposalForm(props) {
                 {' '}
                 <Button text='-' onClick={e => handleClick(e, false)} />
             </div>
-            <input type='submit' value='send proposal' />
+            <input type='submit' value='send proposal' disabled={!token.resolved} />
         </form>
     );
 }
 
+function TransfersImport(props) {
+    // Set the component state
+    const [table, setTable] = useState('');
+
+    // Parse the transfers table
+    const transfers = parseTransfersTable(table, props.decimals);
+    const totalAmount = parseFloat(transfers.reduce((total, transfer) => total + (transfer.error ? 0 : transfer.amount), 0).toPrecision(15));
+    const hasErrors = transfers.some(transfer => transfer.error);
+    const exceedsBalance = props.available !== undefined && totalAmount > props.available;
+
+    // Define the on file change handler
+    const handleFileChange = async e => {
+        const file = e.target.files[0];
+
+        if (file) {
+            setTable(await file.text());
+        }
+    };
+
+    // Define the on click handler
+    const handleClick = e => {
+        e.preventDefault();
+
+        // Import the transfers only if all of them are correct
+        if (transfers.length === 0 || hasErrors || exceedsBalance) return;
+
+        props.handleImport(transfers.map(transfer => ({ amount: transfer.amountText, destination: transfer.destination })));
+    };
+
+    return (
+        <details className='transfers-import'>
+            <summary>Import the transfers from a CSV file</summary>
+            <p>
+                Each line should contain the destination address, the amount to transfer and optionally an alias,
+                separated by commas, semicolons or tabs.
+            </p>
+            <label>CSV or TSV file:
+                {' '}
+                <input type='file' accept='.csv,.tsv,.txt' onChange={handleFileChange} />
+            </label>
+            <br />
+            <label>Transfers table:
+                {' '}
+                <textarea
+                    spellCheck='false'
+                    placeholder='tz1...,10,alice'
+                    value={table}
+                    onChange={e => setTable(e.target.value)}
+                />
+            </label>
+            {transfers.length > 0 &&
+                <>
+                    <table>
+                        <tbody>
+                            {transfers.map(transfer => (
+                                <tr key={transfer.line} className={transfer.error ? 'import-error' : (transfer.duplicate ? 'import-warning' : '')}>
+                                    <td>{transfer.line}</td>
+                                    <td>{transfer.alias}</td>
+                                    <td>{transfer.destination}</td>
+                                    <td>{isNaN(transfer.amount) ? '' : `${transfer.amount} ${props.unit}`}</td>
+                                    <td>{transfer.error ?? (transfer.duplicate ? 'duplicated address' : '')}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className={exceedsBalance ? 'import-error' : ''}>
+                        Total: {totalAmount} {props.unit} in {transfers.length} transfer{transfers.length > 1 ? 's' : ''}
+                        {props.available !== undefined ? ` (multisig balance: ${props.available} ${props.unit})` : ''}.
+                        {exceedsBalance ? ' The multisig doesn\'t hold enough funds for these transfers.' : ''}
+                    </p>
+                    <Button text='import transfers' onClick={handleClick} />
+                </>
+            }
+        </details>
+    );
+}
+
 function TextProposalForm(props) {
     // Set the component state
+    const [source, setSource] = useState('editor');
+    const [title, setTitle] = useState('');
+    const [summary, setSummary] = useState('');
+    const [body, setBody] = useState('');
+    const [attachments, setAttachments] = useState([]);
     const [file, setFile] = useState(undefined);
     const [ipfsPath, setIpfsPath] = useState(undefined);
 
+    // Save the form values as a draft
+    const draft = useFormDraft('text', { title: title, summary: summary, body: body }, values => {
+        setTitle(values.title);
+        setSummary(values.summary);
+        setBody(values.body);
+    });
+
     // Define the on change handler
     const handleChange = e => {
         setFile(e.target.files[0]);
         setIpfsPath(undefined);
     };
 
+    // Define the on attachments change handler
+    const handleAttachmentsChange = e => {
+        setAttachments(attachments.concat(Array.from(e.target.files)));
+        e.target.value = '';
+    };
+
+    // Define the on remove attachment click handler
+    const handleRemoveAttachment = (e, index) => {
+        e.preventDefault();
+        setAttachments(attachments.filter((attachment, i) => i !== index));
+    };
+
     // Define the on click handler
     const handleClick = async e => {
         e.preventDefault();
@@ -574,29 +1094,100 @@ function TextProposalForm(props) {
     // Define the on submit handler
     const handleSubmit = e => {
         e.preventDefault();
-        props.handleSubmit(ipfsPath);
+
+        if (source === 'editor') {
+            props.handleDocumentSubmit(title, summary, body, attachments).then(sent => sent && draft.clear());
+        } else {
+            props.handleSubmit(ipfsPath);
+        }
     };
 
     return (
         <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} />
             <div className='form-input'>
-                <label>File with the text to approve:
+                <label>Proposal text:
                     {' '}
-                    <input
-                        type='file'
-                        onChange={handleChange}
-                    />
+                    <select value={source} onChange={e => setSource(e.target.value)}>
+                        <option value='editor'>write it here</option>
+                        <option value='file'>upload a file</option>
+                    </select>
                 </label>
-                {file &&
-                    <div>
-                        <Button text={ipfsPath ? 'uploaded' : 'upload to IPFS'} onClick={handleClick} />
-                        {' '}
-                        {ipfsPath &&
-                            <IpfsLink path={ipfsPath} />
+            </div>
+            {source === 'editor' ?
+                <>
+                    <div className='form-input'>
+                        <label>Title:
+                            {' '}
+                            <input
+                                type='text'
+                                value={title}
+                                onChange={e => setTitle(e.target.value)}
+                            />
+                        </label>
+                        <br />
+                        <label>Summary:
+                            {' '}
+                            <input
+                                type='text'
+                                className='text-document-summary-input'
+                                value={summary}
+                                onChange={e => setSummary(e.target.value)}
+                            />
+                        </label>
+                    </div>
+                    <div className='form-input markdown-editor'>
+                        <label>Text in Markdown format:
+                            <textarea
+                                value={body}
+                                onChange={e => setBody(e.target.value)}
+                            />
+                        </label>
+                        <div className='markdown-preview'>
+                            <TextDocument document={{ title: title, summary: summary, body: body, attachments: attachments }} />
+                        </div>
+                    </div>
+                    <div className='form-input'>
+                        <label>Attachments:
+                            {' '}
+                            <input
+                                type='file'
+                                multiple
+                                onChange={handleAttachmentsChange}
+                            />
+                        </label>
+                        {attachments.length > 0 &&
+                            <ul>
+                                {attachments.map((attachment, index) => (
+                                    <li key={index}>
+                                        {attachment.name}
+                                        {' '}
+                                        <Button text='remove' onClick={e => handleRemoveAttachment(e, index)} />
+                                    </li>
+                                ))}
+                            </ul>
                         }
                     </div>
-                }
-            </div>
+                </> :
+                <div className='form-input'>
+                    <label>File with the text to approve:
+                        {' '}
+                        <input
+                            type='file'
+                            onChange={handleChange}
+                        />
+                    </label>
+                    {file &&
+                        <div>
+                            <Button text={ipfsPath ? 'uploaded' : 'upload to IPFS'} onClick={handleClick} />
+                            {' '}
+                            {ipfsPath &&
+                                <IpfsLink path={ipfsPath} />
+                            }
+                        </div>
+                    }
+                </div>
+            }
             <input type='submit' value='send proposal' />
         </form>
     );
@@ -606,14 +1197,20 @@ function LambdaFunctionProposalForm(props) {
     // Set the component state
     const [michelineCode, setMichelineCode] = useState('');
 
+    // Save the form values as a draft
+    const draft = useFormDraft('lambda_function', { michelineCode: michelineCode }, values => {
+        setMichelineCode(values.michelineCode);
+    });
+
     // Define the on submit handler
     const handleSubmit = e => {
         e.preventDefault();
-        props.handleSubmit(michelineCode);
+        props.handleSubmit(michelineCode).then(sent => sent && draft.clear());
     };
 
     return (
         <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} templates />
             <label className='form-input'>Lambda function code in Micheline format:
                 {' '}
                 <textarea
@@ -628,18 +1225,397 @@ function LambdaFunctionProposalForm(props) {
     );
 }
 
+function LambdaBuilderForm(props) {
+    // Set the component state
+    const [kind, setKind] = useState('contract_call');
+    const [targetAddress, setTargetAddress] = useState('');
+    const [entrypoints, setEntrypoints] = useState(undefined);
+    const [entrypoint, setEntrypoint] = useState('');
+    const [fieldValues, setFieldValues] = useState({});
+    const [amount, setAmount] = useState(0);
+    const [operators, setOperators] = useState([
+        { add: true, owner: props.contractAddress, operator: '', tokenId: 0 }
+    ]);
+    const [delegate, setDelegate] = useState('');
+
+    // Save the form values as a draft
+    const draft = useFormDraft('lambda_builder', {
+        kind: kind,
+        targetAddress: targetAddress,
+        entrypoint: entrypoint,
+        fieldValues: fieldValues,
+        amount: amount,
+        operators: operators,
+        delegate: delegate
+    }, values => {
+        setKind(values.kind);
+        setTargetAddress(values.targetAddress);
+        setEntrypoint(values.entrypoint);
+        setFieldValues(values.fieldValues);
+        setAmount(values.amount);
+        setOperators(values.operators);
+        setDelegate(values.delegate);
+    });
+
+    // Get the function used to load the entrypoints from the component properties
+    const { getContractEntrypoints } = props;
+
+    // Load the target contract entrypoints every time the target address changes
+    useEffect(() => {
+        setEntrypoints(undefined);
+
+        if (!(targetAddress.startsWith('KT1') && validateAddress(targetAddress) === 3)) return;
+
+        let ignore = false;
+        getContractEntrypoints(targetAddress).then(newEntrypoints => !ignore && setEntrypoints(newEntrypoints));
+
+        return () => ignore = true;
+    }, [targetAddress, getContractEntrypoints]);
+
+    // Get the entrypoint that will be called and its parameter type
+    const entrypointName = BUILDER_ENTRYPOINTS[kind] ?? entrypoint;
+    const parameterType = entrypoints?.[entrypointName];
+    const fields = parameterType && kind !== 'fa2_update_operators' ? getTypeFields(parameterType) : [];
+
+    // Check if the entrypoint parameter type is the one defined in the token standard
+    const standardType = STANDARD_TYPES[kind];
+    const nonStandardType = standardType && parameterType && typeToMicheline(parameterType) !== standardType;
+
+    // Generate the lambda function code, if all the input values are valid
+    let michelineCode;
+    let invalidValueMessage;
+
+    try {
+        if (kind === 'set_delegate') {
+            michelineCode = buildSetDelegateLambda(delegate.trim());
+        } else if (kind === 'fa2_update_operators' && parameterType) {
+            michelineCode = buildContractCallLambda(
+                targetAddress, entrypointName, parameterType, buildUpdateOperatorsValue(operators), 0);
+        } else if (parameterType) {
+            michelineCode = buildContractCallLambda(
+                targetAddress, entrypointName, parameterType, buildValue(parameterType, fieldValues), Math.round(amount * 1000000));
+        }
+    } catch (error) {
+        invalidValueMessage = error.message;
+    }
+
+    // Returns the default values of the standard entrypoint fields
+    const getDefaultFieldValues = newKind => {
+        // The tokens are transferred from the multisig by default
+        if (newKind === 'fa12_transfer') {
+            return { 0: props.contractAddress };
+        }
+
+        return {};
+    };
+
+    // Define the on kind change handler
+    const handleKindChange = newKind => {
+        setKind(newKind);
+        setEntrypoint('');
+        setFieldValues(getDefaultFieldValues(newKind));
+    };
+
+    // Define the on entrypoint change handler
+    const handleEntrypointChange = newEntrypoint => {
+        setEntrypoint(newEntrypoint);
+        setFieldValues({});
+    };
+
+    // Define the on operator change handler
+    const handleOperatorChange = (index, parameter, value) => {
+        setOperators(operators.map((operator, i) => (
+            i === index ? Object.assign({}, operator, { [parameter]: value }) : operator
+        )));
+    };
+
+    // Define the on click handler
+    const handleClick = (e, increase) => {
+        e.preventDefault();
+
+        // Add or remove an operator update from the list
+        if (increase) {
+            setOperators(operators.concat({ add: true, owner: props.contractAddress, operator: '', tokenId: 0 }));
+        } else if (operators.length > 1) {
+            setOperators(operators.slice(0, -1));
+        }
+    };
+
+    // Define the on submit handler
+    const handleSubmit = e => {
+        e.preventDefault();
+        props.handleSubmit(michelineCode).then(sent => sent && draft.clear());
+    };
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} />
+            <div className='form-input'>
+                <label>Lambda function type:
+                    {' '}
+                    <select value={kind} onChange={e => handleKindChange(e.target.value)}>
+                        <option value='contract_call'>Call a contract entrypoint</option>
+                        <option value='fa12_transfer'>FA1.2 token transfer</option>
+                        <option value='fa12_approve'>FA1.2 token approve</option>
+                        <option value='fa2_update_operators'>FA2 token update operators</option>
+                        <option value='set_delegate'>Set the multisig delegate</option>
+                    </select>
+                </label>
+                <br />
+                {kind === 'set_delegate' ?
+                    <label>Baker address (leave it empty to remove the delegate):
+                        {' '}
+                        <input
+                            type='text'
+                            spellCheck='false'
+                            maxLength='36'
+                            className='tezos-wallet-input'
+                            value={delegate}
+                            onChange={e => setDelegate(e.target.value)}
+                        />
+                    </label>
+                    :
+                    <>
+                        <label>{kind === 'contract_call' ? 'Contract address:' : 'Token contract address:'}
+                            {' '}
+                            <input
+                                type='text'
+                                spellCheck='false'
+                                minLength='36'
+                                maxLength='36'
+                                className='contract-address-input'
+                                value={targetAddress}
+                                onChange={e => setTargetAddress(e.target.value)}
+                            />
+                        </label>
+                        <br />
+                        {kind === 'contract_call' && entrypoints &&
+                            <>
+                                <label>Entrypoint:
+                                    {' '}
+                                    <select value={entrypoint} onChange={e => handleEntrypointChange(e.target.value)}>
+                                        <option value=''></option>
+                                        {Object.keys(entrypoints).map(name => (
+                                            <option key={name} value={name}>{name}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <br />
+                            </>
+                        }
+                        {entrypoints && entrypointName && !parameterType &&
+                            <p className='create-proposal-warning'>
+                                The contract doesn't have a {entrypointName} entrypoint.
+                            </p>
+                        }
+                        {nonStandardType &&
+                            <p className='create-proposal-warning'>
+                                Warning: The {entrypointName} entrypoint parameter type doesn't follow the token standard.
+                            </p>
+                        }
+                        {fields.map(field => (
+                            <div key={field.path}>
+                                <EntrypointFieldInput
+                                    field={field}
+                                    value={fieldValues[field.path] ?? ''}
+                                    onChange={value => setFieldValues(Object.assign({}, fieldValues, { [field.path]: value }))}
+                                />
+                                <br />
+                            </div>
+                        ))}
+                        {kind === 'contract_call' && parameterType &&
+                            <label>Amount of tez to send (ꜩ):
+                                {' '}
+                                <input
+                                    type='number'
+                                    min='0'
+                                    step='0.000001'
+                                    value={amount}
+                                    onChange={e => setAmount(e.target.value)}
+                                />
+                            </label>
+                        }
+                        {kind === 'fa2_update_operators' && parameterType &&
+                            <>
+                                <div className='transfers-input'>
+                                    {operators.map((operator, index) => (
+                                        <div key={index} className='transfer-input'>
+                                            <label>Action:
+                                                {' '}
+                                                <select
+                                                    value={operator.add ? 'add' : 'remove'}
+                                                    onChange={e => handleOperatorChange(index, 'add', e.target.value === 'add')}
+                                                >
+                                                    <option value='add'>add operator</option>
+                                                    <option value='remove'>remove operator</option>
+                                                </select>
+                                            </label>
+                                            <br />
+                                            <label>Token owner:
+                                                {' '}
+                                                <input
+                                                    type='text'
+                                                    spellCheck='false'
+                                                    minLength='36'
+                                                    maxLength='36'
+                                                    className='tezos-wallet-input'
+                                                    value={operator.owner}
+                                                    onChange={e => handleOperatorChange(index, 'owner', e.target.value)}
+                                                />
+                                            </label>
+                                            <br />
+                                            <label>Operator address:
+                                                {' '}
+                                                <input
+                                                    type='text'
+                                                    spellCheck='false'
+                                                    minLength='36'
+                                                    maxLength='36'
+                                                    className='tezos-wallet-input'
+                                                    value={operator.operator}
+                                                    onChange={e => handleOperatorChange(index, 'operator', e.target.value)}
+                                                />
+                                            </label>
+                                            <br />
+                                            <label>Token Id:
+                                                {' '}
+                                                <input
+                                                    type='number'
+                                                    min='0'
+                                                    step='1'
+                                                    value={operator.tokenId}
+                                                    onChange={e => handleOperatorChange(index, 'tokenId', e.target.value)}
+                                                />
+                                            </label>
+                                        </div>
+                                    ))}
+                                </div>
+                                <Button text='+' onClick={e => handleClick(e, true)} />
+                                {' '}
+                                <Button text='-' onClick={e => handleClick(e, false)} />
+                            </>
+                        }
+                    </>
+                }
+                {invalidValueMessage &&
+                    <p className='create-proposal-warning'>
+                        {invalidValueMessage}.
+                    </p>
+                }
+                {michelineCode &&
+                    <>
+                        <p>Generated lambda function code:</p>
+                        <pre className='micheline-code'>{michelineCode}</pre>
+                    </>
+                }
+            </div>
+            <input type='submit' value='send proposal' disabled={!michelineCode} />
+        </form>
+    );
+}
+
+function EntrypointFieldInput(props) {
+    // Get the field information
+    const { field, value, onChange } = props;
+    const label = `${field.name ? field.name : 'value'} (${field.type}):`;
+
+    // Unit values don't need any input
+    if (field.type === 'unit') {
+        return <span>{label} Unit</span>;
+    }
+
+    // Boolean values are selected from a list
+    if (field.type === 'bool') {
+        return (
+            <label>{label}
+                {' '}
+                <select value={value} onChange={e => onChange(e.target.value)}>
+                    <option value='false'>false</option>
+                    <option value='true'>true</option>
+                </select>
+            </label>
+        );
+    }
+
+    return (
+        <label>{label}
+            {' '}
+            <input
+                type={['int', 'nat', 'mutez'].includes(field.type) ? 'number' : 'text'}
+                step='1'
+                spellCheck='false'
+                placeholder={field.simple ? undefined : 'Micheline value'}
+                value={value}
+                onChange={e => onChange(e.target.value)}
+            />
+        </label>
+    );
+}
+
+function ChangeDelegateProposalForm(props) {
+    // Set the component state
+    const [delegate, setDelegate] = useState('');
+
+    // Save the form values as a draft
+    const draft = useFormDraft('change_delegate', { delegate: delegate }, values => {
+        setDelegate(values.delegate);
+    });
+
+    // Define the on submit handler
+    const handleSubmit = e => {
+        e.preventDefault();
+        props.handleSubmit(delegate.trim()).then(sent => sent && draft.clear());
+    };
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} />
+            <div className='form-input'>
+                <p>
+                    Current delegate:
+                    {' '}
+                    {props.delegate ?
+                        <TezosAddressLink address={props.delegate.address}>
+                            {props.delegate.alias ? `${props.delegate.alias} - ` : ''}
+                        </TezosAddressLink> :
+                        'no delegate'
+                    }
+                </p>
+                <label>New baker address:
+                    {' '}
+                    <input
+                        type='text'
+                        spellCheck='false'
+                        maxLength='36'
+                        className='tezos-wallet-input'
+                        value={delegate}
+                        onChange={e => setDelegate(e.target.value)}
+                    />
+                </label>
+            </div>
+            <input type='submit' value='send proposal' />
+        </form>
+    );
+}
+
 function AddUserProposalForm(props) {
     // Set the component state
     const [user, setUser] = useState('');
 
+    // Save the form values as a draft
+    const draft = useFormDraft('add_user', { user: user }, values => {
+        setUser(values.user);
+    });
+
     // Define the on submit handler
     const handleSubmit = e => {
         e.preventDefault();
-        props.handleSubmit(user);
+        props.handleSubmit(user).then(sent => sent && draft.clear());
     };
 
     return (
         <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} />
             <label className='form-input'>User to add:
                 {' '}
                 <input
@@ -661,14 +1637,20 @@ function RemoveUserProposalForm(props) {
     // Set the component state
     const [user, setUser] = useState('');
 
+    // Save the form values as a draft
+    const draft = useFormDraft('remove_user', { user: user }, values => {
+        setUser(values.user);
+    });
+
     // Define the on submit handler
     const handleSubmit = e => {
         e.preventDefault();
-        props.handleSubmit(user);
+        props.handleSubmit(user).then(sent => sent && draft.clear());
     };
 
     return (
         <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} />
             <label className='form-input'>User to remove:
                 {' '}
                 <input
@@ -700,14 +1682,20 @@ function MinimumVotesProposalForm(props) {
     // Set the component state
     const [minimumVotes, setMinimumVotes] = useState(props.defaultValue);
 
+    // Save the form values as a draft
+    const draft = useFormDraft('minimum_votes', { minimumVotes: minimumVotes }, values => {
+        setMinimumVotes(values.minimumVotes);
+    });
+
     // Define the on submit handler
     const handleSubmit = e => {
         e.preventDefault();
-        props.handleSubmit(minimumVotes);
+        props.handleSubmit(minimumVotes).then(sent => sent && draft.clear());
     };
 
     return (
         <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} />
             <label className='form-input'>New minimum votes:
                 {' '}
                 <input
@@ -727,14 +1715,20 @@ function ExpirationTimeProposalForm(props) {
     // Set the component state
     const [expirationTime, setExpirationTime] = useState(props.defaultValue);
 
+    // Save the form values as a draft
+    const draft = useFormDraft('expiration_time', { expirationTime: expirationTime }, values => {
+        setExpirationTime(values.expirationTime);
+    });
+
     // Define the on submit handler
     const handleSubmit = e => {
         e.preventDefault();
-        props.handleSubmit(expirationTime);
+        props.handleSubmit(expirationTime).then(sent => sent && draft.clear());
     };
 
     return (
         <form onSubmit={handleSubmit}>
+            <DraftControls draft={draft} />
             <label className='form-input'>New expiration time (days):
                 {' '}
                 <input
@@ -1,5 +1,6 @@
 import React, { useContext } from 'react';
 import { NavLink } from 'react-router-dom';
+import { NETWORKS } from '../constants';
 import { MultisigContext } from './context';
 import { TezosAddressLink } from './links';
 import { Button } from './button';
@@ -21,17 +22,21 @@ export function Navigation() {
                 <li>
                     <NavLink to='/'>Home</NavLink>
                 </li>
+                <li>
+                    <NavLink to='/dashboard'>My multisigs</NavLink>
+                </li>
                 <li>
                     <NavLink to='/proposals'>Proposals</NavLink>
                 </li>
+                <li>
+                    <NavLink to='/polls'>Polls</NavLink>
+                </li>
                 <li>
                     <NavLink to='/create'>Create proposals</NavLink>
                 </li>
-                {false &&
-                    <li>
-                        <NavLink to='/originate'>New multisig</NavLink>
-                    </li>
-                }
+                <li>
+                    <NavLink to='/originate'>New multisig</NavLink>
+                </li>
             </ul>
         </nav>
     );
@@ -43,6 +48,7 @@ export function Wallet() {
 
     return (
         <div className='sync-container'>
+            <NetworkSelector />
             {userAddress &&
                 <TezosAddressLink address={userAddress} shorten />
             }
@@ -53,3 +59,16 @@ export function Wallet() {
         </div>
     );
 }
+
+export function NetworkSelector() {
+    // Get the required multisig context information
+    const { network, setNetwork } = useContext(MultisigContext);
+
+    return (
+        <select value={network} onChange={e => setNetwork(e.target.value)}>
+            {Object.keys(NETWORKS).map(networkName => (
+                <option key={networkName} value={networkName}>{networkName}</option>
+            ))}
+        </select>
+    );
+}
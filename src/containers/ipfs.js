@@ -0,0 +1,308 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { CID } from 'multiformats/cid';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { IPFS_GATEWAYS } from '../constants';
+
+
+// The maximum time in milliseconds to wait for each IPFS gateway
+const GATEWAY_TIMEOUT = 20000;
+
+// The multicodec codes of the raw binary and the dag-pb formats
+const RAW_CODEC = 0x55;
+const DAG_PB_CODEC = 0x70;
+
+// The UnixFS node types that the app can read
+const UNIXFS_RAW = 0;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+// The maximum number of blocks that are downloaded to verify a file
+const MAX_VERIFIED_BLOCKS = 1000;
+
+// The file signatures used to detect the file type when the gateway doesn't provide it
+const FILE_SIGNATURES = [
+    { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }
+];
+
+// The file types associated to the file extensions, used when the file is verified and there is no content type
+const FILE_EXTENSIONS = {
+    json: 'application/json',
+    md: 'text/markdown',
+    txt: 'text/plain',
+    html: 'text/html',
+    svg: 'image/svg+xml',
+    webp: 'image/webp'
+};
+
+// Extracts the IPFS path (CID and optional file path) from a text like ipfs://CID/path
+export function getIpfsPath(text) {
+    const match = text?.trim().match(/^(?:ipfs:\/\/|\/ipfs\/)?([a-zA-Z0-9]+)(\/[^?#\s]*)?$/);
+
+    return match ? match[1] + (match[2] ?? '') : undefined;
+}
+
+// Downloads a file from IPFS, trying the different IPFS gateways until one of them returns the file. The file
+// blocks are downloaded in the trustless raw format and verified against their CIDs when the gateways support it
+export async function getIpfsFile(ipfsPath) {
+    // Check that the path starts with a valid CID
+    const [cidString, ...filePath] = ipfsPath.split('/');
+    let cid;
+
+    try {
+        cid = CID.parse(cidString);
+    } catch (error) {
+        throw new Error(`${cidString} is not a valid IPFS CID`);
+    }
+
+    // Try first to download and verify the file blocks
+    const errors = [];
+
+    for (const gateway of IPFS_GATEWAYS) {
+        try {
+            const data = await getVerifiedFile(gateway, cid, filePath.filter(name => name).map(decodeURIComponent), { blocks: 0 });
+
+            return {
+                data: data,
+                type: getFileType(data, FILE_EXTENSIONS[filePath[filePath.length - 1]?.split('.').pop().toLowerCase()]),
+                url: gateway + ipfsPath,
+                verified: true
+            };
+        } catch (error) {
+            errors.push(`${new URL(gateway).host}: ${error.message}`);
+        }
+    }
+
+    console.log('The IPFS file could not be verified:', errors.join(', '));
+
+    // Download the file without verification
+    for (const gateway of IPFS_GATEWAYS) {
+        const response = await axios.get(gateway + ipfsPath, { responseType: 'arraybuffer', timeout: GATEWAY_TIMEOUT })
+            .catch(error => errors.push(`${new URL(gateway).host}: ${error.message}`));
+
+        if (!response?.data) continue;
+
+        const data = new Uint8Array(response.data);
+
+        return {
+            data: data,
+            type: getFileType(data, response.headers['content-type']),
+            url: gateway + ipfsPath,
+            verified: false
+        };
+    }
+
+    throw new Error(`The file could not be retrieved from any IPFS gateway (${errors.join(', ')})`);
+}
+
+// Downloads the blocks of a file from an IPFS gateway, verifying each block against its CID, and returns the file
+// content. Only the files stored as raw blocks or as UnixFS dag-pb nodes inside simple directories are supported
+async function getVerifiedFile(gateway, cid, filePath, counter) {
+    const block = await getVerifiedBlock(gateway, cid, counter);
+
+    if (cid.code === RAW_CODEC && filePath.length === 0) {
+        return block;
+    } else if (cid.code !== DAG_PB_CODEC) {
+        throw new Error(`the CID ${cid} doesn't point to a file`);
+    }
+
+    // Decode the dag-pb node and its UnixFS data
+    const node = decodePbNode(block);
+    const unixfs = decodeUnixfsData(node.data);
+
+    // Follow the file path inside the directories
+    if (filePath.length > 0) {
+        const link = unixfs.type === UNIXFS_DIRECTORY && node.links.find(link => link.name === filePath[0]);
+
+        if (!link) {
+            throw new Error(`the file ${filePath[0]} cannot be found in the directory ${cid}`);
+        }
+
+        return await getVerifiedFile(gateway, link.cid, filePath.slice(1), counter);
+    }
+
+    if (unixfs.type !== UNIXFS_FILE && unixfs.type !== UNIXFS_RAW) {
+        throw new Error(`the CID ${cid} doesn't point to a file`);
+    }
+
+    // The file content is the node data followed by the content of the linked blocks
+    const parts = [unixfs.data].concat(await Promise.all(node.links.map(link => getVerifiedFile(gateway, link.cid, [], counter))));
+    const data = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    parts.reduce((offset, part) => {
+        data.set(part, offset);
+
+        return offset + part.length;
+    }, 0);
+
+    return data;
+}
+
+// Downloads a single block from an IPFS gateway in the trustless raw format and checks it against its CID
+async function getVerifiedBlock(gateway, cid, counter) {
+    if (++counter.blocks > MAX_VERIFIED_BLOCKS) {
+        throw new Error('the file has too many blocks to verify them');
+    }
+
+    if (cid.multihash.code !== sha256.code) {
+        throw new Error(`the CID ${cid} doesn't use the sha2-256 hash function`);
+    }
+
+    const response = await axios.get(`${gateway}${cid}?format=raw`, {
+        responseType: 'arraybuffer',
+        timeout: GATEWAY_TIMEOUT,
+        headers: { Accept: 'application/vnd.ipld.raw' }
+    });
+    const data = new Uint8Array(response.data);
+    const digest = await sha256.digest(data);
+
+    if (digest.bytes.length !== cid.multihash.bytes.length || digest.bytes.some((byte, index) => byte !== cid.multihash.bytes[index])) {
+        throw new Error(`the block ${cid} doesn't match its CID`);
+    }
+
+    return data;
+}
+
+// Decodes a dag-pb node, returning its data and its links
+function decodePbNode(bytes) {
+    const fields = decodeProtobuf(bytes);
+    const links = fields.filter(field => field.number === 2).map(field => {
+        const linkFields = decodeProtobuf(field.value);
+        const hash = linkFields.find(linkField => linkField.number === 1)?.value;
+        const name = linkFields.find(linkField => linkField.number === 2)?.value;
+
+        return {
+            cid: CID.decode(hash),
+            name: name ? new TextDecoder().decode(name) : ''
+        };
+    });
+
+    return {
+        data: fields.find(field => field.number === 1)?.value,
+        links: links
+    };
+}
+
+// Decodes the UnixFS data stored in a dag-pb node, returning the node type and its data
+function decodeUnixfsData(bytes) {
+    if (!bytes) {
+        throw new Error('the dag-pb node doesn\'t contain UnixFS data');
+    }
+
+    const fields = decodeProtobuf(bytes);
+
+    return {
+        type: fields.find(field => field.number === 1)?.value,
+        data: fields.find(field => field.number === 2)?.value ?? new Uint8Array()
+    };
+}
+
+// Decodes a protobuf message into a list of fields. Only the varint and length-delimited fields are supported
+function decodeProtobuf(bytes) {
+    const fields = [];
+    let position = 0;
+
+    // Reads a variable length integer
+    const readVarint = () => {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+
+        do {
+            if (position >= bytes.length) throw new Error('the protobuf message is truncated');
+
+            byte = bytes[position++];
+            value += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+
+        return value;
+    };
+
+    while (position < bytes.length) {
+        const key = readVarint();
+        const number = Math.floor(key / 8);
+        const wireType = key % 8;
+
+        if (wireType === 0) {
+            fields.push({ number: number, value: readVarint() });
+        } else if (wireType === 2) {
+            const length = readVarint();
+
+            if (position + length > bytes.length) throw new Error('the protobuf message is truncated');
+
+            fields.push({ number: number, value: bytes.subarray(position, position + length) });
+            position += length;
+        } else {
+            throw new Error(`unsupported protobuf wire type ${wireType}`);
+        }
+    }
+
+    return fields;
+}
+
+// React hook that downloads a file from IPFS and returns the download status
+export function useIpfsFile(ipfsPath) {
+    // Set the component state
+    const [file, setFile] = useState({ status: 'loading' });
+
+    // Download the file every time the path changes
+    useEffect(() => {
+        setFile({ status: 'loading' });
+
+        if (!ipfsPath) {
+            setFile({ status: 'failed', error: 'The proposal doesn\'t contain a valid IPFS path' });
+            return;
+        }
+
+        let ignore = false;
+        let objectUrl;
+
+        getIpfsFile(ipfsPath)
+            .then(ipfsFile => {
+                if (ignore) return;
+
+                // Create a local url for the binary files
+                if (!ipfsFile.type.startsWith('text/') && ipfsFile.type !== 'application/json') {
+                    objectUrl = URL.createObjectURL(new Blob([ipfsFile.data], { type: ipfsFile.type }));
+                }
+
+                setFile(Object.assign({ status: 'loaded', objectUrl: objectUrl }, ipfsFile));
+            })
+            .catch(error => !ignore && setFile({ status: 'failed', error: error.message }));
+
+        return () => {
+            ignore = true;
+
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [ipfsPath]);
+
+    return file;
+}
+
+// Returns the file MIME type, using the file signature if the gateway doesn't provide it
+function getFileType(data, contentType) {
+    const type = contentType?.split(';')[0].trim().toLowerCase();
+
+    if (type && type !== 'application/octet-stream' && type !== 'text/plain') {
+        return type;
+    }
+
+    const signature = FILE_SIGNATURES.find(signature => signature.bytes.every((byte, index) => data[index] === byte));
+
+    if (signature) {
+        return signature.type;
+    }
+
+    // Check if the file is a valid UTF-8 text
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(data);
+
+        return 'text/markdown';
+    } catch (error) {
+        return 'application/octet-stream';
+    }
+}
@@ -0,0 +1,94 @@
+import axios from 'axios';
+import { TextDecoder, TextEncoder } from 'util';
+import { CID } from 'multiformats/cid';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { getIpfsFile } from './ipfs';
+
+
+jest.mock('axios');
+
+// The jsdom test environment doesn't provide the text encoders
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// Encodes a protobuf length-delimited field (all the test messages are shorter than 128 bytes)
+function encodeField(number, bytes) {
+    return [number * 8 + 2, bytes.length, ...bytes];
+}
+
+// Creates a block and returns its CID and its bytes
+async function createBlock(code, bytes) {
+    const data = new Uint8Array(bytes);
+
+    return { cid: CID.create(1, code, await sha256.digest(data)), data: data };
+}
+
+// Creates a dag-pb block with the given UnixFS type, data and links
+function createPbBlock(type, data, links) {
+    const encodedLinks = links.flatMap(link => encodeField(2, [
+        ...encodeField(1, link.cid.bytes),
+        ...encodeField(2, [...new TextEncoder().encode(link.name ?? '')])
+    ]));
+    const unixfs = [0x08, type, ...(data.length > 0 ? encodeField(2, data) : [])];
+
+    return createBlock(0x70, [...encodedLinks, ...encodeField(1, unixfs)]);
+}
+
+// Returns the blocks from the mocked gateways
+function mockGateway(blocks, tamper = false) {
+    axios.get.mockImplementation(async (url, config) => {
+        const block = blocks.find(block => url.includes(`${block.cid}?format=raw`));
+
+        if (block) {
+            return { data: tamper ? block.data.map(byte => byte ^ 1).buffer : block.data.buffer };
+        }
+
+        if (tamper && !url.includes('?format=raw')) {
+            return { data: new TextEncoder().encode('# Unverified').buffer, headers: { 'content-type': 'text/markdown' } };
+        }
+
+        throw new Error('Not found');
+    });
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+test('verifies the raw blocks', async () => {
+    const block = await createBlock(0x55, [...new TextEncoder().encode('{"title": "Proposal"}')]);
+    mockGateway([block]);
+
+    const file = await getIpfsFile(block.cid.toString());
+    expect(new TextDecoder().decode(file.data)).toBe('{"title": "Proposal"}');
+    expect(file.verified).toBe(true);
+    expect(axios.get.mock.calls[0][1].headers).toEqual({ Accept: 'application/vnd.ipld.raw' });
+});
+
+test('verifies the UnixFS files split in several blocks inside a directory', async () => {
+    const first = await createBlock(0x55, [...new TextEncoder().encode('# Budget\n')]);
+    const second = await createBlock(0x55, [...new TextEncoder().encode('100 tez')]);
+    const file = await createPbBlock(2, [], [{ cid: first.cid }, { cid: second.cid }]);
+    const directory = await createPbBlock(1, [], [{ cid: file.cid, name: 'budget.json' }]);
+    mockGateway([first, second, file, directory]);
+
+    const result = await getIpfsFile(`${directory.cid}/budget.json`);
+    expect(new TextDecoder().decode(result.data)).toBe('# Budget\n100 tez');
+    expect(result.type).toBe('application/json');
+    expect(result.verified).toBe(true);
+
+    await expect(getIpfsFile(`${directory.cid}/missing.json`)).rejects.toThrow('could not be retrieved');
+});
+
+test('flags the files that cannot be verified', async () => {
+    const block = await createBlock(0x55, [...new TextEncoder().encode('# Proposal')]);
+    mockGateway([block], true);
+
+    const file = await getIpfsFile(block.cid.toString());
+    expect(new TextDecoder().decode(file.data)).toBe('# Unverified');
+    expect(file.verified).toBe(false);
+});
@@ -0,0 +1,489 @@
+import { Parser, emitMicheline, sourceReference } from '@taquito/michel-codec';
+import { encodePubKey, encodeKeyHash } from '@taquito/utils';
+
+
+// The Michelson types that can be defined with a single input field
+const SIMPLE_TYPES = ['address', 'bool', 'bytes', 'chain_id', 'int', 'key', 'key_hash', 'mutez', 'nat', 'signature', 'string', 'timestamp', 'unit'];
+
+// The Michelson types that are represented by strings
+const STRING_TYPES = ['address', 'chain_id', 'key', 'key_hash', 'signature', 'string', 'timestamp'];
+
+// The Michelson types that only accept integer values
+const INTEGER_TYPES = ['int', 'mutez', 'nat'];
+
+// The normalized types of the standard token entrypoints
+export const STANDARD_TYPES = {
+    fa2_update_operators: 'list (or (pair address (pair address nat)) (pair address (pair address nat)))',
+    fa12_transfer: 'pair address (pair address nat)',
+    fa12_approve: 'pair address nat'
+};
+
+// Returns the Michelson types of all the contract entrypoints
+export async function getEntrypointTypes(tezos, contractAddress) {
+    const response = await tezos.rpc.getEntrypoints(contractAddress);
+    const entrypoints = Object.assign({}, response.entrypoints);
+
+    // Contracts without named entrypoints only have the default entrypoint
+    if (Object.keys(entrypoints).length === 0) {
+        const script = await tezos.rpc.getScript(contractAddress);
+        entrypoints.default = script.code.find(section => section.prim === 'parameter').args[0];
+    }
+
+    return entrypoints;
+}
+
+// Removes the annotations and transforms the right combs to binary pairs in a Michelson type
+export function normalizeType(type) {
+    if (!type.prim) {
+        return type;
+    }
+
+    const normalizedType = { prim: type.prim };
+
+    if (type.args) {
+        const args = type.prim === 'pair' && type.args.length > 2 ?
+            [type.args[0], { prim: 'pair', args: type.args.slice(1) }] :
+            type.args;
+        normalizedType.args = args.map(normalizeType);
+    }
+
+    return normalizedType;
+}
+
+// Returns the Micheline code of a normalized Michelson type, without the outer parentheses
+export function typeToMicheline(type) {
+    const micheline = emitMicheline(normalizeType(type));
+
+    return micheline.startsWith('(') ? micheline.slice(1, -1) : micheline;
+}
+
+// Returns the list of input fields needed to define a value of the given Michelson type
+export function getTypeFields(type, path = '') {
+    if (type.prim === 'pair') {
+        const args = getPairArgs(type);
+
+        return getTypeFields(args[0], path + '0').concat(getTypeFields(args[1], path + '1'));
+    }
+
+    return [{
+        path: path,
+        name: type.annots ? type.annots[0].slice(1) : '',
+        type: typeToMicheline(type),
+        simple: SIMPLE_TYPES.includes(type.prim)
+    }];
+}
+
+// Returns the Micheline code of a value of the given Michelson type, using the values of its input fields
+export function buildValue(type, fieldValues, path = '') {
+    if (type.prim === 'pair') {
+        const args = getPairArgs(type);
+
+        return `(Pair ${buildValue(args[0], fieldValues, path + '0')} ${buildValue(args[1], fieldValues, path + '1')})`;
+    }
+
+    return formatValue(type, fieldValues[path] ?? '');
+}
+
+// Returns the Micheline code of the value of a type that is not a pair. The values are validated, so they cannot
+// inject extra instructions in the lambda function code
+function formatValue(type, value) {
+    const trimmedValue = value.toString().trim();
+
+    if (type.prim === 'unit') {
+        return 'Unit';
+    } else if (type.prim === 'bool') {
+        return trimmedValue === 'true' ? 'True' : 'False';
+    } else if (type.prim === 'bytes') {
+        const bytes = trimmedValue.replace(/^0x/, '');
+
+        if (!/^([0-9a-fA-F]{2})*$/.test(bytes)) {
+            throw new Error(`The value ${trimmedValue} is not a valid bytes value`);
+        }
+
+        return '0x' + bytes;
+    } else if (INTEGER_TYPES.includes(type.prim)) {
+        if (!(type.prim === 'int' ? /^-?\d+$/ : /^\d+$/).test(trimmedValue)) {
+            throw new Error(`The value ${trimmedValue} is not a valid ${type.prim} value`);
+        }
+
+        return trimmedValue;
+    } else if (STRING_TYPES.includes(type.prim)) {
+        return formatString(type.prim === 'string' ? value.toString() : trimmedValue);
+    }
+
+    return formatExpression(trimmedValue);
+}
+
+// Returns the Michelson string literal of a text, escaping the characters as defined in the Michelson grammar
+function formatString(text) {
+    // Michelson strings can only contain printable ASCII characters and new lines
+    if (!/^[\x20-\x7e\n]*$/.test(text)) {
+        throw new Error(`The text ${JSON.stringify(text)} contains characters that are not allowed in Michelson strings`);
+    }
+
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+// Returns the Micheline code of a complex value, checking that it's a single Micheline expression
+function formatExpression(value) {
+    // Parse the value as the first argument of a pair, wrapping primitive applications in parentheses
+    const code = `(Pair ${/^[A-Za-z]/.test(value) ? `(${value})` : value} Unit)`;
+    let expression;
+
+    try {
+        expression = new Parser().parseMichelineExpression(code);
+    } catch (error) {
+        expression = undefined;
+    }
+
+    // The pair should use all the code, otherwise the value closes it and adds other expressions
+    if (expression?.args?.length !== 2 || expression[sourceReference]?.last !== code.length) {
+        throw new Error(`The value ${value} is not a valid Micheline expression`);
+    }
+
+    return emitMicheline(expression.args[0]);
+}
+
+// Returns the two arguments of a pair type, that could be written as a right comb
+function getPairArgs(type) {
+    return type.args.length > 2 ? [type.args[0], { prim: 'pair', args: type.args.slice(1) }] : type.args;
+}
+
+// Returns the Micheline code of a lambda function that calls a contract entrypoint
+export function buildContractCallLambda(contractAddress, entrypoint, parameterType, parameterValue, amount) {
+    // Get the entrypoint annotation and the parameter type Micheline code
+    const entrypointAnnotation = entrypoint && entrypoint !== 'default' ? ` %${entrypoint}` : '';
+    const type = typeToMicheline(parameterType);
+
+    if (!Number.isSafeInteger(amount ?? 0) || amount < 0) {
+        throw new Error(`The amount ${amount} is not a valid mutez amount`);
+    }
+
+    return [
+        '{',
+        '    DROP;',
+        '    NIL operation;',
+        `    PUSH address ${formatString(contractAddress)};`,
+        `    CONTRACT${entrypointAnnotation} ${wrapType(type)};`,
+        '    IF_NONE { PUSH string "Wrong contract entrypoint"; FAILWITH } {};',
+        `    PUSH mutez ${amount ?? 0};`,
+        `    PUSH ${wrapType(type)} ${parameterValue};`,
+        '    TRANSFER_TOKENS;',
+        '    CONS',
+        '}'
+    ].join('\n');
+}
+
+// Returns the Micheline code of a lambda function that sets the delegate, or removes it if it's undefined
+export function buildSetDelegateLambda(delegate) {
+    return [
+        '{',
+        '    DROP;',
+        '    NIL operation;',
+        delegate ? `    PUSH key_hash ${formatString(delegate)};\n    SOME;` : '    NONE key_hash;',
+        '    SET_DELEGATE;',
+        '    CONS',
+        '}'
+    ].join('\n');
+}
+
+// Returns the Micheline code of the FA2 update_operators entrypoint parameter
+export function buildUpdateOperatorsValue(operators) {
+    const updates = operators.map(operator => (
+        `${operator.add ? 'Left' : 'Right'} (Pair ${formatString(operator.owner)} ` +
+        `(Pair ${formatString(operator.operator)} ${formatValue({ prim: 'nat' }, operator.tokenId)}))`
+    ));
+
+    return `{ ${updates.join('; ')} }`;
+}
+
+// Wraps a type Micheline code in parentheses if necessary
+function wrapType(type) {
+    return type.includes(' ') ? `(${type})` : type;
+}
+
+// Analyzes a lambda function code and returns the operations that it will send
+export function analyzeLambda(code, multisigAddress) {
+    // The lambda function receives a unit value and returns a list of operations
+    const stack = [{ kind: 'value', type: { prim: 'unit' }, value: { prim: 'Unit' } }];
+    const analysis = {
+        recognized: true,
+        unknownInstruction: undefined,
+        operations: [],
+        warnings: []
+    };
+
+    // Run the lambda function instructions over a symbolic stack
+    try {
+        runInstructions(code, stack);
+
+        if (stack.length !== 1 || stack[0].kind !== 'operations') {
+            throw new LambdaAnalysisError('The lambda function doesn\'t return a list of operations');
+        }
+
+        analysis.operations = stack[0].operations.map(decodeOperation);
+    } catch (error) {
+        if (!(error instanceof LambdaAnalysisError)) {
+            console.log('Error while analyzing the lambda function:', error);
+        }
+
+        analysis.recognized = false;
+        analysis.unknownInstruction = error.instruction;
+    }
+
+    // Flag the instructions that could have unexpected consequences
+    if (!analysis.recognized) {
+        analysis.warnings.push(
+            `The lambda function code could not be fully decoded${analysis.unknownInstruction ? ` (unexpected ${analysis.unknownInstruction} instruction)` : ''}. ` +
+            'Review the Micheline code carefully before voting.');
+    }
+
+    for (const operation of analysis.operations) {
+        if (operation.destination && operation.destination === multisigAddress) {
+            analysis.warnings.push('The lambda function calls the multisig contract itself.');
+        }
+
+        for (const update of operation.operatorUpdates ?? []) {
+            if (update.add) {
+                analysis.warnings.push(
+                    `The lambda function allows ${update.operator} to transfer the token #${update.tokenId} editions owned by ${update.owner}.`);
+            }
+        }
+
+        if (operation.approval && operation.approval.amount !== '0') {
+            analysis.warnings.push(
+                `The lambda function allows ${operation.approval.spender} to spend ${operation.approval.amount} ${operation.destination} tokens.`);
+        }
+    }
+
+    return analysis;
+}
+
+// Error raised when a lambda function contains instructions that cannot be analyzed
+class LambdaAnalysisError extends Error {
+
+    constructor(message, instruction) {
+        super(message);
+        this.instruction = instruction;
+    }
+}
+
+// Runs a sequence of Michelson instructions over a symbolic stack
+function runInstructions(instructions, stack) {
+    for (const instruction of instructions) {
+        runInstruction(instruction, stack);
+    }
+}
+
+// Runs a single Michelson instruction over a symbolic stack
+function runInstruction(instruction, stack) {
+    // Nested sequences are executed directly
+    if (Array.isArray(instruction)) {
+        runInstructions(instruction, stack);
+        return;
+    }
+
+    // Define some helper functions
+    const pop = kind => {
+        const element = stack.pop();
+
+        if (!element || (kind && element.kind !== kind)) {
+            throw new LambdaAnalysisError(`Unexpected stack element for the ${instruction.prim} instruction`, instruction.prim);
+        }
+
+        return element;
+    };
+    const args = instruction.args ?? [];
+
+    switch (instruction.prim) {
+        case 'DROP':
+            for (let i = 0; i < (args.length > 0 ? parseInt(args[0].int) : 1); i++) pop();
+            break;
+        case 'SWAP':
+            stack.push(pop(), pop());
+            break;
+        case 'NIL':
+            if (args[0].prim !== 'operation') {
+                throw new LambdaAnalysisError('Only operation lists are supported', 'NIL');
+            }
+
+            stack.push({ kind: 'operations', operations: [] });
+            break;
+        case 'UNIT':
+            stack.push({ kind: 'value', type: { prim: 'unit' }, value: { prim: 'Unit' } });
+            break;
+        case 'PUSH':
+            stack.push({ kind: 'value', type: args[0], value: args[1] });
+            break;
+        case 'NONE':
+            stack.push({ kind: 'value', type: { prim: 'option', args: args }, value: { prim: 'None' } });
+            break;
+        case 'SOME': {
+            const element = pop('value');
+            stack.push({ kind: 'value', type: { prim: 'option', args: [element.type] }, value: { prim: 'Some', args: [element.value] } });
+            break;
+        }
+        case 'CONTRACT':
+            stack.push({
+                kind: 'optional_contract',
+                address: decodeAddress(pop('value').value),
+                entrypoint: instruction.annots ? instruction.annots[0].slice(1) : 'default',
+                type: args[0]
+            });
+            break;
+        case 'IF_NONE': {
+            // Only the pattern that fails if the contract doesn't exist is supported
+            const contract = pop('optional_contract');
+
+            if (!isFailingBranch(args[0])) {
+                throw new LambdaAnalysisError('Only failing IF_NONE branches are supported', 'IF_NONE');
+            }
+
+            stack.push({ kind: 'contract', address: contract.address, entrypoint: contract.entrypoint, type: contract.type });
+            runInstructions(args[1], stack);
+            break;
+        }
+        case 'TRANSFER_TOKENS': {
+            const parameter = pop('value');
+            const amount = pop('value');
+            const contract = pop('contract');
+            stack.push({
+                kind: 'operation',
+                operation: {
+                    kind: 'transaction',
+                    destination: contract.address,
+                    entrypoint: contract.entrypoint,
+                    amount: parseInt(amount.value.int),
+                    parameterType: contract.type,
+                    parameter: parameter.value
+                }
+            });
+            break;
+        }
+        case 'SET_DELEGATE': {
+            const delegate = pop('value').value;
+            stack.push({
+                kind: 'operation',
+                operation: {
+                    kind: 'delegation',
+                    delegate: delegate.prim === 'Some' ? decodeKeyHash(delegate.args[0]) : undefined
+                }
+            });
+            break;
+        }
+        case 'CONS': {
+            const operation = pop('operation');
+            const operations = pop('operations');
+            stack.push({ kind: 'operations', operations: [operation.operation].concat(operations.operations) });
+            break;
+        }
+        default:
+            throw new LambdaAnalysisError(`The ${instruction.prim} instruction is not supported`, instruction.prim);
+    }
+}
+
+// Checks if a sequence of instructions always fails
+function isFailingBranch(instructions) {
+    const flattenedInstructions = [instructions].flat(Infinity);
+    const lastInstruction = flattenedInstructions.pop();
+
+    return lastInstruction?.prim === 'FAILWITH' &&
+        flattenedInstructions.every(instruction => ['PUSH', 'UNIT'].includes(instruction.prim));
+}
+
+// Adds the decoded token information to a lambda function operation
+function decodeOperation(operation) {
+    if (operation.kind !== 'transaction') {
+        return operation;
+    }
+
+    const decodedOperation = Object.assign({}, operation, { parameterCode: encodeAddresses(emitMicheline(operation.parameter)) });
+
+    try {
+        if (operation.entrypoint === 'transfer') {
+            decodedOperation.tokenTransfers = getTokenTransfers(operation.destination, operation.parameter);
+        } else if (operation.entrypoint === 'update_operators') {
+            decodedOperation.operatorUpdates = operation.parameter.map(update => {
+                const [owner, operator, tokenId] = flattenPair(update.args[0]);
+
+                return {
+                    add: update.prim === 'Left',
+                    owner: decodeAddress(owner),
+                    operator: decodeAddress(operator),
+                    tokenId: tokenId.int
+                };
+            });
+        } else if (operation.entrypoint === 'approve') {
+            const [spender, amount] = flattenPair(operation.parameter);
+            decodedOperation.approval = { spender: decodeAddress(spender), amount: amount.int };
+        }
+    } catch (error) {
+        console.log('Error while decoding the lambda function operation parameters:', error);
+    }
+
+    return decodedOperation;
+}
+
+// Extracts the FA2 or FA1.2 token transfers from a transfer entrypoint parameters
+export function getTokenTransfers(tokenAddress, parameters) {
+    try {
+        if (Array.isArray(parameters)) {
+            // FA2 transfer: list (pair from (list (pair to (pair token_id amount))))
+            return parameters.flatMap(transfer => {
+                const [from, txs] = flattenPair(transfer);
+
+                return txs.map(tx => {
+                    const [to, tokenId, amount] = flattenPair(tx);
+
+                    return {
+                        fa2: tokenAddress,
+                        tokenId: tokenId.int,
+                        from: decodeAddress(from),
+                        to: decodeAddress(to),
+                        amount: parseInt(amount.int)
+                    };
+                });
+            });
+        } else {
+            // FA1.2 transfer: pair from (pair to value)
+            const [from, to, amount] = flattenPair(parameters);
+
+            return [{
+                fa2: tokenAddress,
+                tokenId: undefined,
+                from: decodeAddress(from),
+                to: decodeAddress(to),
+                amount: parseInt(amount.int)
+            }];
+        }
+    } catch (error) {
+        console.log('Error while decoding the token transfers:', error);
+        return [];
+    }
+}
+
+// Returns the flattened arguments of a Michelson pair written as nested pairs or as a comb
+export function flattenPair(pair) {
+    const args = Array.isArray(pair) ? pair : pair.args;
+    const last = args[args.length - 1];
+
+    return last.prim === 'Pair' ? args.slice(0, -1).concat(flattenPair(last)) : args;
+}
+
+// Returns the address represented by a Michelson string or bytes value
+export function decodeAddress(value) {
+    return value.string ?? encodePubKey(value.bytes);
+}
+
+// Returns the key hash represented by a Michelson string or bytes value
+function decodeKeyHash(value) {
+    return value.string ?? encodeKeyHash(value.bytes);
+}
+
+// Encodes any addresses in bytes format that a Micheline code might contain
+export function encodeAddresses(michelineCode) {
+    return michelineCode.replace(
+        /0x0[0123]{1}[\w\d]{42}/g,
+        (match) => `"${encodePubKey(match.slice(2))}"`
+    );
+}
@@ -0,0 +1,179 @@
+import { Parser } from '@taquito/michel-codec';
+import { b58decode } from '@taquito/utils';
+import {
+    analyzeLambda, getTokenTransfers, flattenPair, decodeAddress, buildValue, buildContractCallLambda, buildSetDelegateLambda,
+    buildUpdateOperatorsValue
+} from './lambdas';
+
+
+// The multisig, the accounts and the token used in the tests
+const CONTRACT_ADDRESS = 'KT1PKBTVmdxfgkFvSeNUQacYiEFsPBw16B4P';
+const USER = 'tz1RS9GoEXakf9iyBmSaheLMcakFRtzBXpWE';
+const BAKER = 'tz1aRoaRhSpRYvFdyvgWLL6TGyRoGF51wDjM';
+const TOKEN_ADDRESS = 'KT1RJ6PbjHpwc3M5rw5s2Nbmefwbuwbdxton';
+
+// Parses a lambda function written in Michelson
+function parseLambda(code) {
+    return new Parser().parseMichelineExpression(code);
+}
+
+// Returns the Michelson instructions that push the contract with the given entrypoint and parameter type
+function pushContract(address, entrypoint, type) {
+    return `PUSH address "${address}"; CONTRACT ${entrypoint} ${type}; IF_NONE { PUSH string "Missing contract"; FAILWITH } {}`;
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('analyzeLambda', () => {
+    test('decodes the tez transfers', () => {
+        const code = parseLambda(`{ DROP; NIL operation; ${pushContract(USER, '', 'unit')}; PUSH mutez 1500000; UNIT; TRANSFER_TOKENS; CONS }`);
+        const analysis = analyzeLambda(code, CONTRACT_ADDRESS);
+
+        expect(analysis.recognized).toBe(true);
+        expect(analysis.warnings).toEqual([]);
+        expect(analysis.operations).toMatchObject([
+            { kind: 'transaction', destination: USER, entrypoint: 'default', amount: 1500000, parameterCode: 'Unit' }
+        ]);
+    });
+
+    test('decodes the delegate changes', () => {
+        const code = parseLambda(`{ DROP; NIL operation; PUSH key_hash "${BAKER}"; SOME; SET_DELEGATE; CONS; NONE key_hash; SET_DELEGATE; CONS }`);
+
+        expect(analyzeLambda(code, CONTRACT_ADDRESS).operations).toEqual([
+            { kind: 'delegation', delegate: undefined },
+            { kind: 'delegation', delegate: BAKER }
+        ]);
+    });
+
+    test('decodes the FA2 token transfers', () => {
+        const type = '(list (pair address (list (pair address nat nat))))';
+        const code = parseLambda(`{ DROP; NIL operation; ${pushContract(TOKEN_ADDRESS, '%transfer', type)}; PUSH mutez 0; ` +
+            `PUSH ${type} { Pair "${CONTRACT_ADDRESS}" { Pair "${USER}" 3 10 } }; TRANSFER_TOKENS; CONS }`);
+        const analysis = analyzeLambda(code, CONTRACT_ADDRESS);
+
+        expect(analysis.recognized).toBe(true);
+        expect(analysis.operations[0].tokenTransfers).toEqual([
+            { fa2: TOKEN_ADDRESS, tokenId: '3', from: CONTRACT_ADDRESS, to: USER, amount: 10 }
+        ]);
+    });
+
+    test('flags the unsupported instructions', () => {
+        const code = parseLambda(`{ DROP; NIL operation; PUSH nat 1; DUP; DROP 2 }`);
+        const analysis = analyzeLambda(code, CONTRACT_ADDRESS);
+
+        expect(analysis.recognized).toBe(false);
+        expect(analysis.unknownInstruction).toBe('DUP');
+        expect(analysis.operations).toEqual([]);
+        expect(analysis.warnings[0]).toContain('unexpected DUP instruction');
+    });
+
+    test('only accepts the IF_NONE branches that fail', () => {
+        const failing = parseLambda(`{ DROP; NIL operation; ${pushContract(USER, '', 'unit')}; PUSH mutez 1; UNIT; TRANSFER_TOKENS; CONS }`);
+        const notFailing = parseLambda(`{ DROP; NIL operation; PUSH address "${USER}"; CONTRACT unit; IF_NONE { UNIT; DROP } {}; ` +
+            'PUSH mutez 1; UNIT; TRANSFER_TOKENS; CONS }');
+
+        expect(analyzeLambda(failing, CONTRACT_ADDRESS).recognized).toBe(true);
+        expect(analyzeLambda(notFailing, CONTRACT_ADDRESS)).toMatchObject({ recognized: false, unknownInstruction: 'IF_NONE' });
+    });
+
+    test('warns about the calls to the multisig contract and the operator updates', () => {
+        const type = '(list (or (pair address address nat) (pair address address nat)))';
+        const code = parseLambda(`{ DROP; NIL operation; ${pushContract(TOKEN_ADDRESS, '%update_operators', type)}; PUSH mutez 0; ` +
+            `PUSH ${type} { Left (Pair "${CONTRACT_ADDRESS}" "${USER}" 5) }; TRANSFER_TOKENS; CONS; ` +
+            `${pushContract(CONTRACT_ADDRESS, '', 'unit')}; PUSH mutez 0; UNIT; TRANSFER_TOKENS; CONS }`);
+
+        expect(analyzeLambda(code, CONTRACT_ADDRESS).warnings).toEqual([
+            'The lambda function calls the multisig contract itself.',
+            `The lambda function allows ${USER} to transfer the token #5 editions owned by ${CONTRACT_ADDRESS}.`
+        ]);
+    });
+});
+
+describe('getTokenTransfers', () => {
+    test('decodes the FA1.2 transfers with addresses in bytes format', () => {
+        const parameters = { prim: 'Pair', args: [{ bytes: b58decode(CONTRACT_ADDRESS) }, { string: USER }, { int: '25' }] };
+
+        expect(getTokenTransfers(TOKEN_ADDRESS, parameters)).toEqual([
+            { fa2: TOKEN_ADDRESS, tokenId: undefined, from: CONTRACT_ADDRESS, to: USER, amount: 25 }
+        ]);
+    });
+
+    test('returns no transfers if the parameters cannot be decoded', () => {
+        expect(getTokenTransfers(TOKEN_ADDRESS, { prim: 'Unit' })).toEqual([]);
+    });
+});
+
+describe('flattenPair', () => {
+    test('flattens the nested pairs and the combs', () => {
+        const nested = { prim: 'Pair', args: [{ int: '1' }, { prim: 'Pair', args: [{ int: '2' }, { int: '3' }] }] };
+        const comb = { prim: 'Pair', args: [{ int: '1' }, { int: '2' }, { int: '3' }] };
+
+        expect(flattenPair(nested)).toEqual([{ int: '1' }, { int: '2' }, { int: '3' }]);
+        expect(flattenPair(comb)).toEqual(flattenPair(nested));
+    });
+});
+
+describe('decodeAddress', () => {
+    test('decodes the addresses in string and bytes format', () => {
+        expect(decodeAddress({ string: USER })).toBe(USER);
+        expect(decodeAddress({ bytes: b58decode(USER) })).toBe(USER);
+    });
+});
+
+describe('buildValue', () => {
+    const type = parseLambda('(pair (string %name) (nat %amount) (bytes %data) (map %extra nat string))');
+
+    test('builds the values from the input fields', () => {
+        expect(buildValue(type, { 0: 'Token', 10: '5', 110: '0xCAFE', 111: '{ Elt 1 "a"; Elt 2 "b" }' })).toBe(
+            '(Pair "Token" (Pair 5 (Pair 0xCAFE {Elt 1 "a"; Elt 2 "b"})))');
+        expect(buildValue(parseLambda('option nat'), { '': 'Some 3' })).toBe('(Some 3)');
+    });
+
+    test('escapes the string values', () => {
+        expect(buildValue(type, { 0: 'a "quoted" \\ name\nsecond line', 10: '1', 110: '', 111: '{}' })).toBe(
+            '(Pair "a \\"quoted\\" \\\\ name\\nsecond line" (Pair 1 (Pair 0x {})))');
+        expect(() => buildValue(type, { 0: 'caf\u00e9', 10: '1', 110: '', 111: '{}' })).toThrow('not allowed in Michelson strings');
+    });
+
+    test('rejects the values that could inject other instructions', () => {
+        expect(() => buildValue(type, { 0: '', 10: '1 } DROP {', 110: '', 111: '{}' })).toThrow('not a valid nat value');
+        expect(() => buildValue(type, { 0: '', 10: '-1', 110: '', 111: '{}' })).toThrow('not a valid nat value');
+        expect(() => buildValue(type, { 0: '', 10: '1', 110: '00; DROP', 111: '{}' })).toThrow('not a valid bytes value');
+        expect(() => buildValue(type, { 0: '', 10: '1', 110: '', 111: '{}; DROP' })).toThrow('not a valid Micheline expression');
+        expect(() => buildValue(type, { 0: '', 10: '1', 110: '', 111: '{} Unit) DROP (Pair {}' })).toThrow('not a valid Micheline expression');
+        expect(buildValue(parseLambda('int'), { '': '-7' })).toBe('-7');
+    });
+});
+
+describe('buildContractCallLambda', () => {
+    test('builds a lambda function that the analysis recognizes', () => {
+        const code = buildContractCallLambda(CONTRACT_ADDRESS, 'vote', parseLambda('pair nat bool'), '(Pair 3 True)', 1000);
+        const analysis = analyzeLambda(parseLambda(code), TOKEN_ADDRESS);
+
+        expect(analysis.recognized).toBe(true);
+        expect(analysis.operations).toMatchObject([
+            { kind: 'transaction', destination: CONTRACT_ADDRESS, entrypoint: 'vote', amount: 1000, parameterCode: '(Pair 3 True)' }
+        ]);
+    });
+
+    test('rejects the invalid amounts', () => {
+        expect(() => buildContractCallLambda(CONTRACT_ADDRESS, 'default', parseLambda('unit'), 'Unit', NaN)).toThrow('not a valid mutez amount');
+    });
+});
+
+describe('buildSetDelegateLambda and buildUpdateOperatorsValue', () => {
+    test('build the delegate and operator updates code', () => {
+        expect(analyzeLambda(parseLambda(buildSetDelegateLambda(BAKER)), CONTRACT_ADDRESS).operations).toEqual([
+            { kind: 'delegation', delegate: BAKER }
+        ]);
+        expect(buildUpdateOperatorsValue([{ add: false, owner: CONTRACT_ADDRESS, operator: USER, tokenId: '4' }])).toBe(
+            `{ Right (Pair "${CONTRACT_ADDRESS}" (Pair "${USER}" 4)) }`);
+        expect(() => buildUpdateOperatorsValue([{ add: true, owner: CONTRACT_ADDRESS, operator: USER, tokenId: '4)) } DROP' }])).toThrow();
+    });
+});
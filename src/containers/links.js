@@ -1,5 +1,5 @@
 import React, { useContext } from 'react';
-import { NETWORK, IPFS_GATEWAY, TOKENS } from '../constants';
+import { NETWORKS, IPFS_GATEWAY, TOKENS } from '../constants';
 import { MultisigContext } from './context';
 
 
@@ -12,8 +12,23 @@ export function DefaultLink(props) {
 }
 
 export function TzktLink(props) {
+    // Get the required multisig context information
+    const { network } = useContext(MultisigContext);
+
+    // Get the TzKT explorer url for the selected network
+    const tzktExplorer = NETWORKS[network].tzktExplorer;
+
+    // Some networks (e.g. a local sandbox) don't have a TzKT explorer
+    if (!tzktExplorer) {
+        return (
+            <span className={props.className ? props.className : ''}>
+                {props.children}
+            </span>
+        );
+    }
+
     return (
-        <DefaultLink href={`https://${NETWORK}.tzkt.io/${props.address}`} className={props.className ? props.className : ''}>
+        <DefaultLink href={`${tzktExplorer}/${props.address}`} className={props.className ? props.className : ''}>
             {props.children}
         </DefaultLink>
     );
@@ -0,0 +1,278 @@
+import React, { useState } from 'react';
+import { DefaultLink, TezosAddressLink } from './links';
+import { getIpfsUrl } from './utils';
+
+
+// The inline Markdown elements, in order of precedence
+const INLINE_PATTERNS = [
+    { type: 'code', regex: /`([^`]+)`/ },
+    { type: 'image', regex: /!\[([^\]]*)\]\(([^)\s]+)\)/ },
+    { type: 'link', regex: /\[([^\]]+)\]\(([^)\s]+)\)/ },
+    { type: 'autolink', regex: /<((?:https?|ipfs):\/\/[^>\s]+)>/ },
+    { type: 'strong', regex: /\*\*(.+?)\*\*|__(.+?)__/ },
+    { type: 'emphasis', regex: /\*([^*]+)\*|\b_([^_]+)_\b/ },
+    { type: 'delete', regex: /~~(.+?)~~/ }
+];
+
+// The url schemes that can be used in links and images
+const SAFE_URL_SCHEMES = ['https:', 'http:', 'ipfs:', 'mailto:'];
+
+// Renders a Markdown text. The text is transformed to React elements, so any embedded HTML is displayed as text
+export function Markdown(props) {
+    return (
+        <div className='markdown'>
+            {renderBlocks(props.text.replace(/\r\n?/g, '\n').split('\n'), 'block')}
+        </div>
+    );
+}
+
+// Renders a structured text proposal document, with its title, summary, Markdown body and attachments
+export function TextDocument(props) {
+    const { document } = props;
+
+    return (
+        <div className='text-document'>
+            <h3>{document.title}</h3>
+            {document.summary &&
+                <p className='text-document-summary'>{document.summary}</p>
+            }
+            <Markdown text={document.body} />
+            {document.attachments?.length > 0 &&
+                <>
+                    <h4>Attachments</h4>
+                    <ul>
+                        {document.attachments.map((attachment, index) => (
+                            <li key={index}>
+                                {getSafeUrl(attachment.uri) ?
+                                    <DefaultLink href={getSafeUrl(attachment.uri)}>{attachment.name}</DefaultLink> :
+                                    attachment.name
+                                }
+                                {attachment.size !== undefined && ` (${formatFileSize(attachment.size)})`}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            }
+            {(document.author || document.multisig) &&
+                <p className='text-document-source'>
+                    {document.author && <>Written by <TezosAddressLink address={document.author} useAlias shorten /></>}
+                    {document.multisig && <> for the multisig <TezosAddressLink address={document.multisig} shorten /></>}.
+                </p>
+            }
+        </div>
+    );
+}
+
+// Returns the structured text document if the text is a valid text document in JSON format
+export function parseTextDocument(text) {
+    try {
+        const document = JSON.parse(text);
+
+        if (typeof document?.title === 'string' && typeof document.body === 'string') {
+            return {
+                title: document.title,
+                summary: typeof document.summary === 'string' ? document.summary : '',
+                body: document.body,
+                attachments: Array.isArray(document.attachments) ? document.attachments.filter(attachment => typeof attachment?.name === 'string') : [],
+                author: typeof document.author === 'string' ? document.author : undefined,
+                multisig: typeof document.multisig === 'string' ? document.multisig : undefined
+            };
+        }
+    } catch (error) {
+        // The text is not in JSON format
+    }
+
+    return undefined;
+}
+
+// Transforms some Markdown lines to block elements
+function renderBlocks(lines, keyPrefix) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const key = `${keyPrefix}-${blocks.length}`;
+
+        if (!line.trim()) {
+            // Skip empty lines
+            i++;
+        } else if (/^\s*```/.test(line)) {
+            // Fenced code block
+            const codeLines = [];
+            i++;
+
+            while (i < lines.length && !/^\s*```/.test(lines[i])) {
+                codeLines.push(lines[i++]);
+            }
+
+            i++;
+            blocks.push(<pre key={key}><code>{codeLines.join('\n')}</code></pre>);
+        } else if (/^#{1,6}\s/.test(line)) {
+            // Heading
+            const [, hashes, text] = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            blocks.push(React.createElement(`h${Math.min(hashes.length + 2, 6)}`, { key: key }, renderInline(text, key)));
+            i++;
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            // Horizontal rule
+            blocks.push(<hr key={key} />);
+            i++;
+        } else if (/^\s*>/.test(line)) {
+            // Block quote
+            const quoteLines = [];
+
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quoteLines.push(lines[i++].replace(/^\s*>\s?/, ''));
+            }
+
+            blocks.push(<blockquote key={key}>{renderBlocks(quoteLines, key)}</blockquote>);
+        } else if (getListItemMarker(line)) {
+            // Ordered or unordered list
+            const ordered = /\d/.test(getListItemMarker(line));
+            const items = [];
+
+            while (i < lines.length && getListItemMarker(lines[i]) && /\d/.test(getListItemMarker(lines[i])) === ordered) {
+                // Add the item lines, including the indented lines that follow it
+                const indentation = getIndentation(lines[i]);
+                const itemLines = [lines[i].replace(/^\s*([-*+]|\d+[.)])\s+/, '')];
+                i++;
+
+                while (i < lines.length) {
+                    // Empty lines are part of the item if the next line is indented
+                    const nextLine = lines[i].trim() ? lines[i] : lines[i + 1];
+
+                    if (nextLine === undefined || getIndentation(nextLine) <= indentation) break;
+
+                    itemLines.push(lines[i++].replace(new RegExp(`^\\s{0,${indentation + 4}}`), ''));
+                }
+
+                items.push(itemLines);
+            }
+
+            const listItems = items.map((itemLines, index) => (
+                <li key={index}>
+                    {itemLines.length === 1 ? renderInline(itemLines[0], `${key}-${index}`) : renderBlocks(itemLines, `${key}-${index}`)}
+                </li>
+            ));
+            blocks.push(ordered ? <ol key={key}>{listItems}</ol> : <ul key={key}>{listItems}</ul>);
+        } else {
+            // Paragraph
+            const paragraphLines = [];
+
+            while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) {
+                paragraphLines.push(lines[i++].trim());
+            }
+
+            blocks.push(<p key={key}>{renderInline(paragraphLines.join(' '), key)}</p>);
+        }
+    }
+
+    return blocks;
+}
+
+// Returns the number of spaces at the beginning of a line
+function getIndentation(line) {
+    return line.match(/^\s*/)[0].length;
+}
+
+// Returns the list item marker if the line is a list item
+function getListItemMarker(line) {
+    return line.match(/^\s*([-*+]|\d+[.)])\s+/)?.[1];
+}
+
+// Checks if a line starts a new block element that interrupts a paragraph
+function isBlockStart(line) {
+    return /^\s*```/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) || getListItemMarker(line) !== undefined;
+}
+
+// Transforms a Markdown text to inline elements
+function renderInline(text, keyPrefix) {
+    const elements = [];
+    let remainingText = text;
+
+    while (remainingText) {
+        // Find the first inline element in the text
+        let firstMatch;
+
+        for (const pattern of INLINE_PATTERNS) {
+            const match = remainingText.match(pattern.regex);
+
+            if (match && (!firstMatch || match.index < firstMatch.match.index)) {
+                firstMatch = { type: pattern.type, match: match };
+            }
+        }
+
+        if (!firstMatch) {
+            elements.push(remainingText);
+            break;
+        }
+
+        // Add the text before the element and the element itself
+        const { type, match } = firstMatch;
+        const key = `${keyPrefix}-${elements.length}`;
+
+        if (match.index > 0) {
+            elements.push(remainingText.slice(0, match.index));
+        }
+
+        elements.push(renderInlineElement(type, match, key));
+        remainingText = remainingText.slice(match.index + match[0].length);
+    }
+
+    return elements;
+}
+
+// Transforms an inline Markdown element to a React element
+function renderInlineElement(type, match, key) {
+    if (type === 'code') {
+        return <code key={key}>{match[1]}</code>;
+    } else if (type === 'image') {
+        const url = getSafeUrl(match[2]);
+
+        return url ? <MarkdownImage key={key} url={url} ipfs={match[2].startsWith('ipfs://')} alt={match[1]} /> : match[1];
+    } else if (type === 'link' || type === 'autolink') {
+        const url = getSafeUrl(type === 'link' ? match[2] : match[1]);
+        const children = type === 'link' ? renderInline(match[1], key) : match[1];
+
+        return url ? <DefaultLink key={key} href={url}>{children}</DefaultLink> : <span key={key}>{children}</span>;
+    } else if (type === 'strong') {
+        return <strong key={key}>{renderInline(match[1] ?? match[2], key)}</strong>;
+    } else if (type === 'emphasis') {
+        return <em key={key}>{renderInline(match[1] ?? match[2], key)}</em>;
+    } else {
+        return <del key={key}>{renderInline(match[1], key)}</del>;
+    }
+}
+
+// Renders a Markdown image. The images hosted outside IPFS are only loaded when the user requests it, because their
+// servers could use them to track the IP addresses of the users that read the document
+function MarkdownImage(props) {
+    const [load, setLoad] = useState(props.ipfs);
+
+    if (load) {
+        return <img src={props.url} alt={props.alt} className='markdown-image' />;
+    }
+
+    return (
+        <span className='markdown-remote-image'>
+            Image {props.alt && `"${props.alt}" `}hosted in <DefaultLink href={props.url}>{new URL(props.url).host}</DefaultLink>.{' '}
+            <button type='button' onClick={() => setLoad(true)}>Load image</button>
+        </span>
+    );
+}
+
+// Formats a file size in bytes
+function formatFileSize(size) {
+    if (size < 1024) return `${size} B`;
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} kB`;
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Returns the url if it uses a safe scheme, transforming the ipfs urls to gateway urls
+function getSafeUrl(url) {
+    try {
+        return SAFE_URL_SCHEMES.includes(new URL(url).protocol) ? getIpfsUrl(url) : undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
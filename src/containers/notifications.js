@@ -0,0 +1,117 @@
+import { useContext, useEffect } from 'react';
+import { NETWORKS } from '../constants';
+import { MultisigContext } from './context';
+
+
+// The service worker that shows the notifications
+const WORKER_URL = `${process.env.PUBLIC_URL}/notifications-worker.js`;
+
+// The periodic sync tag used to check the proposals when the app is closed
+const PERIODIC_SYNC_TAG = 'multisig-notifications';
+
+// The minimum time in milliseconds between two periodic checks
+const PERIODIC_SYNC_INTERVAL = 3600 * 1000;
+
+// The notifications service worker registration, once it has been registered and activated
+let workerRegistration;
+
+// The notification settings used if the user didn't change them
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+    enabled: false,
+    hoursBeforeExpiration: 24
+};
+
+// Checks if the browser supports service worker notifications
+export function areNotificationsSupported() {
+    return 'serviceWorker' in navigator && 'Notification' in window;
+}
+
+// Returns the notification settings stored in the local storage
+export function getNotificationSettings() {
+    return Object.assign({}, DEFAULT_NOTIFICATION_SETTINGS, JSON.parse(window.localStorage.multisigNotifications || '{}'));
+}
+
+// Stores the notification settings, asking for the notifications permission if they are enabled
+export async function setNotificationSettings(settings) {
+    if (settings.enabled && await Notification.requestPermission() !== 'granted') {
+        throw new Error('The browser notifications permission was not granted');
+    }
+
+    window.localStorage.multisigNotifications = JSON.stringify(settings);
+}
+
+// Registers the notifications service worker, if it was not registered already, and waits until it's active
+async function registerNotificationsWorker() {
+    if (workerRegistration) return workerRegistration;
+
+    await navigator.serviceWorker.register(WORKER_URL);
+    const registration = await navigator.serviceWorker.ready;
+
+    // Check the proposals periodically also when the app is closed, if the browser supports it
+    if ('periodicSync' in registration) {
+        await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL })
+            .catch(error => console.log('Error while registering the notifications periodic sync:', error));
+    }
+
+    workerRegistration = registration;
+
+    return registration;
+}
+
+// Registers the notifications service worker and sends it the multisig information, or unregisters it if the
+// notifications are disabled
+export async function configureNotifications(network, contractAddress, userAddress) {
+    if (!areNotificationsSupported()) return;
+
+    const settings = getNotificationSettings();
+
+    if (!(settings.enabled && Notification.permission === 'granted')) {
+        workerRegistration = undefined;
+        const registrations = await navigator.serviceWorker.getRegistrations();
+        await Promise.all(registrations
+            .filter(registration => registration.active?.scriptURL.endsWith(WORKER_URL))
+            .map(registration => registration.unregister()));
+        return;
+    }
+
+    const registration = await registerNotificationsWorker();
+    registration.active.postMessage({
+        type: 'configure',
+        settings: {
+            enabled: true,
+            network: network,
+            apiUrl: NETWORKS[network].tzktApi,
+            contractAddress: contractAddress,
+            userAddress: userAddress,
+            hoursBeforeExpiration: settings.hoursBeforeExpiration
+        }
+    });
+}
+
+// Asks the notifications service worker to check the multisig proposals, if it has been registered
+export function checkNotifications() {
+    workerRegistration?.active?.postMessage({ type: 'check' });
+}
+
+// Component that keeps the notifications service worker updated with the multisig information
+export function NotificationsManager() {
+    // Get the required multisig context information
+    const { network, contractAddress, userAddress, storage, votes } = useContext(MultisigContext);
+
+    const loaded = storage !== undefined;
+
+    // Send the multisig information to the service worker every time the multisig or the user change
+    useEffect(() => {
+        if (!loaded) return;
+
+        configureNotifications(network, contractAddress, userAddress)
+            .catch(error => console.log('Error while configuring the notifications:', error));
+    }, [network, contractAddress, userAddress, loaded]);
+
+    // Ask the service worker to check the proposals every time the proposals or the votes change
+    useEffect(() => {
+        if (storage) checkNotifications();
+    }, [storage, votes]);
+
+    return null;
+}
@@ -0,0 +1,129 @@
+import { localForger } from '@taquito/local-forging';
+import { Prefix, prefix, b58cencode, b58cdecode, buf2hex, verifySignature } from '@taquito/utils';
+import { DUMMY_SIGNATURE } from './simulation';
+import { getRpcErrorMessage } from './errors';
+
+
+// The extra gas added to the simulated gas consumption
+const GAS_BUFFER = 100;
+
+// The minimal fee parameters (in mutez, mutez per gas unit and mutez per byte)
+const MINIMAL_FEE = 100;
+const MINIMAL_FEE_PER_GAS_UNIT = 0.1;
+const MINIMAL_FEE_PER_BYTE = 1;
+
+// The size in bytes of an operation signature
+const SIGNATURE_SIZE = 64;
+
+// The watermark added to the operation bytes before signing them
+const OPERATION_WATERMARK = '03';
+
+// The signature prefixes associated to each public key prefix
+const SIGNATURE_PREFIXES = {
+    [Prefix.EDPK]: Prefix.EDSIG,
+    [Prefix.SPPK]: Prefix.SPSIG,
+    [Prefix.P2PK]: Prefix.P2SIG
+};
+
+// Forges an unsigned contract call operation, with the fee and limits calculated from a simulation
+export async function forgeContractCall(tezos, transferParams, source) {
+    // Check that the source account has been revealed, because the operation cannot include a reveal operation
+    const publicKey = await tezos.rpc.getManagerKey(source);
+
+    if (!publicKey) {
+        throw new Error(`The account ${source} needs to be revealed before it can sign operations offline`);
+    }
+
+    // Get the information needed to build the operation
+    const header = await tezos.rpc.getBlockHeader();
+    const constants = await tezos.rpc.getConstants();
+    const sourceInformation = await tezos.rpc.getContract(source);
+
+    // Build the operation content using the maximum limits
+    const content = {
+        kind: 'transaction',
+        source: source,
+        fee: '0',
+        counter: (parseInt(sourceInformation.counter) + 1).toString(),
+        gas_limit: constants.hard_gas_limit_per_operation.toString(),
+        storage_limit: constants.hard_storage_limit_per_operation.toString(),
+        amount: '0',
+        destination: transferParams.to,
+        parameters: transferParams.parameter
+    };
+
+    // Simulate the operation to get the gas and storage consumption
+    const response = await tezos.rpc.runOperation({
+        operation: {
+            branch: header.hash,
+            contents: [content],
+            signature: DUMMY_SIGNATURE
+        },
+        chain_id: header.chain_id
+    });
+    const result = response.contents[0].metadata.operation_result;
+
+    if (result.status !== 'applied') {
+        throw new Error(`The operation would fail: ${getRpcErrorMessage(result.errors)}`);
+    }
+
+    const gasLimit = Math.ceil(parseInt(result.consumed_milligas ?? 0) / 1000) + GAS_BUFFER;
+    content.gas_limit = gasLimit.toString();
+    content.storage_limit = (result.paid_storage_size_diff ?? '0').toString();
+
+    // Calculate the fee, that depends on the final operation size. The operation is forged locally, so the bytes
+    // that will be signed don't depend on the RPC node
+    let forgedBytes = await localForger.forge({ branch: header.hash, contents: [content] });
+
+    for (let i = 0; i < 2; i++) {
+        const size = forgedBytes.length / 2 + SIGNATURE_SIZE;
+        content.fee = Math.ceil(MINIMAL_FEE + MINIMAL_FEE_PER_GAS_UNIT * gasLimit + MINIMAL_FEE_PER_BYTE * size).toString();
+        forgedBytes = await localForger.forge({ branch: header.hash, contents: [content] });
+    }
+
+    // The operation can only be included in the blocks that are less than max_operations_ttl blocks after its branch
+    const expirationLevel = header.level + Number(constants.max_operations_ttl);
+    const expirationDate = new Date(new Date(header.timestamp).getTime() +
+        Number(constants.max_operations_ttl) * Number(constants.minimal_block_delay) * 1000);
+
+    return {
+        branch: header.hash,
+        chainId: header.chain_id,
+        level: header.level,
+        expirationLevel: expirationLevel,
+        expirationDate: expirationDate.toISOString().slice(0, 19) + 'Z',
+        contents: [content],
+        publicKey: publicKey,
+        forgedBytes: forgedBytes
+    };
+}
+
+// Returns the signed operation bytes, checking that the signature is valid for the forged operation and public key.
+// The signed data can be a base58 signature, a hex signature or the complete signed operation bytes
+export function getSignedOperationBytes(forgedBytes, publicKey, signedData) {
+    let signature = signedData.trim();
+
+    if (/^[0-9a-fA-F]+$/.test(signature)) {
+        signature = signature.toLowerCase();
+
+        // Remove the operation bytes if the complete signed operation was provided
+        if (signature.length === forgedBytes.length + 2 * SIGNATURE_SIZE && signature.startsWith(forgedBytes)) {
+            signature = signature.slice(forgedBytes.length);
+        }
+
+        if (signature.length !== 2 * SIGNATURE_SIZE) {
+            throw new Error('The signed data is not a signature or the signed bytes of this operation');
+        }
+
+        signature = b58cencode(signature, prefix[SIGNATURE_PREFIXES[publicKey.slice(0, 4)]]);
+    }
+
+    if (!verifySignature(OPERATION_WATERMARK + forgedBytes, publicKey, signature)) {
+        throw new Error('The signature doesn\'t correspond to this operation or to the signer public key');
+    }
+
+    // Transform the signature to hex and append it to the operation bytes
+    const signaturePrefix = [Prefix.EDSIG, Prefix.SPSIG, Prefix.P2SIG, Prefix.SIG].find(signaturePrefix => signature.startsWith(signaturePrefix));
+
+    return forgedBytes + buf2hex(b58cdecode(signature, prefix[signaturePrefix]));
+}
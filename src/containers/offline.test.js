@@ -0,0 +1,64 @@
+import { localForger } from '@taquito/local-forging';
+import { Prefix, prefix, b58cencode } from '@taquito/utils';
+import { forgeContractCall } from './offline';
+
+
+// The multisig and the signer used in the tests
+const CONTRACT_ADDRESS = 'KT1PKBTVmdxfgkFvSeNUQacYiEFsPBw16B4P';
+const SIGNER = 'tz1RS9GoEXakf9iyBmSaheLMcakFRtzBXpWE';
+const PUBLIC_KEY = 'edpkuBknW28nW72KG6RoHtYW7p12T6GKc7nAbwYX5m8Wd9sDVC9yav';
+const BLOCK_HASH = b58cencode('11'.repeat(32), prefix[Prefix.B]);
+
+// The vote operation parameters
+const TRANSFER_PARAMS = {
+    to: CONTRACT_ADDRESS,
+    amount: 0,
+    parameter: { entrypoint: 'vote_proposal', value: { prim: 'Pair', args: [{ int: '3' }, { prim: 'True' }] } }
+};
+
+// Creates a Tezos toolkit mock with the given RPC responses
+function createTezos(publicKey = PUBLIC_KEY) {
+    return {
+        rpc: {
+            getManagerKey: async () => publicKey,
+            getBlockHeader: async () => ({ hash: BLOCK_HASH, chain_id: 'NetXdQprcVkpaWU', level: 100, timestamp: '2024-01-01T00:00:00Z' }),
+            getConstants: async () => ({
+                hard_gas_limit_per_operation: 1040000,
+                hard_storage_limit_per_operation: 60000,
+                max_operations_ttl: 240,
+                minimal_block_delay: '15'
+            }),
+            getContract: async () => ({ counter: '41' }),
+            runOperation: async () => ({
+                contents: [{ metadata: { operation_result: { status: 'applied', consumed_milligas: '2500500' } } }]
+            }),
+            forgeOperations: jest.fn()
+        }
+    };
+}
+
+describe('forgeContractCall', () => {
+    test('forges the operation locally', async () => {
+        const tezos = createTezos();
+        const operation = await forgeContractCall(tezos, TRANSFER_PARAMS, SIGNER);
+
+        expect(tezos.rpc.forgeOperations).not.toHaveBeenCalled();
+        expect(operation.contents[0]).toMatchObject({ counter: '42', gas_limit: '2601', storage_limit: '0', destination: CONTRACT_ADDRESS });
+
+        // The fee includes the size of the forged operation
+        expect(parseInt(operation.contents[0].fee)).toBe(Math.ceil(100 + 0.1 * 2601 + operation.forgedBytes.length / 2 + 64));
+        expect(await localForger.parse(operation.forgedBytes)).toEqual({ branch: BLOCK_HASH, contents: operation.contents });
+    });
+
+    test('calculates the operation validity window from the network constants', async () => {
+        const operation = await forgeContractCall(createTezos(), TRANSFER_PARAMS, SIGNER);
+
+        expect(operation.expirationLevel).toBe(340);
+        expect(operation.expirationDate).toBe('2024-01-01T01:00:00Z');
+    });
+
+    test('rejects the accounts that have not been revealed', async () => {
+        await expect(forgeContractCall(createTezos(null), TRANSFER_PARAMS, SIGNER)).rejects.toThrow('needs to be revealed');
+    });
+});
+
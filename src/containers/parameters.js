@@ -1,12 +1,13 @@
 import React, { useContext } from 'react';
-import { NETWORK } from '../constants';
+import { TOKENS } from '../constants';
 import { MultisigContext } from './context';
-import { TezosAddressLink } from './links';
+import { TezosAddressLink, TokenLink } from './links';
+import { getIpfsUrl } from './utils';
 
 
 export function Parameters() {
     // Get the required multisig context information
-    const { userAddress, contractAddress, storage, balance } = useContext(MultisigContext);
+    const { network, userAddress, contractAddress, storage, balance, delegate } = useContext(MultisigContext);
 
     return (
         <section>
@@ -26,11 +27,93 @@ export function Parameters() {
                     </ul>
                 </li>
                 <li>Contract address: <TezosAddressLink address={contractAddress} /></li>
-                <li>Network: {NETWORK}</li>
+                <li>Network: {network}</li>
                 <li>Positive votes needed to execute a proposal: {storage?.minimum_votes} votes</li>
                 <li>Proposal expiration time: {storage?.expiration_time} days</li>
                 <li>Balance: {balance ? balance / 1000000 : '0'} ꜩ</li>
+                <li>Delegate:
+                    {' '}
+                    {delegate ?
+                        <TezosAddressLink address={delegate.address}>
+                            {delegate.alias ? `${delegate.alias} - ` : ''}
+                        </TezosAddressLink> :
+                        (delegate === null ? 'no delegate' : 'unknown')
+                    }
+                </li>
             </ul>
         </section>
     );
 }
+
+export function Treasury() {
+    // Get the required multisig context information
+    const { dataSourceType, tokenBalances } = useContext(MultisigContext);
+
+    // Return if the token balances are not available
+    if (!tokenBalances) {
+        return (
+            <section>
+                <h2>Treasury</h2>
+                <p>
+                    {dataSourceType === 'rpc' ?
+                        'The token holdings can only be listed using the TzKT API data source.' :
+                        'The token holdings are not available.'
+                    }
+                </p>
+            </section>
+        );
+    }
+
+    // Group the token balances by the known token collections
+    const groups = TOKENS
+        .map(token => ({ name: token.name, tokenBalances: tokenBalances.filter(tokenBalance => tokenBalance.fa2 === token.fa2) }))
+        .filter(group => group.tokenBalances.length > 0);
+    const otherTokenBalances = tokenBalances.filter(tokenBalance => !TOKENS.some(token => token.fa2 === tokenBalance.fa2));
+
+    if (otherTokenBalances.length > 0) {
+        groups.push({ name: 'Other tokens', tokenBalances: otherTokenBalances });
+    }
+
+    return (
+        <section>
+            <h2>Treasury</h2>
+            {groups.length === 0 ?
+                <p>The multisig doesn't hold any FA2 or FA1.2 token.</p> :
+                groups.map(group => (
+                    <details key={group.name} open>
+                        <summary>{group.name} ({group.tokenBalances.length} token{group.tokenBalances.length > 1 ? 's' : ''})</summary>
+                        <table className='treasury-table'>
+                            <tbody>
+                                {group.tokenBalances.map(tokenBalance => (
+                                    <TokenBalance key={`${tokenBalance.fa2}-${tokenBalance.tokenId}`} tokenBalance={tokenBalance} />
+                                ))}
+                            </tbody>
+                        </table>
+                    </details>
+                ))
+            }
+        </section>
+    );
+}
+
+function TokenBalance(props) {
+    // Get the token balance information
+    const { fa2, tokenId, standard, balance, name, decimals, thumbnail } = props.tokenBalance;
+
+    return (
+        <tr>
+            <td>
+                {thumbnail &&
+                    <img src={getIpfsUrl(thumbnail)} alt='' className='token-thumbnail' loading='lazy' />
+                }
+            </td>
+            <td>
+                <TokenLink fa2={fa2} id={tokenId}>
+                    {name ?? (standard === 'fa2' ? 'token' : 'tokens')}
+                </TokenLink>
+                {standard === 'fa2' ? ` #${tokenId}` : ''}
+            </td>
+            <td>{parseInt(balance) / 10 ** decimals}</td>
+        </tr>
+    );
+}
@@ -0,0 +1,653 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { buf2hex, validateAddress } from '@taquito/utils';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { MultisigContext } from './context';
+import { Button } from './button';
+import { TezosAddressLink, IpfsLink } from './links';
+import { createCommentsBackend, getMichelinePayload, isSignedByUser } from './comments';
+import { getIpfsPath } from './ipfs';
+import { useTokenMetadata, formatTokenAmount } from './tokens';
+import { parseTransfersTable, toBaseUnits } from './utils';
+
+
+// The proposal kinds that can be used in a signaling poll
+export const POLL_PROPOSAL_KINDS = {
+    text: 'Text proposal',
+    transfer_mutez: 'Transfer tez proposal',
+    transfer_token: 'Transfer token proposal',
+    lambda_function: 'Lambda function proposal',
+    change_delegate: 'Change delegate proposal',
+    add_user: 'Add user proposal',
+    remove_user: 'Remove user proposal',
+    minimum_votes: 'Minimum votes proposal',
+    expiration_time: 'Expiration time proposal'
+};
+
+// The form inputs used when a new poll is created
+const DEFAULT_POLL_INPUTS = {
+    title: '',
+    description: '',
+    kind: 'text',
+    ipfsPath: '',
+    transfers: '',
+    tokenAddress: '',
+    tokenId: '0',
+    michelineCode: '',
+    address: '',
+    value: 1
+};
+
+// Serializes a value to JSON with the object keys sorted, so the same draft always produces the same hash
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    } else if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+// Returns the hex encoded sha256 hash of a proposal draft
+export async function getDraftHash(draft) {
+    const digest = await sha256.digest(new TextEncoder().encode(canonicalJson(draft)));
+
+    return buf2hex(digest.digest);
+}
+
+// Returns the Micheline payload that the poll creators and voters sign with the wallet
+export function getPollPayload(message) {
+    if (message.type === 'poll') {
+        return getMichelinePayload(`Tezos Signed Message: signaling poll on the multisig ${message.multisig} ` +
+            `(${message.network}) for the proposal draft ${message.draftHash} at ${message.timestamp}`);
+    }
+
+    return getMichelinePayload(`Tezos Signed Message: signaling poll vote on the multisig ${message.multisig} ` +
+        `(${message.network}) for the proposal draft ${message.draftHash} at ${message.timestamp}: ${message.choice}`);
+}
+
+// Verifies the poll messages and returns the valid polls with the last vote of each multisig user
+export async function getVerifiedPolls(messages, network, contractAddress, users) {
+    // Keep only the messages signed by the multisig users
+    const signedMessages = messages.filter(message => (
+        message?.network === network &&
+        message.multisig === contractAddress &&
+        typeof message.draftHash === 'string' &&
+        isSignedByUser(message, getPollPayload(message), users)
+    ));
+
+    // Check that the poll drafts correspond to their hashes
+    const polls = [];
+
+    for (const message of signedMessages.filter(message => message.type === 'poll')) {
+        if (POLL_PROPOSAL_KINDS[message.draft?.kind] === undefined || typeof message.draft.title !== 'string') continue;
+        if (polls.some(poll => poll.draftHash === message.draftHash)) continue;
+        if (await getDraftHash(message.draft) !== message.draftHash) continue;
+
+        polls.push(Object.assign({}, message, { votes: {} }));
+    }
+
+    // Add the votes, keeping only the last vote of each user
+    const votes = signedMessages
+        .filter(message => message.type === 'vote' && ['yes', 'no'].includes(message.choice))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const vote of votes) {
+        const poll = polls.find(poll => poll.draftHash === vote.draftHash);
+
+        if (poll) poll.votes[vote.author] = vote;
+    }
+
+    return polls.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+// Builds the proposal parameters from the poll form inputs. The token transfer amounts are multiplied by the token
+// decimals, so the parameters always contain the token base units
+function buildDraftParameters(inputs, tokenDecimals) {
+    const address = inputs.address.trim();
+
+    switch (inputs.kind) {
+        case 'text': {
+            const ipfsPath = getIpfsPath(inputs.ipfsPath);
+
+            if (!ipfsPath) throw new Error('The text proposal needs a valid IPFS path');
+
+            return { ipfsPath: ipfsPath };
+        }
+        case 'transfer_mutez':
+        case 'transfer_token': {
+            const decimals = inputs.kind === 'transfer_mutez' ? 6 : tokenDecimals;
+            const transfers = parseTransfersTable(inputs.transfers, decimals);
+            const invalidTransfer = transfers.find(transfer => transfer.error);
+
+            if (transfers.length === 0) throw new Error('The poll needs at least one transfer');
+            if (invalidTransfer) throw new Error(`Line ${invalidTransfer.line} of the transfers has an ${invalidTransfer.error}`);
+
+            if (inputs.kind === 'transfer_mutez') {
+                return validateDraftParameters(inputs.kind, {
+                    transfers: transfers.map(transfer => ({ amount: Math.round(transfer.amount * 1000000), destination: transfer.destination }))
+                });
+            }
+
+            // The token amounts are stored as strings, since they could exceed the safe integer range
+            return validateDraftParameters(inputs.kind, {
+                tokenAddress: inputs.tokenAddress.trim(),
+                tokenId: parseInt(inputs.tokenId) || 0,
+                transfers: transfers.map(transfer => ({ amount: toBaseUnits(transfer.amountText, decimals), destination: transfer.destination }))
+            });
+        }
+        case 'lambda_function':
+            return validateDraftParameters(inputs.kind, { michelineCode: inputs.michelineCode });
+        case 'change_delegate':
+            return validateDraftParameters(inputs.kind, { delegate: address });
+        case 'add_user':
+        case 'remove_user':
+            return validateDraftParameters(inputs.kind, { user: address });
+        case 'minimum_votes':
+            return validateDraftParameters(inputs.kind, { minimumVotes: Math.round(inputs.value) });
+        default:
+            return validateDraftParameters(inputs.kind, { expirationTime: Math.round(inputs.value) });
+    }
+}
+
+// Checks that the draft parameters are valid for the given proposal kind. The polls are created by other users, so
+// the parameters need to be checked again before they are used to create an on-chain proposal
+function validateDraftParameters(kind, parameters) {
+    const isPositiveInteger = value => Number.isSafeInteger(value) && value > 0;
+    const isPositiveAmount = value => isPositiveInteger(value) || (typeof value === 'string' && /^\d+$/.test(value) && BigInt(value) > 0);
+
+    switch (kind) {
+        case 'text':
+            if (typeof parameters?.ipfsPath !== 'string' || getIpfsPath(parameters.ipfsPath) !== parameters.ipfsPath) {
+                throw new Error('The text proposal needs a valid IPFS path');
+            }
+
+            break;
+        case 'transfer_mutez':
+        case 'transfer_token': {
+            const transfers = parameters?.transfers;
+
+            if (!Array.isArray(transfers) || transfers.length === 0) throw new Error('The poll needs at least one transfer');
+
+            transfers.forEach((transfer, index) => {
+                if (validateAddress(transfer?.destination) !== 3) throw new Error(`The transfer ${index + 1} has an invalid address`);
+                if (!(kind === 'transfer_token' ? isPositiveAmount(transfer.amount) : isPositiveInteger(transfer.amount))) {
+                    throw new Error(`The transfer ${index + 1} has an invalid amount`);
+                }
+            });
+
+            if (kind === 'transfer_token') {
+                if (!parameters.tokenAddress?.startsWith?.('KT1') || validateAddress(parameters.tokenAddress) !== 3) {
+                    throw new Error('The token contract address is not valid');
+                }
+
+                if (!Number.isSafeInteger(parameters.tokenId) || parameters.tokenId < 0) throw new Error('The token id is not valid');
+            }
+
+            break;
+        }
+        case 'lambda_function':
+            if (typeof parameters?.michelineCode !== 'string' || !parameters.michelineCode.trim()) {
+                throw new Error('The lambda function code is empty');
+            }
+
+            break;
+        case 'change_delegate':
+            if (typeof parameters?.delegate !== 'string' || (parameters.delegate && validateAddress(parameters.delegate) !== 3)) {
+                throw new Error('The delegate address is not valid');
+            }
+
+            break;
+        case 'add_user':
+        case 'remove_user':
+            if (validateAddress(parameters?.user) !== 3) throw new Error('The user address is not valid');
+
+            break;
+        case 'minimum_votes':
+            if (!isPositiveInteger(parameters?.minimumVotes)) throw new Error('The minimum votes is not valid');
+
+            break;
+        case 'expiration_time':
+            if (!isPositiveInteger(parameters?.expirationTime)) throw new Error('The expiration time is not valid');
+
+            break;
+        default:
+            throw new Error(`Unknown proposal kind: ${kind}`);
+    }
+
+    return parameters;
+}
+
+export function Polls() {
+    // Get the required multisig context information
+    const { network, contractAddress, storage, userAddress } = useContext(MultisigContext);
+
+    // Set the component state
+    const [backend] = useState(() => createCommentsBackend());
+    const [polls, setPolls] = useState(undefined);
+    const [loadError, setLoadError] = useState(undefined);
+    const [reload, setReload] = useState(0);
+
+    const users = storage?.users;
+
+    // Load the polls every time the multisig changes
+    useEffect(() => {
+        setPolls(undefined);
+        setLoadError(undefined);
+
+        if (!backend || !users) return;
+
+        let ignore = false;
+        backend.getPollMessages(network, contractAddress)
+            .then(messages => getVerifiedPolls(messages, network, contractAddress, users))
+            .then(newPolls => !ignore && setPolls(newPolls))
+            .catch(error => {
+                console.log('Error while loading the signaling polls:', error);
+                !ignore && setLoadError(error.message);
+            });
+
+        return () => ignore = true;
+    }, [backend, network, contractAddress, users, reload]);
+
+    // Return if the comments backend has not been configured
+    if (!backend) {
+        return (
+            <section>
+                <p>Configure a comments backend in the home page to see and create signaling polls.</p>
+            </section>
+        );
+    }
+
+    // Check if the connected user is a multisig user
+    const isUser = users?.includes(userAddress);
+
+    return (
+        <>
+            <section>
+                <h2>Active polls</h2>
+                {loadError ?
+                    <p className='comments-error'>The polls could not be loaded: {loadError}.</p> :
+                    !polls ?
+                        <p>Loading the signaling polls...</p> :
+                        polls.length === 0 ?
+                            <p>There are no signaling polls in this multisig yet.</p> :
+                            <ul className='poll-list'>
+                                {polls.map(poll => (
+                                    <li key={poll.draftHash}>
+                                        <Poll
+                                            poll={poll}
+                                            backend={backend}
+                                            isUser={isUser}
+                                            onVote={() => setReload(reload + 1)}
+                                        />
+                                    </li>
+                                ))}
+                            </ul>
+                }
+            </section>
+
+            {isUser &&
+                <section>
+                    <h2>New signaling poll</h2>
+                    <p>
+                        Use this form to ask the other multisig users what they think about a proposal before creating
+                        it on-chain. Polls and votes are signed with your wallet and stored off-chain, so they don't cost
+                        any gas. Once the poll has enough positive votes, it can be promoted to an on-chain proposal.
+                    </p>
+                    <PollForm backend={backend} onCreate={() => setReload(reload + 1)} />
+                </section>
+            }
+        </>
+    );
+}
+
+function Poll(props) {
+    // Get the required multisig context information
+    const context = useContext(MultisigContext);
+    const { network, contractAddress, storage, userAddress, signPayload, handleError } = context;
+
+    // Get the navigate function
+    const navigate = useNavigate();
+
+    // Tally the votes
+    const { poll } = props;
+    const votes = Object.values(poll.votes);
+    const positiveVotes = votes.filter(vote => vote.choice === 'yes').length;
+    const negativeVotes = votes.length - positiveVotes;
+    const passed = positiveVotes >= parseInt(storage.minimum_votes);
+
+    // Define the on vote click handler
+    const handleVoteClick = async (e, choice) => {
+        e.preventDefault();
+
+        const vote = {
+            type: 'vote',
+            network: network,
+            multisig: contractAddress,
+            draftHash: poll.draftHash,
+            choice: choice,
+            author: userAddress,
+            timestamp: new Date().toISOString()
+        };
+
+        // Sign the vote with the user wallet
+        const signed = await signPayload(getPollPayload(vote));
+
+        if (!signed) return;
+
+        vote.publicKey = signed.publicKey;
+        vote.signature = signed.signature;
+
+        // Store the vote
+        try {
+            await props.backend.addPollMessage(vote);
+            props.onVote();
+        } catch (error) {
+            handleError('Error while storing the poll vote', error);
+        }
+    };
+
+    // Define the on promote click handler
+    const handlePromoteClick = async e => {
+        e.preventDefault();
+
+        // Check the draft parameters again, since they could have been modified outside the app
+        let parameters;
+
+        try {
+            parameters = validateDraftParameters(poll.draft.kind, poll.draft.parameters);
+        } catch (error) {
+            handleError('Error while creating the on-chain proposal', error);
+            return;
+        }
+
+        const promotions = {
+            text: () => context.createTextProposal(parameters.ipfsPath),
+            transfer_mutez: () => context.createTransferMutezProposal(parameters.transfers),
+            transfer_token: () => context.createTransferTokenProposal(parameters.tokenAddress, parameters.tokenId, parameters.transfers),
+            lambda_function: () => context.createLambdaFunctionProposal(parameters.michelineCode),
+            change_delegate: () => context.createDelegationProposal(parameters.delegate),
+            add_user: () => context.createAddUserProposal(parameters.user),
+            remove_user: () => context.createRemoveUserProposal(parameters.user),
+            minimum_votes: () => context.createMinimumVotesProposal(parameters.minimumVotes),
+            expiration_time: () => context.createExpirationTimeProposal(parameters.expirationTime)
+        };
+
+        try {
+            if (await promotions[poll.draft.kind]()) navigate('/proposals');
+        } catch (error) {
+            handleError('Error while creating the on-chain proposal', error);
+        }
+    };
+
+    return (
+        <div className='poll'>
+            <h3>{poll.draft.title}</h3>
+            <p>
+                {POLL_PROPOSAL_KINDS[poll.draft.kind]} poll created by <TezosAddressLink address={poll.author} useAlias shorten />
+                {' '}
+                on {poll.timestamp.slice(0, 19).replace('T', ' ')}.
+            </p>
+            {poll.draft.description &&
+                <p className='poll-description'>{poll.draft.description}</p>
+            }
+            <DraftParameters kind={poll.draft.kind} parameters={poll.draft.parameters} />
+            <p className={passed ? 'poll-passed' : ''}>
+                {positiveVotes} YES, {negativeVotes} NO ({storage.minimum_votes} positive votes needed).
+                {passed ? ' The poll has passed.' : ''}
+            </p>
+            {votes.length > 0 &&
+                <ul className='poll-votes'>
+                    {votes.map(vote => (
+                        <li key={vote.author} className={vote.choice === 'yes' ? 'yes-vote' : 'no-vote'}>
+                            <TezosAddressLink address={vote.author} useAlias shorten />: {vote.choice.toUpperCase()}
+                        </li>
+                    ))}
+                </ul>
+            }
+            {props.isUser &&
+                <div className='poll-actions'>
+                    <Button text='YES' onClick={e => handleVoteClick(e, 'yes')} />
+                    {' '}
+                    <Button text='NO' onClick={e => handleVoteClick(e, 'no')} />
+                    {passed &&
+                        <>
+                            {' '}
+                            <Button text='create on-chain proposal' onClick={handlePromoteClick} />
+                        </>
+                    }
+                </div>
+            }
+            <p className='poll-hash'>Draft hash: {poll.draftHash}</p>
+        </div>
+    );
+}
+
+function DraftParameters(props) {
+    const { kind, parameters } = props;
+
+    if (kind === 'text') {
+        return <p>Text: <IpfsLink path={parameters.ipfsPath ?? ''} /></p>;
+    } else if (kind === 'transfer_token') {
+        return <TokenTransfersParameters parameters={parameters} />;
+    } else if (kind === 'transfer_mutez') {
+        return (
+            <table>
+                <tbody>
+                    {(parameters.transfers ?? []).map((transfer, index) => (
+                        <tr key={index}>
+                            <td>{transfer.amount / 1000000} ꜩ to</td>
+                            <td><TezosAddressLink address={transfer.destination} useAlias shorten /></td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        );
+    } else if (kind === 'lambda_function') {
+        return <pre className='micheline-code'>{parameters.michelineCode}</pre>;
+    } else if (kind === 'change_delegate') {
+        return <p>New delegate: {parameters.delegate ? <TezosAddressLink address={parameters.delegate} useAlias shorten /> : 'no delegate'}</p>;
+    } else if (kind === 'add_user' || kind === 'remove_user') {
+        return <p>User: <TezosAddressLink address={parameters.user} useAlias shorten /></p>;
+    } else if (kind === 'minimum_votes') {
+        return <p>New minimum votes: {parameters.minimumVotes}</p>;
+    } else {
+        return <p>New expiration time: {parameters.expirationTime} days</p>;
+    }
+}
+
+function TokenTransfersParameters(props) {
+    const { parameters } = props;
+
+    // Get the token metadata, since the transfer amounts are stored in token base units
+    const token = useTokenMetadata(parameters.tokenAddress, String(parameters.tokenId ?? 0));
+
+    return (
+        <>
+            <p>
+                Token: <TezosAddressLink address={parameters.tokenAddress} shorten /> #{parameters.tokenId}
+                {token.name && ` (${token.name})`}
+            </p>
+            <table>
+                <tbody>
+                    {(parameters.transfers ?? []).map((transfer, index) => (
+                        <tr key={index}>
+                            <td>{token.resolved ? formatTokenAmount(transfer.amount, token) : transfer.amount} editions to</td>
+                            <td><TezosAddressLink address={transfer.destination} useAlias shorten /></td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </>
+    );
+}
+
+function PollForm(props) {
+    // Get the required multisig context information
+    const { network, contractAddress, userAddress, signPayload, setErrorMessage, handleError } = useContext(MultisigContext);
+
+    // Set the component state
+    const [inputs, setInputs] = useState(DEFAULT_POLL_INPUTS);
+
+    // Get the metadata of the token used in the transfer token polls
+    const token = useTokenMetadata(inputs.kind === 'transfer_token' ? inputs.tokenAddress.trim() : undefined, String(parseInt(inputs.tokenId) || 0));
+
+    // Define the on change handler
+    const handleChange = (parameter, value) => setInputs(Object.assign({}, inputs, { [parameter]: value }));
+
+    // Define the on submit handler
+    const handleSubmit = async e => {
+        e.preventDefault();
+
+        // The token decimals are only known once the token metadata has been resolved
+        if (inputs.kind === 'transfer_token' && !token.resolved) {
+            setErrorMessage('The token decimals have not been resolved yet');
+            return;
+        }
+
+        // Build the proposal draft
+        let draft;
+
+        try {
+            draft = {
+                title: inputs.title.trim(),
+                description: inputs.description.trim(),
+                kind: inputs.kind,
+                parameters: buildDraftParameters(inputs, token.decimals)
+            };
+        } catch (error) {
+            setErrorMessage(error.message);
+            return;
+        }
+
+        if (!draft.title) {
+            setErrorMessage('The poll needs a title');
+            return;
+        }
+
+        const poll = {
+            type: 'poll',
+            network: network,
+            multisig: contractAddress,
+            draft: draft,
+            draftHash: await getDraftHash(draft),
+            author: userAddress,
+            timestamp: new Date().toISOString()
+        };
+
+        // Sign the poll with the user wallet
+        const signed = await signPayload(getPollPayload(poll));
+
+        if (!signed) return;
+
+        poll.publicKey = signed.publicKey;
+        poll.signature = signed.signature;
+
+        // Store the poll
+        try {
+            await props.backend.addPollMessage(poll);
+            setInputs(DEFAULT_POLL_INPUTS);
+            props.onCreate();
+        } catch (error) {
+            handleError('Error while storing the signaling poll', error);
+        }
+    };
+
+    const { kind } = inputs;
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <div className='form-input'>
+                <label>Title:
+                    {' '}
+                    <input type='text' value={inputs.title} onChange={e => handleChange('title', e.target.value)} />
+                </label>
+                <br />
+                <label>Description:
+                    <textarea value={inputs.description} onChange={e => handleChange('description', e.target.value)} />
+                </label>
+                <label>Proposal kind:
+                    {' '}
+                    <select value={kind} onChange={e => handleChange('kind', e.target.value)}>
+                        {Object.entries(POLL_PROPOSAL_KINDS).map(([value, name]) => (
+                            <option key={value} value={value}>{name}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div className='form-input'>
+                {kind === 'text' &&
+                    <label>IPFS path of the text:
+                        {' '}
+                        <input type='text' placeholder='ipfs://' value={inputs.ipfsPath} onChange={e => handleChange('ipfsPath', e.target.value)} />
+                    </label>
+                }
+                {kind === 'transfer_token' &&
+                    <>
+                        <label>Token contract address:
+                            {' '}
+                            <input
+                                type='text'
+                                spellCheck='false'
+                                className='contract-address-input'
+                                value={inputs.tokenAddress}
+                                onChange={e => handleChange('tokenAddress', e.target.value)}
+                            />
+                        </label>
+                        <br />
+                        <label>Token id:
+                            {' '}
+                            <input type='number' min='0' step='1' value={inputs.tokenId} onChange={e => handleChange('tokenId', e.target.value)} />
+                        </label>
+                        <br />
+                        {token.resolved ?
+                            <p>
+                                Token: {token.name ?? 'unnamed token'} ({token.decimals} decimals). The token editions will be
+                                multiplied by {10 ** token.decimals} to get the token amounts stored in the poll.
+                            </p> :
+                            inputs.tokenAddress.trim() &&
+                                <p>Resolving the token decimals...</p>
+                        }
+                    </>
+                }
+                {(kind === 'transfer_mutez' || kind === 'transfer_token') &&
+                    <label>Transfers, one per line with the destination address and the amount
+                        {kind === 'transfer_mutez' ? ' in ꜩ' : ' of editions'} (e.g. tz1...,10):
+                        <textarea spellCheck='false' value={inputs.transfers} onChange={e => handleChange('transfers', e.target.value)} />
+                    </label>
+                }
+                {kind === 'lambda_function' &&
+                    <label>Lambda function code in Micheline format:
+                        <textarea
+                            className='micheline-code'
+                            spellCheck='false'
+                            value={inputs.michelineCode}
+                            onChange={e => handleChange('michelineCode', e.target.value)}
+                        />
+                    </label>
+                }
+                {['change_delegate', 'add_user', 'remove_user'].includes(kind) &&
+                    <label>{kind === 'change_delegate' ? 'New baker address (empty to remove the delegate)' : 'User address'}:
+                        {' '}
+                        <input
+                            type='text'
+                            spellCheck='false'
+                            maxLength='36'
+                            className='tezos-wallet-input'
+                            value={inputs.address}
+                            onChange={e => handleChange('address', e.target.value)}
+                        />
+                    </label>
+                }
+                {(kind === 'minimum_votes' || kind === 'expiration_time') &&
+                    <label>{kind === 'minimum_votes' ? 'New minimum votes' : 'New expiration time (days)'}:
+                        {' '}
+                        <input type='number' min='1' step='1' value={inputs.value} onChange={e => handleChange('value', e.target.value)} />
+                    </label>
+                }
+            </div>
+            <input type='submit' value='sign and create poll' />
+        </form>
+    );
+}
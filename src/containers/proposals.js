@@ -1,16 +1,32 @@
-import React, { useContext } from 'react';
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
 import { Parser, emitMicheline } from '@taquito/michel-codec';
-import { encodePubKey } from '@taquito/utils';
-import { TOKENS } from '../constants';
+import { validateAddress } from '@taquito/utils';
+import qrcode from 'qrcode-generator';
+import { NETWORKS } from '../constants';
 import { MultisigContext } from './context';
 import { Button } from './button';
-import { TezosAddressLink, TokenLink, IpfsLink } from './links';
-import { hexToString } from './utils';
+import { analyzeLambda, encodeAddresses } from './lambdas';
+import { useTokenMetadata, formatTokenAmount } from './tokens';
+import { getProposalsHistory, historyToCsv, downloadFile } from './exports';
+import { PROPOSAL_KINDS, DEFAULT_PROPOSAL_FILTERS } from './filters';
+import { TzktLink, TezosAddressLink, TokenLink, IpfsLink, DefaultLink } from './links';
+import { Markdown, TextDocument, parseTextDocument } from './markdown';
+import { getIpfsPath, useIpfsFile } from './ipfs';
+import { ProposalComments, CommentThread } from './comments';
+import { hexToString, getProposalExpirationDate, getProposalStatus, getExecutionOperationHash, getProposal } from './utils';
 
 
 export function Proposals() {
     // Get the required multisig context information
-    const { storage, proposals } = useContext(MultisigContext);
+    const { userAddress, storage, proposals, hasMoreProposals, loadMoreProposals } = useContext(MultisigContext);
+
+    // Set the component state
+    const [selectedProposals, setSelectedProposals] = useState([]);
+    const [loadingProposals, setLoadingProposals] = useState(false);
+
+    // Check if the connected user is a multisig user
+    const isUser = storage?.users.includes(userAddress);
 
     // Separate the proposals between executed, expired and active proposals
     const executedProposals = [];
@@ -18,34 +34,69 @@ export function Proposals() {
     const activeProposals = [];
 
     if (storage && proposals) {
-        // Get the expiration time parameter from the storage
-        const expirationTime = parseInt(storage.expiration_time);
-
-        // Loop over the complete list of proposals
+        // Loop over the loaded proposals
         const now = new Date();
 
         for (const proposal of proposals) {
-            if (proposal.value.executed) {
+            const status = getProposalStatus(proposal.value, storage.expiration_time, now);
+
+            if (status === 'executed') {
                 executedProposals.push(proposal);
+            } else if (status === 'expired') {
+                expiredProposals.push(proposal);
             } else {
-                // Check if the proposal has expired
-                const expirationDate = new Date(proposal.value.timestamp);
-                expirationDate.setDate(expirationDate.getDate() + expirationTime);
-
-                if (now > expirationDate) {
-                    expiredProposals.push(proposal);
-                } else {
-                    activeProposals.push(proposal);
-                }
+                activeProposals.push(proposal);
             }
         }
     }
 
+    // Remove from the selection the proposals that are not displayed anymore as active proposals
+    const activeProposalIds = activeProposals.map(proposal => proposal.key).join(',');
+
+    useEffect(() => {
+        const ids = activeProposalIds.split(',');
+        setSelectedProposals(selected => selected.every(id => ids.includes(id)) ?
+            selected : selected.filter(id => ids.includes(id)));
+    }, [activeProposalIds]);
+
+    // Define the on select handler
+    const handleSelect = (proposalId, selected) => {
+        setSelectedProposals(selected ?
+            selectedProposals.concat(proposalId) :
+            selectedProposals.filter(selectedProposal => selectedProposal !== proposalId));
+    };
+
+    // Define the on click handler
+    const handleLoadMoreClick = async e => {
+        e.preventDefault();
+        setLoadingProposals(true);
+        await loadMoreProposals()
+            .catch(error => console.log('Error while loading more proposals:', error));
+        setLoadingProposals(false);
+    };
+
     return (
         <>
+            <section>
+                <h2>Proposal filters</h2>
+                <ProposalFilters />
+            </section>
+
             <section>
                 <h2>Active proposals</h2>
-                <ProposalList proposals={activeProposals} active />
+                {isUser && activeProposals.length > 0 &&
+                    <BatchVotingForm
+                        selectedProposals={selectedProposals}
+                        onSelectAll={() => setSelectedProposals(activeProposals.map(proposal => proposal.key))}
+                        onVote={() => setSelectedProposals([])}
+                    />
+                }
+                <ProposalList
+                    proposals={activeProposals}
+                    active
+                    selectedProposals={isUser ? selectedProposals : undefined}
+                    onSelect={handleSelect}
+                />
             </section>
 
             <section>
@@ -57,10 +108,513 @@ export function Proposals() {
                 <h2>Expired proposals</h2>
                 <ProposalList proposals={expiredProposals} />
             </section>
+
+            {hasMoreProposals &&
+                <section>
+                    <p>
+                        The {proposals.length} most recent proposals that pass the filters have been loaded. There are older
+                        proposals that also pass them.
+                    </p>
+                    <Button text={loadingProposals ? 'loading...' : 'load more proposals'} onClick={handleLoadMoreClick} />
+                </section>
+            }
+
+            {proposals?.length > 0 &&
+                <section>
+                    <h2>Proposals history</h2>
+                    <p>
+                        Download the complete proposals history, including the votes, the tez and token transfers and the
+                        execution operations.
+                    </p>
+                    <ProposalsExport />
+                </section>
+            }
+        </>
+    );
+}
+
+function ProposalFilters() {
+    // Get the required multisig context information
+    const { storage, userAliases, proposalFilters, setProposalFilters } = useContext(MultisigContext);
+
+    // Set the component state
+    const [filters, setFilters] = useState(proposalFilters);
+
+    // Update the form every time the context filters change (e.g. if the multisig contract changes)
+    useEffect(() => setFilters(proposalFilters), [proposalFilters]);
+
+    // Define the on change handler
+    const handleChange = (filter, value) => setFilters(Object.assign({}, filters, { [filter]: value }));
+
+    // Define the on submit handler
+    const handleSubmit = async e => {
+        e.preventDefault();
+        await setProposalFilters(filters)
+            .catch(error => console.log('Error while filtering the proposals:', error));
+    };
+
+    // Define the on click handler
+    const handleClearClick = async e => {
+        e.preventDefault();
+        setFilters(DEFAULT_PROPOSAL_FILTERS);
+        await setProposalFilters(DEFAULT_PROPOSAL_FILTERS)
+            .catch(error => console.log('Error while filtering the proposals:', error));
+    };
+
+    return (
+        <form className='proposal-filters' onSubmit={handleSubmit}>
+            <div className='form-input'>
+                <label>Kind:
+                    {' '}
+                    <select value={filters.kind} onChange={e => handleChange('kind', e.target.value)}>
+                        <option value=''>all</option>
+                        {PROPOSAL_KINDS.map(kind => (
+                            <option key={kind} value={kind}>{kind.replace('_', ' ')}</option>
+                        ))}
+                    </select>
+                </label>
+                {' '}
+                <label>Status:
+                    {' '}
+                    <select value={filters.status} onChange={e => handleChange('status', e.target.value)}>
+                        <option value=''>all</option>
+                        <option value='active'>active</option>
+                        <option value='executed'>executed</option>
+                        <option value='expired'>expired</option>
+                    </select>
+                </label>
+                <br />
+                <label>Issuer:
+                    {' '}
+                    <input
+                        type='text'
+                        list='proposalIssuers'
+                        spellCheck='false'
+                        maxLength='36'
+                        className='tezos-wallet-input'
+                        value={filters.issuer}
+                        onChange={e => handleChange('issuer', e.target.value.trim())}
+                    />
+                    <datalist id='proposalIssuers'>
+                        {storage?.users.map(user => (
+                            <option key={user} value={user}>{userAliases?.[user] ?? user}</option>
+                        ))}
+                    </datalist>
+                </label>
+                <br />
+                <label>Created from:
+                    {' '}
+                    <input type='date' value={filters.from} onChange={e => handleChange('from', e.target.value)} />
+                </label>
+                {' '}
+                <label>to:
+                    {' '}
+                    <input type='date' value={filters.to} onChange={e => handleChange('to', e.target.value)} />
+                </label>
+                <br />
+                <label>Destination address:
+                    {' '}
+                    <input
+                        type='text'
+                        spellCheck='false'
+                        maxLength='36'
+                        className='tezos-wallet-input'
+                        value={filters.destination}
+                        onChange={e => handleChange('destination', e.target.value)}
+                    />
+                </label>
+                <br />
+                <label>Token (contract address or name):
+                    {' '}
+                    <input
+                        type='text'
+                        spellCheck='false'
+                        maxLength='36'
+                        value={filters.token}
+                        onChange={e => handleChange('token', e.target.value)}
+                    />
+                </label>
+                <br />
+                <label>Text proposals or documents containing:
+                    {' '}
+                    <input type='text' value={filters.search} onChange={e => handleChange('search', e.target.value)} />
+                </label>
+            </div>
+            <input type='submit' value='apply filters' />
+            {' '}
+            <Button text='clear filters' onClick={handleClearClick} />
+        </form>
+    );
+}
+
+function ProposalsExport() {
+    // Get the required multisig context information
+    const { network, contractAddress, storage, votes, setInformationMessage } = useContext(MultisigContext);
+
+    // Define the on click handler
+    const handleClick = async (e, format) => {
+        e.preventDefault();
+
+        // Get the complete proposals history
+        setInformationMessage('Preparing the proposals history...');
+        const history = await getProposalsHistory(network, contractAddress, storage, votes)
+            .catch(error => console.log('Error while preparing the proposals history:', error));
+        setInformationMessage(undefined);
+
+        if (!history) return;
+
+        // Download the history in the requested format
+        const fileName = `multisig-${contractAddress}-proposals.${format}`;
+
+        if (format === 'csv') {
+            downloadFile(fileName, historyToCsv(history), 'text/csv');
+        } else {
+            downloadFile(fileName, JSON.stringify(history, null, 2), 'application/json');
+        }
+    };
+
+    return (
+        <div className='proposals-export'>
+            <Button text='export CSV' onClick={e => handleClick(e, 'csv')} />
+            {' '}
+            <Button text='export JSON' onClick={e => handleClick(e, 'json')} />
+        </div>
+    );
+}
+
+export function ProposalDetails() {
+    // Get the network, the multisig contract address and the proposal id from the url
+    const { network: urlNetwork, contractAddress: urlContractAddress, id } = useParams();
+
+    // Get the required multisig context information
+    const { network, contractAddress, storage, proposals, setNetwork, setContractAddress } = useContext(MultisigContext);
+
+    // Set the component state
+    const [executionOperationHash, setExecutionOperationHash] = useState(undefined);
+    const [simulation, setSimulation] = useState(undefined);
+    const [missingProposal, setMissingProposal] = useState(undefined);
+    const [switches, setSwitches] = useState(0);
+    const [switchFailed, setSwitchFailed] = useState(false);
+    const switching = useRef(false);
+
+    // Check that the url points to a valid multisig
+    const validUrl = NETWORKS[urlNetwork] !== undefined && validateAddress(urlContractAddress) === 3 && /^\d+$/.test(id);
+    const selected = urlNetwork === network && urlContractAddress === contractAddress;
+
+    // Switch to the network and the multisig in the url, one at a time
+    useEffect(() => {
+        if (!validUrl || selected || switchFailed || switching.current) return;
+
+        switching.current = true;
+        const switchMultisig = urlNetwork !== network ? setNetwork(urlNetwork) : setContractAddress(urlContractAddress);
+        switchMultisig
+            .catch(error => {
+                console.log('Error while selecting the proposal multisig:', error);
+                setSwitchFailed(true);
+            })
+            .finally(() => {
+                switching.current = false;
+                setSwitches(switches => switches + 1);
+            });
+    }, [validUrl, selected, switchFailed, urlNetwork, urlContractAddress, network, setNetwork, setContractAddress, switches]);
+
+    // Get the proposal information
+    const loadedProposal = proposals?.find(proposal => proposal.key === id);
+    const proposal = loadedProposal ? loadedProposal.value : missingProposal?.value;
+    const executed = proposal?.executed;
+
+    // Query the proposal if it's not one of the loaded proposals (null means that it doesn't exist)
+    const loaded = loadedProposal !== undefined;
+
+    useEffect(() => {
+        setMissingProposal(undefined);
+
+        if (!storage || !selected || loaded) return;
+
+        let ignore = false;
+        getProposal(storage, id)
+            .then(proposal => !ignore && setMissingProposal(proposal ?? null))
+            .catch(error => console.log('Error while querying the proposal:', error));
+
+        return () => ignore = true;
+    }, [storage, selected, id, loaded]);
+
+    // Search for the operation that executed the proposal
+    useEffect(() => {
+        setExecutionOperationHash(undefined);
+
+        if (selected && executed) {
+            getExecutionOperationHash(contractAddress, id).then(hash => setExecutionOperationHash(hash));
+        }
+    }, [contractAddress, selected, id, executed]);
+
+    // Return if the url is not valid or the multisig could not be selected
+    if (!validUrl || switchFailed) {
+        return (
+            <section>
+                <p>The proposal link doesn't point to a valid multisig contract.</p>
+            </section>
+        );
+    }
+
+    // Return if the proposal has not been loaded yet
+    if (!selected || !storage || !proposals || (!loadedProposal && missingProposal === undefined)) {
+        return (
+            <section>
+                <p>Loading the proposal information...</p>
+            </section>
+        );
+    }
+
+    // Return if the proposal doesn't exist
+    if (!proposal) {
+        return (
+            <section>
+                <p>The proposal #{id} doesn't exist in this multisig.</p>
+            </section>
+        );
+    }
+
+    // Get the proposal status and expiration date
+    const status = getProposalStatus(proposal, storage.expiration_time);
+    const expirationDate = getProposalExpirationDate(proposal, storage.expiration_time);
+
+    return (
+        <>
+            <section>
+                <h2>Proposal #{id}</h2>
+                <ul className='parameters-list'>
+                    <li>Status: {status}</li>
+                    <li>Issuer: <TezosAddressLink address={proposal.issuer} useAlias /></li>
+                    <li>Creation time: {proposal.timestamp}</li>
+                    <li>Expiration time: {expirationDate.toISOString().slice(0, 19) + 'Z'}</li>
+                    <li>Positive votes: {proposal.positive_votes} ({storage.minimum_votes} needed to execute the proposal)</li>
+                    {executed &&
+                        <li>Execution operation:
+                            {' '}
+                            {executionOperationHash ?
+                                <TzktLink address={executionOperationHash} className='tezos-address'>{executionOperationHash}</TzktLink> :
+                                'not available'
+                            }
+                        </li>
+                    }
+                </ul>
+            </section>
+
+            <section>
+                <h2>Proposal description</h2>
+                <div className='proposal'>
+                    <ProposalDescription id={id} proposal={proposal} open />
+                    <ProposalActions
+                        id={id}
+                        positiveVotes={proposal.positive_votes}
+                        active={status === 'active'}
+                        onSimulate={setSimulation}
+                    />
+                    {simulation &&
+                        <ProposalSimulation simulation={simulation} onClose={() => setSimulation(undefined)} />
+                    }
+                </div>
+            </section>
+
+            <section>
+                <h2>Discussion</h2>
+                <p>
+                    Comments are stored off-chain and signed with the author wallet. Only the comments signed by the
+                    multisig users are displayed.
+                </p>
+                <CommentThread id={id} />
+            </section>
+
+            {status === 'active' &&
+                <section>
+                    <h2>Offline signing</h2>
+                    <p>
+                        Use this form to vote or execute the proposal with a key that is kept in an offline device.
+                        The app will forge the unsigned operation, that can be exported as a QR code or a file and signed
+                        offline. The signature, or the signed operation bytes, can then be pasted here to inject the
+                        operation in the network.
+                    </p>
+                    <OfflineSigningForm
+                        id={id}
+                        executable={parseInt(proposal.positive_votes) >= parseInt(storage.minimum_votes)}
+                    />
+                </section>
+            }
+        </>
+    );
+}
+
+function OfflineSigningForm(props) {
+    // Get the required multisig context information
+    const { userAddress, contractAddress, storage, userAliases, forgeProposalOperation, injectSignedOperation } = useContext(MultisigContext);
+
+    // Get the multisig users that can sign operations
+    const signers = storage.users.filter(user => user.startsWith('tz'));
+
+    // Set the component state
+    const [signer, setSigner] = useState(signers.includes(userAddress) ? userAddress : signers[0] ?? '');
+    const [action, setAction] = useState('approve');
+    const [operation, setOperation] = useState(undefined);
+    const [signedData, setSignedData] = useState('');
+    const [operationHash, setOperationHash] = useState(undefined);
+
+    // Define the on submit handler
+    const handleSubmit = async e => {
+        e.preventDefault();
+        setOperation(undefined);
+        setSignedData('');
+        setOperationHash(undefined);
+        setOperation(await forgeProposalOperation(signer, props.id, action));
+    };
+
+    // Define the on change handler for the signed file input
+    const handleFileChange = async file => {
+        if (!file) return;
+
+        // The file can contain the signature, the signed bytes, or a JSON object with any of them
+        const text = (await file.text()).trim();
+
+        try {
+            const json = JSON.parse(text);
+            setSignedData(json.signature ?? json.signedBytes ?? '');
+        } catch (error) {
+            setSignedData(text);
+        }
+    };
+
+    // Define the on click handler for the inject button
+    const handleInjectClick = async e => {
+        e.preventDefault();
+        setOperationHash(await injectSignedOperation(operation, signedData));
+    };
+
+    // Define the on click handler for the download button
+    const handleDownloadClick = e => {
+        e.preventDefault();
+        const fileName = `multisig-${contractAddress}-proposal-${props.id}-${operation.action}.json`;
+        downloadFile(fileName, JSON.stringify(operation, null, 2), 'application/json');
+    };
+
+    return (
+        <>
+            <form onSubmit={handleSubmit}>
+                <div className='form-input'>
+                    <label>Signer:
+                        {' '}
+                        <select value={signer} onChange={e => setSigner(e.target.value)}>
+                            {signers.map(user => (
+                                <option key={user} value={user}>{userAliases?.[user] ?? user}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <br />
+                    <label>Operation:
+                        {' '}
+                        <select value={action} onChange={e => setAction(e.target.value)}>
+                            <option value='approve'>vote YES</option>
+                            <option value='reject'>vote NO</option>
+                            {props.executable &&
+                                <option value='execute'>execute the proposal</option>
+                            }
+                        </select>
+                    </label>
+                </div>
+                <input type='submit' value='forge operation' />
+            </form>
+
+            {operation &&
+                <div className='offline-operation'>
+                    <p>
+                        Unsigned operation bytes (fee: {operation.contents[0].fee / 1000000} ꜩ). Sign them with the {operation.signer} key
+                        as a generic operation (watermark 03). The operation references the block {operation.level}, so it needs to be
+                        signed and injected before the block {operation.expirationLevel} (around {operation.expirationDate}), and before
+                        the signer sends any other operation.
+                    </p>
+                    <textarea readOnly value={operation.forgedBytes} />
+                    <OperationQrCode data={operation.forgedBytes} />
+                    <Button text='download file' onClick={handleDownloadClick} />
+
+                    <div className='form-input'>
+                        <label>Signature or signed operation bytes:
+                            <textarea
+                                spellCheck='false'
+                                value={signedData}
+                                onChange={e => setSignedData(e.target.value)}
+                            />
+                        </label>
+                        <label>Or load them from a file:
+                            {' '}
+                            <input type='file' onChange={e => handleFileChange(e.target.files[0])} />
+                        </label>
+                    </div>
+                    <Button text='inject signed operation' onClick={handleInjectClick} />
+
+                    {operationHash &&
+                        <p>
+                            Operation injected:
+                            {' '}
+                            <TzktLink address={operationHash} className='tezos-address'>{operationHash}</TzktLink>
+                        </p>
+                    }
+                </div>
+            }
         </>
     );
 }
 
+function OperationQrCode(props) {
+    // Encode the data in a QR code image, selecting automatically the QR code size
+    const qr = qrcode(0, 'L');
+    qr.addData(props.data);
+    qr.make();
+
+    return <img className='qr-code' src={qr.createDataURL(4, 8)} alt='operation QR code' />;
+}
+
+function BatchVotingForm(props) {
+    // Get the required multisig context information
+    const { voteProposals } = useContext(MultisigContext);
+
+    // Set the component state
+    const [executeApprovedProposals, setExecuteApprovedProposals] = useState(true);
+
+    // Define the on click handler
+    const handleClick = async (e, approval) => {
+        e.preventDefault();
+        await voteProposals(props.selectedProposals, approval, executeApprovedProposals);
+        props.onVote();
+    };
+
+    return (
+        <form className='batch-voting-form' onSubmit={e => e.preventDefault()}>
+            <div className='form-input'>
+                <p>
+                    Select several proposals to vote them in a single operation.
+                    {' '}
+                    {props.selectedProposals.length} proposal{props.selectedProposals.length === 1 ? '' : 's'} selected.
+                </p>
+                <label>
+                    <input
+                        type='checkbox'
+                        checked={executeApprovedProposals}
+                        onChange={e => setExecuteApprovedProposals(e.target.checked)}
+                    />
+                    {' '}
+                    Execute the proposals that reach the minimum positive votes after a YES vote
+                </label>
+            </div>
+            <div>
+                <Button text='select all' onClick={e => { e.preventDefault(); props.onSelectAll(); }} />
+                {' '}
+                <Button text='YES to selected' onClick={e => handleClick(e, true)} />
+                {' '}
+                <Button text='NO to selected' onClick={e => handleClick(e, false)} />
+            </div>
+        </form>
+    );
+}
+
 function ProposalList(props) {
     return (
         <ul className='proposal-list'>
@@ -70,6 +624,8 @@ function ProposalList(props) {
                         proposalId={proposal.key}
                         proposal={proposal.value}
                         active={props.active}
+                        selected={props.selectedProposals?.includes(proposal.key)}
+                        onSelect={props.selectedProposals && (selected => props.onSelect(proposal.key, selected))}
                     />
                 </li>
             ))}
@@ -78,8 +634,19 @@ function ProposalList(props) {
 }
 
 function Proposal(props) {
+    // Set the component state
+    const [simulation, setSimulation] = useState(undefined);
+
     return (
         <div className='proposal'>
+            {props.onSelect &&
+                <input
+                    type='checkbox'
+                    className='proposal-checkbox'
+                    checked={props.selected}
+                    onChange={e => props.onSelect(e.target.checked)}
+                />
+            }
             <ProposalTimestamp timestamp={props.proposal.timestamp} />
             <ProposalDescription
                 id={props.proposalId}
@@ -88,7 +655,12 @@ function Proposal(props) {
                 id={props.proposalId}
                 positiveVotes={props.proposal.positive_votes}
                 active={props.active}
+                onSimulate={setSimulation}
             />
+            {simulation &&
+                <ProposalSimulation simulation={simulation} onClose={() => setSimulation(undefined)} />
+            }
+            <ProposalComments id={props.proposalId} />
         </div>
     );
 }
@@ -104,15 +676,19 @@ function ProposalDescription(props) {
         <div className='proposal-description'>
             <ProposalDescriptionIntro id={props.id} issuer={props.proposal.issuer} />
             {' '}
-            <ProposalDescriptionContent proposal={props.proposal} />
+            <ProposalDescriptionContent proposal={props.proposal} open={props.open} />
+            <ProposalVotes id={props.id} open={props.open} />
         </div>
     );
 }
 
 function ProposalDescriptionIntro(props) {
+    // Get the required multisig context information
+    const { network, contractAddress } = useContext(MultisigContext);
+
     return (
         <>
-            <span className='proposal-id'>#{props.id}</span>
+            <Link to={`/proposals/${network}/${contractAddress}/${props.id}`} className='proposal-id'>#{props.id}</Link>
             <span>
                 <TezosAddressLink address={props.issuer} useAlias shorten /> proposed to
             </span>
@@ -121,18 +697,23 @@ function ProposalDescriptionIntro(props) {
 }
 
 function ProposalDescriptionContent(props) {
+    // Get the required multisig context information
+    const { contractAddress } = useContext(MultisigContext);
+
     // Write a different proposal description depending of the proposal kind
     const proposal = props.proposal;
 
     if (proposal.kind.text) {
         // Try to extract an ipfs path from the proposal text
-        const text = hexToString(proposal.text);
-        const ipfsPath = text.split('/')[2];
+        const ipfsPath = getIpfsPath(hexToString(proposal.text));
 
         return (
-            <span>
-                approve a <IpfsLink path={ipfsPath ? ipfsPath : ''}>text proposal</IpfsLink>.
-            </span>
+            <>
+                <span>
+                    approve a <IpfsLink path={ipfsPath ? ipfsPath : ''}>text proposal</IpfsLink>.
+                </span>
+                <TextProposalDocument ipfsPath={ipfsPath} open={props.open} />
+            </>
         );
     } else if (proposal.kind.transfer_mutez) {
         // Extract the transfers information
@@ -151,7 +732,7 @@ function ProposalDescriptionContent(props) {
                     <span>
                         transfer {totalAmount / 1000000} ꜩ.
                     </span>
-                    <details>
+                    <details open={props.open}>
                         <summary>See transfer details</summary>
                         <table>
                             <tbody>
@@ -177,18 +758,11 @@ function ProposalDescriptionContent(props) {
         const tokenId = proposal.token_transfers.token_id;
         const transfers = proposal.token_transfers.distribution;
         const nEditions = transfers.reduce((previous, current) => previous + parseInt(current.amount), 0);
-        const token = TOKENS.find(token => token.fa2 === fa2);
 
         if (transfers.length === 1) {
             return (
                 <span>
-                    transfer {token ? transfers[0].amount / token.decimals : transfers[0].amount}
-                    {' '}
-                    {token?.multiasset ? `edition${transfers[0].amount > 1 ? 's' : ''} of token` : ''}
-                    {' '}
-                    <TokenLink fa2={fa2} id={tokenId}>
-                        {token ? (token.multiasset ? '#' + tokenId : token.name) : 'tokens'}
-                    </TokenLink>
+                    transfer <TokenAmount fa2={fa2} tokenId={tokenId} amount={transfers[0].amount} />
                     {' '}
                     to <TezosAddressLink address={transfers[0].destination} useAlias shorten />.
                 </span>
@@ -197,24 +771,16 @@ function ProposalDescriptionContent(props) {
             return (
                 <>
                     <span>
-                        transfer {token ? nEditions / token.decimals : nEditions}
-                        {' '}
-                        {token?.multiasset ? 'editions of token' : ''}
-                        {' '}
-                        <TokenLink fa2={fa2} id={tokenId}>
-                            {token ? (token.multiasset ? '#' + tokenId : token.name) : 'tokens'}
-                        </TokenLink>.
+                        transfer <TokenAmount fa2={fa2} tokenId={tokenId} amount={nEditions} />.
                     </span>
-                    <details>
+                    <details open={props.open}>
                         <summary>See transfer details</summary>
                         <table>
                             <tbody>
                                 {transfers.map((transfer, index) => (
                                     <tr key={index}>
                                         <td>
-                                            {token ? transfer.amount / token.decimals : transfer.amount}
-                                            {' '}
-                                            {token?.multiasset ? `edition${transfer.amount > 1 ? 's' : ''}` : ''} to
+                                            <TokenAmount fa2={fa2} tokenId={tokenId} amount={transfer.amount} /> to
                                         </td>
                                         <td>
                                             <TezosAddressLink address={transfer.destination} useAlias shorten />
@@ -257,21 +823,16 @@ function ProposalDescriptionContent(props) {
         const michelsonCode = parser.parseJSON(JSON.parse(proposal.lambda_function));
         const michelineCode = emitMicheline(michelsonCode, { indent: '    ', newline: '\n', });
 
-        // Encode any addresses that the Micheline code might contain
-        const encodedMichelineCode = michelineCode.replace(
-            /0x0[0123]{1}[\w\d]{42}/g,
-            (match) => `"${encodePubKey(match.slice(2))}"`
-        );
+        // Decode the operations that the lambda function will send
+        const analysis = analyzeLambda(michelsonCode, contractAddress);
 
         return (
             <>
-                <span>
-                    execute a lambda function.
-                </span>
-                <details>
+                <LambdaFunctionSummary analysis={analysis} />
+                <details open={props.open}>
                     <summary>See Micheline code</summary>
                     <pre className='micheline-code'>
-                        {encodedMichelineCode}
+                        {encodeAddresses(michelineCode)}
                     </pre>
                 </details>
             </>
@@ -279,9 +840,236 @@ function ProposalDescriptionContent(props) {
     }
 }
 
+function LambdaFunctionSummary(props) {
+    // Get the lambda function analysis
+    const { recognized, operations, warnings } = props.analysis;
+
+    return (
+        <>
+            <span>
+                {!recognized ?
+                    'execute a lambda function.' :
+                    operations.length === 0 ?
+                        'execute a lambda function that doesn\'t send any operation.' :
+                        'execute a lambda function that will:'
+                }
+            </span>
+            {recognized && operations.length > 0 &&
+                <ul className='lambda-operations'>
+                    {operations.map((operation, index) => (
+                        <li key={index}>
+                            <LambdaOperationDescription operation={operation} />
+                        </li>
+                    ))}
+                </ul>
+            }
+            {warnings.map((warning, index) => (
+                <p key={index} className='lambda-warning'>Warning: {warning}</p>
+            ))}
+        </>
+    );
+}
+
+function LambdaOperationDescription(props) {
+    // Get the required multisig context information
+    const { contractAddress } = useContext(MultisigContext);
+
+    // Write a different description depending of the operation type
+    const operation = props.operation;
+    const amount = operation.amount > 0 ? ` sending ${operation.amount / 1000000} ꜩ` : '';
+
+    if (operation.kind === 'delegation') {
+        return operation.delegate ?
+            <>set the multisig delegate to <TezosAddressLink address={operation.delegate} useAlias shorten />.</> :
+            <>remove the multisig delegate.</>;
+    } else if (operation.entrypoint === 'default' && operation.parameterCode === 'Unit') {
+        return (
+            <>transfer {operation.amount / 1000000} ꜩ to <TezosAddressLink address={operation.destination} useAlias shorten />.</>
+        );
+    }
+
+    // Write the entrypoint call
+    const call = (
+        <>
+            call <code>{operation.entrypoint}</code> on <TezosAddressLink address={operation.destination} useAlias shorten />
+        </>
+    );
+
+    if (operation.tokenTransfers?.length > 0) {
+        return (
+            <>
+                {call}{amount} sending
+                {' '}
+                {operation.tokenTransfers.map((transfer, index) => (
+                    <span key={index}>
+                        {index > 0 ? ', ' : ''}
+                        <TokenAmount fa2={transfer.fa2} tokenId={transfer.tokenId} amount={transfer.amount} />
+                        {' '}
+                        {transfer.from !== contractAddress ? <>from <TezosAddressLink address={transfer.from} useAlias shorten /> </> : ''}
+                        to <TezosAddressLink address={transfer.to} useAlias shorten />
+                    </span>
+                ))}.
+            </>
+        );
+    } else if (operation.operatorUpdates?.length > 0) {
+        return (
+            <>
+                {call}{amount} to
+                {' '}
+                {operation.operatorUpdates.map((update, index) => (
+                    <span key={index}>
+                        {index > 0 ? ', ' : ''}
+                        {update.add ? 'add' : 'remove'} <TezosAddressLink address={update.operator} useAlias shorten /> as
+                        operator of the token #{update.tokenId} editions owned by <TezosAddressLink address={update.owner} useAlias shorten />
+                    </span>
+                ))}.
+            </>
+        );
+    } else if (operation.approval) {
+        return (
+            <>
+                {call}{amount} allowing <TezosAddressLink address={operation.approval.spender} useAlias shorten /> to spend
+                {' '}
+                <TokenAmount fa2={operation.destination} amount={operation.approval.amount} />.
+            </>
+        );
+    }
+
+    return (
+        <>
+            {call}{amount} with parameter <code>{operation.parameterCode}</code>.
+        </>
+    );
+}
+
+function TextProposalDocument(props) {
+    // Set the component state
+    const [opened, setOpened] = useState(props.open);
+
+    return (
+        <details open={props.open} onToggle={e => e.target.open && setOpened(true)}>
+            <summary>See proposal document</summary>
+            {opened && <IpfsDocument ipfsPath={props.ipfsPath} />}
+        </details>
+    );
+}
+
+function IpfsDocument(props) {
+    // Download the document from IPFS
+    const file = useIpfsFile(props.ipfsPath);
+
+    if (file.status === 'loading') {
+        return <p>Loading the proposal document from IPFS...</p>;
+    }
+
+    if (file.status === 'failed') {
+        return <p className='ipfs-document-error'>The proposal document could not be retrieved: {file.error}.</p>;
+    }
+
+    let content;
+
+    if (file.type.startsWith('text/') || file.type === 'application/json') {
+        // Render the text documents written in the app with their structure
+        const text = new TextDecoder().decode(file.data);
+        const document = parseTextDocument(text);
+        content = document ? <TextDocument document={document} /> : <Markdown text={text} />;
+    } else if (file.type === 'application/pdf') {
+        content = (
+            <object data={file.objectUrl} type='application/pdf' className='ipfs-pdf'>
+                <p>The PDF document cannot be displayed. <DefaultLink href={file.url}>Open it in a new tab</DefaultLink>.</p>
+            </object>
+        );
+    } else if (file.type.startsWith('image/')) {
+        content = <img src={file.objectUrl} alt='proposal document' className='ipfs-image' />;
+    } else {
+        content = <p>Documents of type {file.type} cannot be displayed. <DefaultLink href={file.url}>Open it in a new tab</DefaultLink>.</p>;
+    }
+
+    return (
+        <div className='ipfs-document'>
+            {content}
+            <p className='ipfs-document-source'>
+                Retrieved from <DefaultLink href={file.url}>{new URL(file.url).host}</DefaultLink>
+                {file.verified && ' and verified against the IPFS CID'}.
+            </p>
+            {!file.verified &&
+                <p className='ipfs-document-warning'>
+                    Warning: the document could not be verified against the IPFS CID. The gateway could have modified it.
+                </p>
+            }
+        </div>
+    );
+}
+
+function TokenAmount(props) {
+    // Get the token metadata
+    const token = useTokenMetadata(props.fa2, props.tokenId);
+    const amount = formatTokenAmount(props.amount, token);
+
+    return (
+        <>
+            {amount}
+            {' '}
+            {token.multiasset ? `edition${amount > 1 ? 's' : ''} of` : ''}
+            {' '}
+            <TokenLink fa2={props.fa2} id={props.tokenId}>
+                {token.name ?
+                    (token.multiasset && props.tokenId !== undefined ? `${token.name} #${props.tokenId}` : token.name) :
+                    (token.symbol ?? (props.tokenId !== undefined ? `token #${props.tokenId}` : 'tokens'))
+                }
+            </TokenLink>
+        </>
+    );
+}
+
+function ProposalVotes(props) {
+    // Get the required multisig context information
+    const { storage, votes } = useContext(MultisigContext);
+
+    // Get the proposal votes
+    const proposalVotes = (votes && votes[props.id]) || {};
+
+    // Add to the multisig users those voters that are not part of the multisig anymore
+    const users = storage ? storage.users : [];
+    const voters = users.concat(Object.keys(proposalVotes).filter(voter => !users.includes(voter)));
+
+    // Count the different kinds of votes
+    const voteValues = Object.values(proposalVotes);
+    const positiveVotes = voteValues.filter(vote => vote).length;
+    const negativeVotes = voteValues.length - positiveVotes;
+    const missingVotes = users.filter(user => proposalVotes[user] === undefined).length;
+
+    return (
+        <details open={props.open}>
+            <summary>
+                See votes ({positiveVotes} yes, {negativeVotes} no, {missingVotes} not voted)
+            </summary>
+            <table>
+                <tbody>
+                    {voters.map(voter => (
+                        <tr key={voter}>
+                            <td>
+                                <TezosAddressLink address={voter} useAlias shorten />
+                            </td>
+                            <td>
+                                {proposalVotes[voter] === undefined ?
+                                    <span className='voter-vote'>not voted</span> :
+                                    <span className={'voter-vote' + (proposalVotes[voter] ? ' yes-vote' : ' no-vote')}>
+                                        {proposalVotes[voter] ? 'yes' : 'no'}
+                                    </span>
+                                }
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </details>
+    );
+}
+
 function ProposalActions(props) {
     // Get the required multisig context information
-    const { userAddress, storage, userVotes, voteProposal, executeProposal } = useContext(MultisigContext);
+    const { userAddress, storage, userVotes, voteProposal, executeProposal, simulateProposal } = useContext(MultisigContext);
 
     // Check if the connected user is a multisig user
     const isUser = storage?.users.includes(userAddress);
@@ -297,8 +1085,21 @@ function ProposalActions(props) {
         voteClassName = userVote ? ' yes-vote' : ' no-vote';
     }
 
+    // Define the on click handler for the simulate button
+    const handleSimulateClick = async () => {
+        const simulation = await simulateProposal(props.id);
+
+        if (simulation) {
+            props.onSimulate(simulation);
+        }
+    };
+
     return (
         <div className='proposal-extra-information'>
+            {props.active &&
+                <Button text='simulate' onClick={handleSimulateClick} />
+            }
+
             {props.active && isUser && canExecute &&
                 <Button text='execute' onClick={() => executeProposal(props.id)} />
             }
@@ -315,3 +1116,116 @@ function ProposalActions(props) {
         </div>
     );
 }
+
+function ProposalSimulation(props) {
+    // Get the simulation results
+    const simulation = props.simulation;
+
+    return (
+        <div className='proposal-simulation'>
+            <p>
+                {simulation.executed ?
+                    'Simulation of the proposal execution using the current multisig storage.' :
+                    'The proposal doesn\'t have enough positive votes to be executed yet. Simulation assuming that it ' +
+                    'reaches the minimum votes (the operations that the multisig would send are listed, but not run).'
+                }
+            </p>
+
+            {simulation.failed ?
+                <p className='simulation-error'>The proposal execution would fail: {simulation.error}</p> :
+                <>
+                    <p>The proposal execution would succeed.</p>
+
+                    {simulation.operations.length > 0 &&
+                        <SimulationOperations operations={simulation.operations} />
+                    }
+
+                    {simulation.balanceChanges?.length > 0 &&
+                        <SimulationBalanceChanges balanceChanges={simulation.balanceChanges} />
+                    }
+
+                    {simulation.executed &&
+                        <ul className='parameters-list'>
+                            <li>Consumed gas: {simulation.consumedGas}</li>
+                            <li>Paid storage: {simulation.storageSize} bytes ({simulation.storageCost / 1000000} ꜩ)</li>
+                        </ul>
+                    }
+                </>
+            }
+
+            <Button text='close' onClick={props.onClose} />
+        </div>
+    );
+}
+
+function SimulationOperations(props) {
+    // Get all the token transfers from the operations
+    const tokenTransfers = props.operations.flatMap(operation => operation.tokenTransfers ?? []);
+
+    return (
+        <>
+            <details open>
+                <summary>Operations sent by the multisig</summary>
+                <table>
+                    <tbody>
+                        {props.operations.map((operation, index) => (
+                            <tr key={index}>
+                                <td>{operation.kind}</td>
+                                <td>
+                                    {operation.kind === 'delegation' ?
+                                        (operation.delegate ? <TezosAddressLink address={operation.delegate} shorten /> : 'no delegate') :
+                                        <TezosAddressLink address={operation.destination} useAlias shorten />
+                                    }
+                                </td>
+                                <td>{operation.entrypoint && operation.entrypoint !== 'default' ? `%${operation.entrypoint}` : ''}</td>
+                                <td>{operation.amount > 0 ? `${operation.amount / 1000000} ꜩ` : ''}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </details>
+
+            {tokenTransfers.length > 0 &&
+                <details open>
+                    <summary>Token transfers</summary>
+                    <table>
+                        <tbody>
+                            {tokenTransfers.map((transfer, index) => (
+                                <tr key={index}>
+                                    <td>
+                                        <TokenAmount fa2={transfer.fa2} tokenId={transfer.tokenId} amount={transfer.amount} />
+                                    </td>
+                                    <td>
+                                        from <TezosAddressLink address={transfer.from} useAlias shorten />
+                                        {' '}
+                                        to <TezosAddressLink address={transfer.to} useAlias shorten />
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </details>
+            }
+        </>
+    );
+}
+
+function SimulationBalanceChanges(props) {
+    return (
+        <details open>
+            <summary>Tez balance changes</summary>
+            <table>
+                <tbody>
+                    {props.balanceChanges.map(balanceChange => (
+                        <tr key={balanceChange.address}>
+                            <td>{balanceChange.change > 0 ? '+' : ''}{balanceChange.change / 1000000} ꜩ</td>
+                            <td>
+                                <TezosAddressLink address={balanceChange.address} useAlias shorten />
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </details>
+    );
+}
@@ -0,0 +1,192 @@
+import { emitMicheline } from '@taquito/michel-codec';
+import { getRpcErrorMessage, getErrorMessage } from './errors';
+import { getTokenTransfers } from './lambdas';
+
+
+// Dummy signature used to simulate operations that are not signed
+export const DUMMY_SIGNATURE = 'sigUHx32f9wesZ1n2BWpixXz4AQaZggEtchaQNHYGRCoWNAXx45WGW2ua3apUUUAGMLPwAU41QoaFCzVSL61VaessLg4YbbP';
+
+// The storage size in bytes used when a new account is allocated
+const ALLOCATION_STORAGE_SIZE = 257;
+
+// Simulates the execution of a multisig proposal
+export async function simulateProposalExecution(tezos, contract, proposalId, source, executable) {
+    if (executable) {
+        return await runProposalExecution(tezos, contract, proposalId, source);
+    } else {
+        return await runProposalCode(tezos, contract.address, proposalId, source);
+    }
+}
+
+// Simulates the proposal execution operation with the RPC run_operation endpoint
+async function runProposalExecution(tezos, contract, proposalId, source) {
+    // Get the parameters of the execute proposal operation
+    const transferParams = contract.methods.execute_proposal(proposalId).toTransferParams();
+
+    // Get the information needed to build the operation
+    const header = await tezos.rpc.getBlockHeader();
+    const constants = await tezos.rpc.getConstants();
+    const sourceInformation = await tezos.rpc.getContract(source);
+
+    // Build the operation that will be simulated
+    const operation = {
+        operation: {
+            branch: header.hash,
+            contents: [{
+                kind: 'transaction',
+                source: source,
+                fee: '0',
+                counter: (parseInt(sourceInformation.counter) + 1).toString(),
+                gas_limit: constants.hard_gas_limit_per_operation.toString(),
+                storage_limit: constants.hard_storage_limit_per_operation.toString(),
+                amount: '0',
+                destination: transferParams.to,
+                parameters: transferParams.parameter
+            }],
+            signature: DUMMY_SIGNATURE
+        },
+        chain_id: header.chain_id
+    };
+
+    // Run the operation
+    const response = await tezos.rpc.runOperation(operation);
+    const metadata = response.contents[0].metadata;
+
+    // Join the main operation results with the internal operations results
+    const results = [metadata.operation_result].concat(
+        metadata.internal_operation_results ? metadata.internal_operation_results.map(internal => internal.result) : []);
+
+    // Check if the operation failed
+    const failedResult = results.find(result => result.errors);
+
+    if (metadata.operation_result.status !== 'applied') {
+        return {
+            executed: true,
+            failed: true,
+            error: getRpcErrorMessage(failedResult?.errors)
+        };
+    }
+
+    // Calculate the consumed gas and the storage paid by the operation
+    let consumedGas = 0;
+    let storageSize = 0;
+
+    for (const result of results) {
+        consumedGas += parseInt(result.consumed_milligas ?? 0) / 1000;
+        storageSize += parseInt(result.paid_storage_size_diff ?? 0);
+        storageSize += result.allocated_destination_contract ? ALLOCATION_STORAGE_SIZE : 0;
+        storageSize += (result.originated_contracts?.length ?? 0) * ALLOCATION_STORAGE_SIZE;
+    }
+
+    // Add all the balance changes
+    const balanceChanges = {};
+
+    for (const result of results) {
+        for (const balanceUpdate of result.balance_updates ?? []) {
+            if (balanceUpdate.kind === 'contract') {
+                balanceChanges[balanceUpdate.contract] = (balanceChanges[balanceUpdate.contract] ?? 0) + parseInt(balanceUpdate.change);
+            }
+        }
+    }
+
+    return {
+        executed: true,
+        failed: false,
+        operations: metadata.internal_operation_results?.map(getOperationInformation) ?? [],
+        balanceChanges: Object.entries(balanceChanges)
+            .filter(([address, change]) => change !== 0)
+            .map(([address, change]) => ({ address: address, change: change })),
+        consumedGas: Math.ceil(consumedGas),
+        storageSize: storageSize,
+        storageCost: storageSize * parseInt(constants.cost_per_byte)
+    };
+}
+
+// Simulates the proposal code with the RPC run_code endpoint, assuming that the proposal has enough votes
+async function runProposalCode(tezos, contractAddress, proposalId, source) {
+    // Get the contract script and the information needed to run the code
+    const script = await tezos.rpc.getScript(contractAddress);
+    const balance = await tezos.rpc.getBalance(contractAddress);
+    const chainId = await tezos.rpc.getChainId();
+
+    // Set the minimum votes to zero, so the proposal can be executed
+    const storageType = script.code.find(section => section.prim === 'storage').args[0];
+    const storage = replaceValue(script.storage, storageType, '%minimum_votes', { int: '0' });
+
+    // Run the contract code
+    let response;
+
+    try {
+        response = await tezos.rpc.runCode({
+            script: script.code,
+            storage: storage,
+            input: { int: proposalId.toString() },
+            entrypoint: 'execute_proposal',
+            amount: '0',
+            balance: balance.toFixed(),
+            chain_id: chainId,
+            source: source,
+            payer: source,
+            self: contractAddress
+        });
+    } catch (error) {
+        // The tezos node returns an error if the contract code fails
+        return {
+            executed: false,
+            failed: true,
+            error: getErrorMessage(error)
+        };
+    }
+
+    return {
+        executed: false,
+        failed: false,
+        operations: response.operations.map(getOperationInformation)
+    };
+}
+
+// Replaces the value with the given annotation inside a Michelson value
+function replaceValue(value, type, annotation, newValue) {
+    if (type.annots?.includes(annotation)) {
+        return newValue;
+    }
+
+    if (type.prim !== 'pair') {
+        return value;
+    }
+
+    // Pairs could be written as right combs
+    const typeArgs = toBinaryPair(type.args, 'pair');
+    const valueArgs = toBinaryPair(Array.isArray(value) ? value : value.args, 'Pair');
+
+    return {
+        prim: 'Pair',
+        args: [
+            replaceValue(valueArgs[0], typeArgs[0], annotation, newValue),
+            replaceValue(valueArgs[1], typeArgs[1], annotation, newValue)
+        ]
+    };
+}
+
+// Transforms the arguments of a right comb to the arguments of a binary pair
+function toBinaryPair(args, prim) {
+    return args.length > 2 ? [args[0], { prim: prim, args: args.slice(1) }] : args;
+}
+
+// Extracts the relevant information from an internal operation
+function getOperationInformation(operation) {
+    const information = {
+        kind: operation.kind,
+        destination: operation.destination,
+        amount: parseInt(operation.amount ?? 0),
+        delegate: operation.delegate,
+        entrypoint: operation.parameters?.entrypoint,
+        parameters: operation.parameters && emitMicheline(operation.parameters.value)
+    };
+
+    if (information.entrypoint === 'transfer') {
+        information.tokenTransfers = getTokenTransfers(operation.destination, operation.parameters.value);
+    }
+
+    return information;
+}
@@ -0,0 +1,363 @@
+import { getDataSource } from './dataSources';
+
+
+// The SignalR message record separator
+const RECORD_SEPARATOR = '\x1e';
+
+// The SignalR message types
+const INVOCATION_MESSAGE = 1;
+const COMPLETION_MESSAGE = 3;
+const PING_MESSAGE = 6;
+const CLOSE_MESSAGE = 7;
+
+// The time in milliseconds between the SignalR keep alive pings
+const PING_INTERVAL = 15000;
+
+// The time in milliseconds between two consecutive refreshes when the live updates are not available
+const POLLING_INTERVAL = 30000;
+
+// The number of polling checks between two complete refreshes of the information
+const POLLS_PER_REFRESH = 10;
+
+// The time in milliseconds to wait before trying to reconnect to the TzKT hub
+const RECONNECT_DELAY = 60000;
+
+// The TzKT subscription message types
+const TZKT_DATA_MESSAGE = 1;
+const TZKT_REORG_MESSAGE = 2;
+
+// Minimal SignalR hub connection that uses the JSON hub protocol over a WebSocket
+export class TzktHubConnection {
+
+    constructor(url) {
+        this.url = url.replace(/^http/, 'ws');
+        this.socket = undefined;
+        this.handlers = {};
+        this.closeHandlers = [];
+        this.invocations = {};
+        this.invocationCounter = 0;
+        this.pingInterval = undefined;
+    }
+
+    // Opens the connection and completes the SignalR handshake
+    start() {
+        return new Promise((resolve, reject) => {
+            let connected = false;
+            this.socket = new WebSocket(this.url);
+
+            this.socket.onopen = () => this.socket.send(JSON.stringify({ protocol: 'json', version: 1 }) + RECORD_SEPARATOR);
+
+            this.socket.onmessage = event => {
+                for (const record of event.data.split(RECORD_SEPARATOR).filter(record => record)) {
+                    const message = JSON.parse(record);
+
+                    // The first message is the handshake response
+                    if (!connected) {
+                        if (message.error) {
+                            reject(new Error(message.error));
+                            this.socket.close();
+                            return;
+                        }
+
+                        connected = true;
+                        this.pingInterval = setInterval(() => this.send({ type: PING_MESSAGE }), PING_INTERVAL);
+                        resolve();
+                        continue;
+                    }
+
+                    this.handleMessage(message);
+                }
+            };
+
+            this.socket.onclose = event => {
+                clearInterval(this.pingInterval);
+
+                // Reject the pending invocations
+                const error = new Error(`The hub connection was closed (code ${event.code})`);
+                Object.values(this.invocations).forEach(invocation => invocation.reject(error));
+                this.invocations = {};
+
+                if (connected) {
+                    this.closeHandlers.forEach(handler => handler(error));
+                } else {
+                    reject(error);
+                }
+            };
+        });
+    }
+
+    // Closes the connection
+    async stop() {
+        this.closeHandlers = [];
+        clearInterval(this.pingInterval);
+        this.socket?.close();
+    }
+
+    // Registers a handler for the messages sent by the hub with the given target
+    on(target, handler) {
+        this.handlers[target] = (this.handlers[target] ?? []).concat(handler);
+    }
+
+    // Registers a handler that is called when the connection is closed by the hub or by a network error
+    onclose(handler) {
+        this.closeHandlers.push(handler);
+    }
+
+    // Invokes a hub method and waits for the result
+    invoke(target, ...args) {
+        const invocationId = (this.invocationCounter++).toString();
+
+        return new Promise((resolve, reject) => {
+            this.invocations[invocationId] = { resolve: resolve, reject: reject };
+            this.send({ type: INVOCATION_MESSAGE, invocationId: invocationId, target: target, arguments: args });
+        });
+    }
+
+    // Sends a message to the hub
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message) + RECORD_SEPARATOR);
+        }
+    }
+
+    // Processes a message received from the hub
+    handleMessage(message) {
+        if (message.type === INVOCATION_MESSAGE) {
+            this.handlers[message.target]?.forEach(handler => handler(...message.arguments));
+        } else if (message.type === COMPLETION_MESSAGE) {
+            const invocation = this.invocations[message.invocationId];
+            delete this.invocations[message.invocationId];
+
+            if (message.error) {
+                invocation?.reject(new Error(message.error));
+            } else {
+                invocation?.resolve(message.result);
+            }
+        } else if (message.type === CLOSE_MESSAGE) {
+            this.socket.close();
+        }
+    }
+}
+
+// Hub connection that doesn't connect to any server and can be used to emit messages in tests
+export class MockHubConnection {
+
+    constructor(url) {
+        this.url = url;
+        this.started = false;
+        this.handlers = {};
+        this.closeHandlers = [];
+        this.invocations = [];
+    }
+
+    async start() {
+        this.started = true;
+    }
+
+    async stop() {
+        this.started = false;
+    }
+
+    on(target, handler) {
+        this.handlers[target] = (this.handlers[target] ?? []).concat(handler);
+    }
+
+    onclose(handler) {
+        this.closeHandlers.push(handler);
+    }
+
+    async invoke(target, ...args) {
+        this.invocations.push({ target: target, arguments: args });
+    }
+
+    // Simulates a message sent by the hub
+    emit(target, ...args) {
+        this.handlers[target]?.forEach(handler => handler(...args));
+    }
+
+    // Simulates a connection error
+    close(error = new Error('Mock hub connection closed')) {
+        this.started = false;
+        this.closeHandlers.forEach(handler => handler(error));
+    }
+}
+
+// The function used to create the hub connections
+let hubConnectionFactory = url => new TzktHubConnection(url);
+
+// Sets the function used to create the hub connections (e.g. to use a MockHubConnection in tests)
+export function setHubConnectionFactory(factory) {
+    hubConnectionFactory = factory;
+}
+
+// Keeps track of the multisig contract changes using the TzKT live updates, or polling if they are not available
+export class MultisigSubscription {
+
+    // The handlers object can define the following functions:
+    //   - onProposalUpdate(proposal): a proposal has been created or modified
+    //   - onVoteUpdate(proposalId, userAddress, vote): a user voted a proposal
+    //   - onStorageUpdate(): the contract storage might have changed
+    //   - onAccountUpdate(account): the contract tez balance or delegate changed
+    //   - onPoll(): the information needs to be checked for changes
+    //   - onRefresh(): all the information needs to be reloaded
+    constructor(contractAddress, storage, handlers) {
+        this.contractAddress = contractAddress;
+        this.storage = storage;
+        this.handlers = handlers;
+        this.connection = undefined;
+        this.pollingInterval = undefined;
+        this.reconnectTimeout = undefined;
+        this.stopped = false;
+    }
+
+    // Starts the live updates
+    async start() {
+        const dataSource = getDataSource();
+
+        // Use polling if the data source doesn't support live updates
+        if (dataSource.type !== 'tzkt') {
+            this.startPolling();
+            return;
+        }
+
+        try {
+            await this.connect(dataSource.apiUrl);
+        } catch (error) {
+            console.log('Error while connecting to the TzKT live updates, using polling instead:', error);
+            this.handleDisconnection(dataSource.apiUrl);
+        }
+    }
+
+    // Stops the live updates and the polling
+    stop() {
+        this.stopped = true;
+        this.stopPolling();
+        clearTimeout(this.reconnectTimeout);
+        this.connection?.stop();
+        this.connection = undefined;
+    }
+
+    // Connects to the TzKT hub and subscribes to the multisig bigmaps and account updates
+    async connect(apiUrl) {
+        const connection = hubConnectionFactory(`${apiUrl}/v1/ws`);
+        connection.on('bigmaps', message => this.handleBigmapsMessage(message));
+        connection.on('accounts', message => this.handleAccountsMessage(message));
+
+        await connection.start();
+
+        // Return if the subscription was stopped while connecting
+        if (this.stopped) {
+            connection.stop();
+            return;
+        }
+
+        this.connection = connection;
+
+        try {
+            await connection.invoke('SubscribeToBigMaps', { contract: this.contractAddress });
+            await connection.invoke('SubscribeToAccounts', { addresses: [this.contractAddress] });
+        } catch (error) {
+            this.connection = undefined;
+            connection.stop();
+            throw error;
+        }
+
+        // Switch to polling if the connection is lost
+        connection.onclose(error => {
+            console.log('The TzKT live updates connection was closed, using polling instead:', error);
+            this.connection = undefined;
+            this.handleDisconnection(apiUrl);
+        });
+    }
+
+    // Switches to polling and tries to reconnect to the TzKT hub later
+    handleDisconnection(apiUrl) {
+        if (this.stopped) return;
+
+        this.startPolling();
+        this.reconnectTimeout = setTimeout(async () => {
+            try {
+                await this.connect(apiUrl);
+            } catch (error) {
+                console.log('Error while reconnecting to the TzKT live updates:', error);
+                this.handleDisconnection(apiUrl);
+                return;
+            }
+
+            if (this.stopped) return;
+
+            // Reload everything, because some updates could have been missed
+            this.stopPolling();
+            this.handlers.onRefresh();
+        }, RECONNECT_DELAY);
+    }
+
+    // Starts calling the poll handler periodically, and the refresh handler from time to time to catch the changes
+    // that the poll handler cannot detect
+    startPolling() {
+        if (this.stopped || this.pollingInterval) return;
+
+        let polls = 0;
+        this.pollingInterval = setInterval(() => {
+            polls++;
+
+            if (polls % POLLS_PER_REFRESH === 0) {
+                this.handlers.onRefresh();
+            } else {
+                this.handlers.onPoll();
+            }
+        }, POLLING_INTERVAL);
+    }
+
+    // Stops calling the poll and refresh handlers
+    stopPolling() {
+        clearInterval(this.pollingInterval);
+        this.pollingInterval = undefined;
+    }
+
+    // Processes the bigmap updates sent by the TzKT hub
+    handleBigmapsMessage(message) {
+        if (this.stopped) return;
+
+        if (message.type === TZKT_REORG_MESSAGE) {
+            this.handlers.onRefresh();
+            return;
+        }
+
+        if (message.type !== TZKT_DATA_MESSAGE) return;
+
+        let proposalsUpdated = false;
+
+        for (const update of message.data) {
+            if (!update.content) continue;
+
+            if (update.bigmap.toString() === this.storage.proposals.toString()) {
+                this.handlers.onProposalUpdate({ key: update.content.key, value: update.content.value });
+                proposalsUpdated = true;
+            } else if (update.bigmap.toString() === this.storage.votes.toString()) {
+                this.handlers.onVoteUpdate(update.content.key.nat, update.content.key.address, update.content.value);
+            }
+        }
+
+        // New or executed proposals also modify the rest of the storage
+        if (proposalsUpdated) {
+            this.handlers.onStorageUpdate();
+        }
+    }
+
+    // Processes the account updates sent by the TzKT hub
+    handleAccountsMessage(message) {
+        if (this.stopped) return;
+
+        if (message.type === TZKT_REORG_MESSAGE) {
+            this.handlers.onRefresh();
+            return;
+        }
+
+        if (message.type !== TZKT_DATA_MESSAGE) return;
+
+        message.data
+            .filter(account => account.address === this.contractAddress)
+            .forEach(account => this.handlers.onAccountUpdate(account));
+    }
+}
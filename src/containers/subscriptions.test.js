@@ -0,0 +1,233 @@
+import { MultisigSubscription, MockHubConnection, setHubConnectionFactory } from './subscriptions';
+import { TzktDataSource, RpcDataSource, setDataSource } from './dataSources';
+
+
+// The multisig used in the tests
+const CONTRACT_ADDRESS = 'KT1PKBTVmdxfgkFvSeNUQacYiEFsPBw16B4P';
+const USER_ADDRESS = 'tz1RS9GoEXakf9iyBmSaheLMcakFRtzBXpWE';
+const STORAGE = { counter: '3', proposals: 100, votes: 101 };
+
+// Hub connection that cannot connect to the server
+class FailingHubConnection extends MockHubConnection {
+
+    async start() {
+        throw new Error('Mock hub connection failed');
+    }
+}
+
+// The hub connections created by the subscriptions
+let connections;
+
+// Creates a subscription with mocked handlers
+function createSubscription() {
+    const handlers = {
+        onProposalUpdate: jest.fn(),
+        onVoteUpdate: jest.fn(),
+        onStorageUpdate: jest.fn(),
+        onAccountUpdate: jest.fn(),
+        onPoll: jest.fn(),
+        onRefresh: jest.fn()
+    };
+
+    return { subscription: new MultisigSubscription(CONTRACT_ADDRESS, STORAGE, handlers), handlers: handlers };
+}
+
+// Uses the given hub connection class for the new connections
+function useHubConnection(HubConnection) {
+    setHubConnectionFactory(url => {
+        const connection = new HubConnection(url);
+        connections.push(connection);
+
+        return connection;
+    });
+}
+
+// Waits until the pending promises are resolved
+async function flushPromises() {
+    for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+    }
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.useFakeTimers();
+    connections = [];
+    useHubConnection(MockHubConnection);
+    setDataSource(new TzktDataSource('mainnet', 'https://api.tzkt.test'));
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+});
+
+test('subscribes to the multisig bigmaps and account updates', async () => {
+    const { subscription } = createSubscription();
+    await subscription.start();
+
+    expect(connections).toHaveLength(1);
+    expect(connections[0].url).toBe('https://api.tzkt.test/v1/ws');
+    expect(connections[0].started).toBe(true);
+    expect(connections[0].invocations).toEqual([
+        { target: 'SubscribeToBigMaps', arguments: [{ contract: CONTRACT_ADDRESS }] },
+        { target: 'SubscribeToAccounts', arguments: [{ addresses: [CONTRACT_ADDRESS] }] }
+    ]);
+
+    subscription.stop();
+});
+
+test('dispatches the proposal and vote bigmap updates', async () => {
+    const { subscription, handlers } = createSubscription();
+    await subscription.start();
+
+    const proposal = { executed: false, positive_votes: '1' };
+    connections[0].emit('bigmaps', {
+        type: 1,
+        data: [
+            { bigmap: 100, content: { key: '3', value: proposal } },
+            { bigmap: 101, content: { key: { nat: '3', address: USER_ADDRESS }, value: true } },
+            { bigmap: 101, action: 'remove_key' },
+            { bigmap: 102, content: { key: '0', value: 'other bigmap' } }
+        ]
+    });
+
+    expect(handlers.onProposalUpdate).toHaveBeenCalledTimes(1);
+    expect(handlers.onProposalUpdate).toHaveBeenCalledWith({ key: '3', value: proposal });
+    expect(handlers.onVoteUpdate).toHaveBeenCalledTimes(1);
+    expect(handlers.onVoteUpdate).toHaveBeenCalledWith('3', USER_ADDRESS, true);
+    expect(handlers.onStorageUpdate).toHaveBeenCalledTimes(1);
+    expect(handlers.onRefresh).not.toHaveBeenCalled();
+
+    // Vote updates don't modify the rest of the storage
+    connections[0].emit('bigmaps', {
+        type: 1,
+        data: [{ bigmap: 101, content: { key: { nat: '2', address: USER_ADDRESS }, value: false } }]
+    });
+
+    expect(handlers.onVoteUpdate).toHaveBeenLastCalledWith('2', USER_ADDRESS, false);
+    expect(handlers.onStorageUpdate).toHaveBeenCalledTimes(1);
+
+    subscription.stop();
+});
+
+test('dispatches the multisig account updates', async () => {
+    const { subscription, handlers } = createSubscription();
+    await subscription.start();
+
+    const account = { address: CONTRACT_ADDRESS, balance: 1000000, delegate: null };
+    connections[0].emit('accounts', { type: 1, data: [{ address: USER_ADDRESS, balance: 1 }, account] });
+
+    expect(handlers.onAccountUpdate).toHaveBeenCalledTimes(1);
+    expect(handlers.onAccountUpdate).toHaveBeenCalledWith(account);
+
+    subscription.stop();
+});
+
+test('reloads everything after a chain reorganization', async () => {
+    const { subscription, handlers } = createSubscription();
+    await subscription.start();
+
+    connections[0].emit('bigmaps', { type: 2, state: 1000 });
+    connections[0].emit('accounts', { type: 2, state: 1000 });
+
+    expect(handlers.onRefresh).toHaveBeenCalledTimes(2);
+    expect(handlers.onProposalUpdate).not.toHaveBeenCalled();
+    expect(handlers.onAccountUpdate).not.toHaveBeenCalled();
+
+    subscription.stop();
+});
+
+test('polls the data sources that don\'t support live updates', async () => {
+    setDataSource(new RpcDataSource('http://localhost:20000'));
+    const { subscription, handlers } = createSubscription();
+    await subscription.start();
+
+    expect(connections).toHaveLength(0);
+
+    // Every tenth check is a complete refresh
+    jest.advanceTimersByTime(30000);
+    expect(handlers.onPoll).toHaveBeenCalledTimes(1);
+    expect(handlers.onRefresh).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(9 * 30000);
+    expect(handlers.onPoll).toHaveBeenCalledTimes(9);
+    expect(handlers.onRefresh).toHaveBeenCalledTimes(1);
+
+    // Nothing is called after the subscription is stopped
+    subscription.stop();
+    jest.advanceTimersByTime(10 * 30000);
+    expect(handlers.onPoll).toHaveBeenCalledTimes(9);
+    expect(handlers.onRefresh).toHaveBeenCalledTimes(1);
+});
+
+test('polls while the connection is lost and reloads everything after reconnecting', async () => {
+    const { subscription, handlers } = createSubscription();
+    await subscription.start();
+
+    connections[0].close();
+
+    jest.advanceTimersByTime(30000);
+    expect(handlers.onPoll).toHaveBeenCalledTimes(1);
+    expect(connections).toHaveLength(1);
+
+    // Reconnect after one minute
+    jest.advanceTimersByTime(30000);
+    await flushPromises();
+    expect(connections).toHaveLength(2);
+    expect(connections[1].started).toBe(true);
+    expect(connections[1].invocations.map(invocation => invocation.target)).toEqual(['SubscribeToBigMaps', 'SubscribeToAccounts']);
+    expect(handlers.onRefresh).toHaveBeenCalledTimes(1);
+
+    // The polling stops once the connection is restored
+    const polls = handlers.onPoll.mock.calls.length;
+    jest.advanceTimersByTime(5 * 30000);
+    expect(handlers.onPoll).toHaveBeenCalledTimes(polls);
+
+    // The new connection is used for the updates
+    connections[1].emit('bigmaps', { type: 1, data: [{ bigmap: 100, content: { key: '4', value: {} } }] });
+    expect(handlers.onProposalUpdate).toHaveBeenCalledWith({ key: '4', value: {} });
+
+    subscription.stop();
+    expect(connections[1].started).toBe(false);
+});
+
+test('keeps polling and retrying when the hub is not reachable', async () => {
+    useHubConnection(FailingHubConnection);
+    const { subscription, handlers } = createSubscription();
+    await subscription.start();
+
+    expect(connections).toHaveLength(1);
+
+    jest.advanceTimersByTime(60000);
+    await flushPromises();
+    expect(connections).toHaveLength(2);
+    expect(handlers.onPoll).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(60000);
+    await flushPromises();
+    expect(connections).toHaveLength(3);
+    expect(handlers.onPoll).toHaveBeenCalledTimes(4);
+    expect(handlers.onRefresh).not.toHaveBeenCalled();
+
+    // The retries stop with the subscription
+    subscription.stop();
+    jest.advanceTimersByTime(5 * 60000);
+    await flushPromises();
+    expect(connections).toHaveLength(3);
+    expect(handlers.onPoll).toHaveBeenCalledTimes(4);
+});
+
+test('ignores the messages received after the subscription is stopped', async () => {
+    const { subscription, handlers } = createSubscription();
+    await subscription.start();
+
+    const connection = connections[0];
+    subscription.stop();
+    expect(connection.started).toBe(false);
+
+    connection.emit('bigmaps', { type: 1, data: [{ bigmap: 100, content: { key: '3', value: {} } }] });
+    connection.emit('accounts', { type: 2, state: 1000 });
+    expect(handlers.onProposalUpdate).not.toHaveBeenCalled();
+    expect(handlers.onRefresh).not.toHaveBeenCalled();
+});
@@ -0,0 +1,207 @@
+import { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { TezosToolkit, BigMapAbstraction, MichelsonMap } from '@taquito/taquito';
+import { NETWORKS, TOKENS } from '../constants';
+import { MultisigContext } from './context';
+import { getIpfsUrl } from './utils';
+
+
+// The tezos toolkits used to read the token contracts in each network
+const toolkits = {};
+
+// The token metadata promises, indexed by network, token contract address and token id
+const tokenMetadataCache = {};
+
+// The token metadata that has been already resolved, using the same indexes
+const resolvedTokenMetadata = {};
+
+// Returns the token metadata of a FA2 or FA1.2 token, using the TOKENS list as overrides
+export async function getTokenMetadata(network, fa2, tokenId = '0') {
+    const key = `${network}:${fa2}:${tokenId}`;
+
+    // Resolve the token metadata only once, unless the previous attempt failed
+    if (!(key in tokenMetadataCache)) {
+        tokenMetadataCache[key] = resolveTokenMetadata(network, fa2, tokenId)
+            .then(tokenMetadata => resolvedTokenMetadata[key] = tokenMetadata)
+            .catch(error => {
+                console.log('Error while resolving the token metadata:', error);
+                delete tokenMetadataCache[key];
+            });
+    }
+
+    return applyTokenOverrides(fa2, tokenId, await tokenMetadataCache[key]);
+}
+
+// Returns the token metadata if it has been resolved already, or the TOKENS overrides otherwise
+export function getCachedTokenMetadata(network, fa2, tokenId = '0') {
+    return applyTokenOverrides(fa2, tokenId, resolvedTokenMetadata[`${network}:${fa2}:${tokenId}`]);
+}
+
+// React hook that returns the token metadata for the selected network
+export function useTokenMetadata(fa2, tokenId = '0') {
+    // Get the required multisig context information
+    const { network } = useContext(MultisigContext);
+
+    // Set the component state
+    const [tokenMetadata, setTokenMetadata] = useState(getCachedTokenMetadata(network, fa2, tokenId));
+
+    // Resolve the token metadata every time the token changes
+    useEffect(() => {
+        setTokenMetadata(getCachedTokenMetadata(network, fa2, tokenId));
+
+        if (!(fa2?.startsWith('KT1') && fa2.length === 36)) return;
+
+        let ignore = false;
+        getTokenMetadata(network, fa2, tokenId).then(metadata => !ignore && setTokenMetadata(metadata));
+
+        return () => ignore = true;
+    }, [network, fa2, tokenId]);
+
+    return tokenMetadata;
+}
+
+// Returns the token amount taking into account the token decimals
+export function formatTokenAmount(amount, tokenMetadata) {
+    return parseInt(amount) / 10 ** (tokenMetadata?.decimals ?? 0);
+}
+
+// Merges the resolved token metadata with the TOKENS information
+function applyTokenOverrides(fa2, tokenId, tokenMetadata) {
+    const token = TOKENS.find(token => token.fa2 === fa2);
+    const decimals = token?.decimals ?? tokenMetadata?.decimals ?? 0;
+
+    return {
+        fa2: fa2,
+        tokenId: tokenId,
+        name: token?.name ?? tokenMetadata?.name,
+        symbol: tokenMetadata?.symbol,
+        decimals: decimals,
+        thumbnail: tokenMetadata?.thumbnail,
+        multiasset: token?.multiasset ?? decimals === 0,
+        website: token?.website,
+        resolved: tokenMetadata !== undefined || token?.decimals !== undefined
+    };
+}
+
+// Reads the token metadata from the token_metadata bigmap or the token_metadata off-chain view
+async function resolveTokenMetadata(network, fa2, tokenId) {
+    // Get the token contract storage
+    const tezos = getToolkit(network);
+    const contract = await tezos.contract.at(fa2);
+    const storage = await contract.storage();
+
+    // Get the token information from the token_metadata bigmap if it's available
+    let tokenInfo;
+    const bigmap = findBigmap(storage, 'token_metadata');
+
+    if (bigmap) {
+        const value = await bigmap.get(tokenId);
+        const tokenInfoMap = value?.token_info ?? value?.['1'];
+
+        if (MichelsonMap.isMichelsonMap(tokenInfoMap)) {
+            tokenInfo = {};
+            tokenInfoMap.forEach((bytes, key) => tokenInfo[key] = bytesToString(bytes));
+        }
+    } else {
+        tokenInfo = await runTokenMetadataView(tezos, fa2, storage, tokenId);
+    }
+
+    // The tokens without metadata have no decimals
+    if (!tokenInfo) return { decimals: 0 };
+
+    // Merge the off-chain JSON metadata with the on-chain token information
+    if (tokenInfo['']) {
+        const offChainMetadata = await getJsonFile(tokenInfo['']);
+        tokenInfo = Object.assign({}, offChainMetadata, tokenInfo);
+    }
+
+    return {
+        name: tokenInfo.name,
+        symbol: tokenInfo.symbol,
+        decimals: parseInt(tokenInfo.decimals ?? 0),
+        thumbnail: getIpfsUrl(tokenInfo.thumbnailUri ?? tokenInfo.displayUri)
+    };
+}
+
+// Runs the token_metadata off-chain view defined in the contract metadata
+async function runTokenMetadataView(tezos, contractAddress, storage, tokenId) {
+    // Get the contract metadata
+    const metadataBigmap = findBigmap(storage, 'metadata');
+    const metadataUri = metadataBigmap && await metadataBigmap.get('');
+
+    if (!metadataUri) return;
+
+    const uri = bytesToString(metadataUri);
+    const metadata = uri.startsWith('tezos-storage:') ?
+        JSON.parse(bytesToString(await metadataBigmap.get(decodeURIComponent(uri.slice(14))))) :
+        await getJsonFile(uri);
+
+    // Get the token_metadata off-chain view implementation
+    const view = metadata?.views?.find(view => view.name === 'token_metadata');
+    const implementation = view?.implementations?.find(implementation => implementation.michelsonStorageView)?.michelsonStorageView;
+
+    if (!implementation) return;
+
+    // Run the view code with the current contract storage
+    const script = await tezos.rpc.getScript(contractAddress);
+    const storageType = script.code.find(section => section.prim === 'storage').args[0];
+    const response = await tezos.rpc.runCode({
+        script: [
+            { prim: 'parameter', args: [{ prim: 'pair', args: [implementation.parameter, storageType] }] },
+            { prim: 'storage', args: [{ prim: 'option', args: [implementation.returnType] }] },
+            { prim: 'code', args: [[{ prim: 'CAR' }, implementation.code, { prim: 'SOME' }, { prim: 'NIL', args: [{ prim: 'operation' }] }, { prim: 'PAIR' }]] }
+        ],
+        storage: { prim: 'None' },
+        input: { prim: 'Pair', args: [{ int: tokenId.toString() }, script.storage] },
+        amount: '0',
+        chain_id: await tezos.rpc.getChainId()
+    });
+
+    // The view returns the pair (token_id, token_info)
+    const tokenInfoMap = response.storage.args[0].args[1];
+    const tokenInfo = {};
+    tokenInfoMap.forEach(element => tokenInfo[element.args[0].string] = bytesToString(element.args[1].bytes));
+
+    return tokenInfo;
+}
+
+// Downloads a JSON file stored in IPFS or in a web server
+async function getJsonFile(uri) {
+    if (!(uri.startsWith('ipfs://') || uri.startsWith('https://'))) return;
+
+    const response = await axios.get(getIpfsUrl(uri))
+        .catch(error => console.log('Error while downloading the token metadata file:', error));
+
+    return response?.data;
+}
+
+// Finds a bigmap with the given name inside a contract storage
+function findBigmap(storage, name) {
+    if (storage instanceof BigMapAbstraction || MichelsonMap.isMichelsonMap(storage) || typeof storage !== 'object' || storage === null) {
+        return;
+    }
+
+    if (storage[name] instanceof BigMapAbstraction) {
+        return storage[name];
+    }
+
+    for (const value of Object.values(storage)) {
+        const bigmap = findBigmap(value, name);
+
+        if (bigmap) return bigmap;
+    }
+}
+
+// Returns the tezos toolkit used to read the token contracts in a given network
+function getToolkit(network) {
+    if (!toolkits[network]) {
+        toolkits[network] = new TezosToolkit(NETWORKS[network].rpcNode);
+    }
+
+    return toolkits[network];
+}
+
+// Transforms some hex bytes to an UTF-8 string
+function bytesToString(bytes) {
+    return new TextDecoder().decode(Uint8Array.from(bytes.match(/.{1,2}/g) ?? [], byte => parseInt(byte, 16)));
+}
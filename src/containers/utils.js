@@ -1,5 +1,7 @@
 import axios from 'axios';
-import { NETWORK, IPFS_UPLOAD_PROXY } from '../constants';
+import { validateAddress } from '@taquito/utils';
+import { IPFS_UPLOAD_PROXY, IPFS_GATEWAY } from '../constants';
+import { TzktDataSource, getDataSource } from './dataSources';
 
 
 // Returns the user address
@@ -17,58 +19,58 @@ export async function getContract(tezos, contractAddress) {
 }
 
 // Returns the addresses of similar contracts
-export async function getSimilarContractAddresses(contractAddress, network = NETWORK) {
-    const parameters = {
-        select: 'address'
-    };
-    const response = await axios.get(`https://api.${network}.tzkt.io/v1/contracts/${contractAddress}/same`, { params: parameters })
-        .catch(error => console.log('Error while querying similar contract addresses:', error));
-
-    return response?.data.reverse();
+export async function getSimilarContractAddresses(contractAddress) {
+    return await getDataSource().getSimilarContractAddresses(contractAddress);
 }
 
 // Returns the contract storage
-export async function getContractStorage(contractAddress, network = NETWORK) {
-    const response = await axios.get(`https://api.${network}.tzkt.io/v1/contracts/${contractAddress}/storage`)
-        .catch(error => console.log('Error while querying the contract storage:', error));
-
-    return response?.data;
+export async function getContractStorage(contractAddress) {
+    return await getDataSource().getContractStorage(contractAddress);
 }
 
 // Returns the account balance in mutez
-export async function getBalance(account, network = NETWORK) {
-    const response = await axios.get(`https://api.${network}.tzkt.io/v1/accounts/${account}/balance`)
-        .catch(error => console.log('Error while querying the account balance:', error));
+export async function getBalance(account) {
+    return await getDataSource().getBalance(account);
+}
+
+// Returns the account token balances
+export async function getTokenBalances(account) {
+    return await getDataSource().getTokenBalances(account);
+}
 
-    return response?.data;
+// Returns the account delegate, or null if it doesn't have one
+export async function getDelegate(account) {
+    return await getDataSource().getDelegate(account);
 }
 
-// Returns some bigmap keys
-export async function getBigmapKeys(bigmap, extraParameters = {}, network = NETWORK) {
-    const parameters = Object.assign(
-        {
-            limit: 10000,
-            active: true,
-            select: 'key,value',
-        },
-        extraParameters);
-    const response = await axios.get(`https://api.${network}.tzkt.io/v1/bigmaps/${bigmap}/keys`, { params: parameters })
-        .catch(error => console.log('Error while querying the bigmap keys:', error));
+// Returns the multisig proposals, starting from the most recent one
+export async function getProposals(storage, options) {
+    return await getDataSource().getProposals(storage, options);
+}
 
-    return response?.data.reverse();
+// Returns a single multisig proposal, or null if it doesn't exist
+export async function getProposal(storage, proposalId) {
+    return await getDataSource().getProposal(storage, proposalId);
 }
 
 // Returns the user votes
-export async function getUserVotes(userAddress, tokenVotesBigmap, network = NETWORK) {
-    // Download the user votes from the token votes bigmap
-    const extraParameters = { 'key.address': userAddress };
-    const votes = await getBigmapKeys(tokenVotesBigmap, extraParameters, network);
+export async function getUserVotes(userAddress, storage) {
+    return await getDataSource().getUserVotes(userAddress, storage);
+}
 
-    // Rearange the user votes information in a dictionary
-    const userVotes = votes ? {} : undefined;
-    votes?.forEach(vote => userVotes[vote.key.nat] = vote.value);
+// Returns all the multisig votes grouped by proposal id, or only the votes of the given proposals
+export async function getVotes(storage, proposalIds) {
+    return await getDataSource().getVotes(storage, proposalIds);
+}
 
-    return userVotes;
+// Returns the hash of the operation that executed a given proposal
+export async function getExecutionOperationHash(contractAddress, proposalId) {
+    return await getDataSource().getExecutionOperationHash(contractAddress, proposalId);
+}
+
+// Returns the hashes of the operations that executed the multisig proposals, indexed by proposal id
+export async function getExecutionOperationHashes(contractAddress) {
+    return await getDataSource().getExecutionOperationHashes(contractAddress);
 }
 
 // Returns the H=N user aliases
@@ -81,9 +83,9 @@ export async function getUserAliases(users) {
         userAddresses += ',' + userAddresses;
     }
 
-    // Get the user aliases from the H=N registries bigmap
+    // Get the user aliases from the H=N registries bigmap (it only exists on mainnet)
     const extraParameters = { 'key.in': userAddresses };
-    const aliases = await getBigmapKeys('3919', extraParameters, 'mainnet');
+    const aliases = await new TzktDataSource('mainnet').getBigmapKeys('3919', extraParameters);
 
     // Rearange the user aliases information in a dictionary
     const userAliases = aliases ? {} : undefined;
@@ -92,6 +94,21 @@ export async function getUserAliases(users) {
     return userAliases;
 }
 
+// Returns the date when a proposal expires
+export function getProposalExpirationDate(proposal, expirationTime) {
+    // The contract adds the expiration time in seconds, so the local daylight saving time changes are ignored
+    return new Date(new Date(proposal.timestamp).getTime() + parseInt(expirationTime) * 86400000);
+}
+
+// Returns the proposal status: executed, expired or active
+export function getProposalStatus(proposal, expirationTime, now = new Date()) {
+    if (proposal.executed) {
+        return 'executed';
+    }
+
+    return now > getProposalExpirationDate(proposal, expirationTime) ? 'expired' : 'active';
+}
+
 // Uploads a file to the ipfs proxy
 export async function uploadFileToIPFSProxy(file) {
     const form_data = new FormData();
@@ -99,6 +116,78 @@ export async function uploadFileToIPFSProxy(file) {
     return await axios.post(IPFS_UPLOAD_PROXY + '/single', form_data, { headers: { 'Content-Type': 'multipart/form-data' } });
 }
 
+// The format of the amounts in the transfers tables, with a decimal point or a decimal comma
+const TRANSFER_AMOUNT_REGEX = /^\d+([.,]\d+)?$/;
+
+// Parses a CSV or TSV table where each line contains an address, an amount with at most the given number of
+// decimals (6 for tez amounts) and an optional alias
+export function parseTransfersTable(text, decimals = 6) {
+    // Use tabs or semicolons as separators if they are present, so the amounts can use decimal commas
+    const separator = text.includes('\t') ? '\t' : (text.includes(';') ? ';' : ',');
+
+    // Extract the transfers information from each line
+    const transfers = [];
+    let firstLine = true;
+
+    for (const [index, line] of text.split(/\r?\n/).entries()) {
+        // Skip empty lines and comments
+        if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+        const [destination = '', amount = '', alias = ''] = line.split(separator).map(column => column.trim().replace(/^"(.*)"$/, '$1'));
+
+        // Skip the header line
+        const validAmount = TRANSFER_AMOUNT_REGEX.test(amount);
+        const isHeader = firstLine && validateAddress(destination) !== 3 && !validAmount;
+        firstLine = false;
+
+        if (isHeader) continue;
+
+        // Amounts like 10abc or 1.000,50 are rejected instead of being partially parsed
+        const amountText = validAmount ? amount.replace(',', '.') : '';
+
+        transfers.push({
+            line: index + 1,
+            destination: destination,
+            amount: validAmount ? parseFloat(amountText) : NaN,
+            amountText: amountText,
+            decimals: amountText.split('.')[1]?.length ?? 0,
+            alias: alias,
+            error: undefined,
+            duplicate: false
+        });
+    }
+
+    // Validate the transfers and flag the duplicated addresses
+    for (const transfer of transfers) {
+        if (validateAddress(transfer.destination) !== 3) {
+            transfer.error = 'invalid address';
+        } else if (!(transfer.amount > 0)) {
+            transfer.error = 'invalid amount';
+        } else if (transfer.decimals > decimals) {
+            transfer.error = `more than ${decimals} decimals`;
+        }
+
+        transfer.duplicate = transfers.filter(otherTransfer => otherTransfer.destination === transfer.destination).length > 1;
+    }
+
+    return transfers;
+}
+
+// Converts a decimal amount to an integer amount of base units. The conversion uses string and BigInt arithmetic,
+// so the amounts of tokens with many decimals or above 2^53 base units don't lose precision
+export function toBaseUnits(amount, decimals) {
+    const text = String(amount).trim();
+    const match = text.match(/^(\d+)(?:[.,](\d+))?$/);
+
+    if (!match) throw new Error(`The amount ${text} is not a valid number`);
+
+    const [, integerPart, fractionalPart = ''] = match;
+
+    if (fractionalPart.length > decimals) throw new Error(`The amount ${text} has more than ${decimals} decimals`);
+
+    return BigInt(integerPart + fractionalPart.padEnd(decimals, '0')).toString();
+}
+
 // Transforms a string to hex bytes
 export function stringToHex(str) {
     return Array.from(str).reduce((hex, c) => hex += c.charCodeAt(0).toString(16).padStart(2, '0'), '');
@@ -108,3 +197,8 @@ export function stringToHex(str) {
 export function hexToString(hex) {
     return hex.match(/.{1,2}/g).reduce((acc, char) => acc + String.fromCharCode(parseInt(char, 16)), '');
 }
+
+// Returns the url of a file that could be stored in IPFS
+export function getIpfsUrl(uri) {
+    return uri?.startsWith('ipfs://') ? IPFS_GATEWAY + uri.slice(7) : uri;
+}
@@ -0,0 +1,107 @@
+import axios from 'axios';
+import { TzktDataSource, setDataSource } from './dataSources';
+import { getProposals, getProposalExpirationDate, getProposalStatus, parseTransfersTable, toBaseUnits } from './utils';
+
+
+jest.mock('axios');
+
+// The multisig used in the tests
+const USERS = ['tz1RS9GoEXakf9iyBmSaheLMcakFRtzBXpWE', 'tz1UBZUkXpKGhYsP5KtzDNqLLchwF4uHrGjw'];
+const STORAGE = { counter: '3', expiration_time: '5', proposals: 100, votes: 101, users: USERS };
+
+describe('getProposalStatus', () => {
+    const now = new Date('2022-01-10T12:00:00Z');
+
+    test('calculates the status of the proposals returned by the data source', async () => {
+        setDataSource(new TzktDataSource('mainnet', 'https://api.tzkt.test'));
+        axios.get.mockResolvedValue({
+            data: [
+                { key: '2', value: { executed: false, timestamp: '2022-01-08T00:00:00Z' } },
+                { key: '1', value: { executed: true, timestamp: '2022-01-01T00:00:00Z' } },
+                { key: '0', value: { executed: false, timestamp: '2022-01-01T00:00:00Z' } }
+            ]
+        });
+
+        const proposals = await getProposals(STORAGE);
+        expect(proposals.map(proposal => getProposalStatus(proposal.value, STORAGE.expiration_time, now))).toEqual(
+            ['active', 'executed', 'expired']);
+    });
+
+    test('expires the proposals after the expiration time', () => {
+        const proposal = { executed: false, timestamp: '2022-01-05T12:00:00Z' };
+
+        expect(getProposalExpirationDate(proposal, '5')).toEqual(new Date('2022-01-10T12:00:00Z'));
+        expect(getProposalStatus(proposal, '5', now)).toBe('active');
+        expect(getProposalStatus(proposal, '5', new Date('2022-01-10T12:00:01Z'))).toBe('expired');
+        expect(getProposalStatus(proposal, '6', new Date('2022-01-10T12:00:01Z'))).toBe('active');
+    });
+
+    test('uses days of 24 hours across the daylight saving time changes', () => {
+        const proposal = { executed: false, timestamp: '2022-03-25T12:00:00Z' };
+
+        expect(getProposalExpirationDate(proposal, '5')).toEqual(new Date('2022-03-30T12:00:00Z'));
+        expect(getProposalExpirationDate({ executed: false, timestamp: '2022-10-28T12:00:00Z' }, '5')).toEqual(new Date('2022-11-02T12:00:00Z'));
+    });
+
+    test('never expires the executed proposals', () => {
+        expect(getProposalStatus({ executed: true, timestamp: '2020-01-01T00:00:00Z' }, '5', now)).toBe('executed');
+    });
+});
+
+describe('parseTransfersTable', () => {
+    test('parses the transfers and skips the header line', () => {
+        const transfers = parseTransfersTable(`address,amount,alias\n${USERS[0]},1.5,alice\n\n# comment\n"${USERS[1]}",2`);
+
+        expect(transfers.map(transfer => [transfer.line, transfer.destination, transfer.amount, transfer.alias])).toEqual([
+            [2, USERS[0], 1.5, 'alice'],
+            [5, USERS[1], 2, '']
+        ]);
+
+        // The semicolons are used as separators if they are present, so the amounts can use decimal commas
+        expect(parseTransfersTable(`${USERS[0]};1,5;alice`)[0]).toMatchObject({ destination: USERS[0], amount: 1.5, alias: 'alice' });
+    });
+
+    test('rejects the amounts with too many decimals', () => {
+        const transfers = parseTransfersTable(`${USERS[0]},1.000001\n${USERS[1]},1.0000001`);
+        expect(transfers.map(transfer => transfer.error)).toEqual([undefined, 'more than 6 decimals']);
+
+        const tokenTransfers = parseTransfersTable(`${USERS[0]},1\n${USERS[1]},1.5`, 0);
+        expect(tokenTransfers.map(transfer => transfer.error)).toEqual([undefined, 'more than 0 decimals']);
+    });
+
+    test('rejects the amounts that are not plain decimal numbers', () => {
+        const transfers = parseTransfersTable(`${USERS[0]}\t10abc\n${USERS[1]}\t1.000,50\n${USERS[0]}\t1e3\n${USERS[1]}\t-1\n${USERS[0]}\t2,5`);
+
+        expect(transfers.map(transfer => [transfer.line, transfer.error])).toEqual([
+            [1, 'invalid amount'],
+            [2, 'invalid amount'],
+            [3, 'invalid amount'],
+            [4, 'invalid amount'],
+            [5, undefined]
+        ]);
+        expect(transfers[4]).toMatchObject({ amount: 2.5, amountText: '2.5' });
+    });
+
+        test('flags the invalid and duplicated transfers', () => {
+        const transfers = parseTransfersTable(`${USERS[0]},1\n${USERS[0]},2\ntz1invalid,1\n${USERS[1]},-1`);
+
+        expect(transfers.map(transfer => transfer.error)).toEqual([undefined, undefined, 'invalid address', 'invalid amount']);
+        expect(transfers.map(transfer => transfer.duplicate)).toEqual([true, true, false, false]);
+    });
+});
+
+describe('toBaseUnits', () => {
+    test('converts the amounts without losing precision', () => {
+        expect(toBaseUnits('1.5', 6)).toBe('1500000');
+        expect(toBaseUnits('0,000001', 6)).toBe('1');
+        expect(toBaseUnits(3, 0)).toBe('3');
+        expect(toBaseUnits('1.000000000000000001', 18)).toBe('1000000000000000001');
+        expect(toBaseUnits('123456789012345678', 2)).toBe('12345678901234567800');
+    });
+
+    test('rejects the invalid amounts and the amounts with too many decimals', () => {
+        expect(() => toBaseUnits('1.5', 0)).toThrow('more than 0 decimals');
+        expect(() => toBaseUnits('1e-7', 6)).toThrow('not a valid number');
+        expect(() => toBaseUnits('-1', 6)).toThrow('not a valid number');
+    });
+});
@@ -1,7 +1,7 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
-import { App, MultisigParameters, MultisigProposals, CreateProposals, OriginateMultisig, NotFound } from './App';
+import { App, MultisigParameters, MultisigDashboard, MultisigProposals, MultisigProposal, MultisigPolls, CreateProposals, OriginateMultisig, NotFound } from './App';
 import reportWebVitals from './reportWebVitals';
 import './styles/index.scss';
 
@@ -14,7 +14,10 @@ root.render(
             <Routes>
                 <Route path='/' element={<App />}>
                     <Route index element={<MultisigParameters />} />
+                    <Route path='dashboard' element={<MultisigDashboard />} />
                     <Route path='proposals' element={<MultisigProposals />} />
+                    <Route path='proposals/:network/:contractAddress/:id' element={<MultisigProposal />} />
+                    <Route path='polls' element={<MultisigPolls />} />
                     <Route path='create' element={<CreateProposals />} />
                     <Route path='originate' element={<OriginateMultisig />} />
                     <Route path='*' element={<NotFound />} />